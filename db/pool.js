@@ -2,12 +2,16 @@
 
 const { Pool } = require('pg');
 
-const pool = new Pool({
+const connectionConfig = {
   host:                    process.env.PG_HOST     || 'localhost',
   port:                    parseInt(process.env.PG_PORT) || 5432,
   database:                process.env.PG_DATABASE || 'project_intelligence',
   user:                    process.env.PG_USER     || 'postgres',
   password:                process.env.PG_PASSWORD || '',
+};
+
+const pool = new Pool({
+  ...connectionConfig,
   max:                     20,
   idleTimeoutMillis:       30_000,
   connectionTimeoutMillis: 2_000,
@@ -18,3 +22,5 @@ pool.on('error', (err) => {
 });
 
 module.exports = pool;
+// For long-lived dedicated connections (LISTEN) that must not hold a pool slot
+module.exports.connectionConfig = connectionConfig;
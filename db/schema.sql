@@ -13,17 +13,52 @@ CREATE TABLE IF NOT EXISTS workspaces (
   title            VARCHAR(100) NOT NULL CHECK (char_length(trim(title)) >= 3),
   description      VARCHAR(1000) NOT NULL CHECK (char_length(trim(description)) >= 10),
   srs              TEXT        NOT NULL CHECK (char_length(trim(srs)) > 0),
-  github_repo      VARCHAR(255) NOT NULL,
-  github_repo_id   BIGINT      NOT NULL,          -- rename-proof repo identity
+  provider         VARCHAR(20) NOT NULL DEFAULT 'github'
+                               CHECK (provider IN ('github','gitlab','gitea','bitbucket')),
+  github_repo      VARCHAR(255) NOT NULL,          -- repo web URL on the provider
+  github_repo_id   BIGINT      NOT NULL,          -- rename-proof repo identity on the provider
+  mirror_remote    TEXT,                          -- git remote for merge checks; NULL = github_repo
+  default_branch   VARCHAR(255),                  -- trunk; NULL = main/master until learned from a webhook
+  release_branch_patterns TEXT[] NOT NULL DEFAULT '{}',  -- protected/release globs, e.g. release/*
   dashboard_key    UUID        NOT NULL DEFAULT gen_random_uuid(),
   health_score     SMALLINT    NOT NULL DEFAULT 100 CHECK (health_score BETWEEN 0 AND 100),
   activity_window_hours INTEGER NOT NULL DEFAULT 72,
+  inactivity_threshold_hours INTEGER NOT NULL DEFAULT 168 CHECK (inactivity_threshold_hours > 0),
   created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   CONSTRAINT uq_github_repo     UNIQUE (github_repo),
-  CONSTRAINT uq_github_repo_id  UNIQUE (github_repo_id),
+  CONSTRAINT uq_github_repo_id  UNIQUE (provider, github_repo_id),
   CONSTRAINT uq_dashboard_key   UNIQUE (dashboard_key)
 );
 
+-- Columns added after the first release; CREATE TABLE IF NOT EXISTS leaves existing tables alone
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS provider VARCHAR(20) NOT NULL DEFAULT 'github'
+  CHECK (provider IN ('github','gitlab','gitea','bitbucket'));
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS inactivity_threshold_hours INTEGER NOT NULL DEFAULT 168
+  CHECK (inactivity_threshold_hours > 0);
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS mirror_remote TEXT;
+ALTER TABLE workspaces
+  ADD COLUMN IF NOT EXISTS default_branch          VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS release_branch_patterns TEXT[] NOT NULL DEFAULT '{}';
+
+-- Repo ids used to be unique across all repos; they are only unique per provider.
+-- The old single-column unique index is dropped here and recreated under INDEXES.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'workspaces'::regclass AND conname = 'uq_github_repo_id' AND cardinality(conkey) = 2
+  ) THEN
+    ALTER TABLE workspaces DROP CONSTRAINT IF EXISTS uq_github_repo_id;
+    ALTER TABLE workspaces ADD CONSTRAINT uq_github_repo_id UNIQUE (provider, github_repo_id);
+  END IF;
+  IF EXISTS (
+    SELECT 1 FROM pg_index
+    WHERE indexrelid = to_regclass('idx_workspaces_github_repo_id') AND indnatts = 1
+  ) THEN
+    DROP INDEX idx_workspaces_github_repo_id;
+  END IF;
+END $$;
+
 -- ─── USERS ────────────────────────────────────────────────────────────────────
 
 CREATE TABLE IF NOT EXISTS users (
@@ -31,12 +66,43 @@ CREATE TABLE IF NOT EXISTS users (
   workspace_id     UUID        NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
   github_username  VARCHAR(100) NOT NULL CHECK (char_length(trim(github_username)) > 0),
   user_uid         UUID        NOT NULL DEFAULT gen_random_uuid(),
-  last_active      TIMESTAMPTZ,
+  last_active      TIMESTAMPTZ,                   -- latest commit authored/committed/pushed
+  last_commit_hash    TEXT,
+  last_commit_message TEXT,
+  last_commit_at      TIMESTAMPTZ,
+  disabled_at      TIMESTAMPTZ,                   -- NULL = active; disabled members can't authenticate
   created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   CONSTRAINT uq_user_uid                    UNIQUE (user_uid),
   CONSTRAINT uq_workspace_github_username   UNIQUE (workspace_id, github_username)
 );
 
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS last_commit_hash    TEXT,
+  ADD COLUMN IF NOT EXISTS last_commit_message TEXT,
+  ADD COLUMN IF NOT EXISTS last_commit_at      TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ;
+
+-- ─── API TOKENS (scoped bearer tokens, see services/token.service.js) ─────────
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id           UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID        NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id      UUID        REFERENCES users(id) ON DELETE CASCADE,  -- member token; NULL = workspace token
+  name         TEXT        NOT NULL,
+  token_prefix TEXT        NOT NULL,                 -- first characters, to tell tokens apart
+  token_hash   TEXT        NOT NULL,                 -- sha256 hex; the token itself is never stored
+  scopes       TEXT[]      NOT NULL CHECK (
+                 cardinality(scopes) > 0
+                 AND scopes <@ ARRAY['dashboard:read','features:write','admin','ingest']
+               ),
+  expires_at   TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  revoked_at   TIMESTAMPTZ,
+  rotated_to   UUID        REFERENCES api_tokens(id) ON DELETE SET NULL,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_api_token_hash UNIQUE (token_hash)
+);
+
 -- ─── FEATURES ─────────────────────────────────────────────────────────────────
 
 CREATE TABLE IF NOT EXISTS features (
@@ -51,9 +117,24 @@ CREATE TABLE IF NOT EXISTS features (
                           CHECK (status IN ('ACTIVE','BLOCKED','COMPLETE')),
   completion_percentage SMALLINT  NOT NULL DEFAULT 0
                           CHECK (completion_percentage BETWEEN 0 AND 100),
+  path_patterns         TEXT[]    NOT NULL DEFAULT '{}',   -- glob ownership, e.g. src/billing/**
+  completion_source     VARCHAR(20) NOT NULL DEFAULT 'manual'
+                          CHECK (completion_source IN ('manual','evidence','merged')),
+  completion_detail     JSONB,                             -- evidence behind completion_percentage
+  track_path_coverage   BOOLEAN   NOT NULL DEFAULT false,  -- count owned paths changed on trunk
   created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Feature tables from before path ownership
+ALTER TABLE features ADD COLUMN IF NOT EXISTS path_patterns TEXT[] NOT NULL DEFAULT '{}';
+
+-- Existing features keep their manually set completion
+ALTER TABLE features
+  ADD COLUMN IF NOT EXISTS completion_source     VARCHAR(20) NOT NULL DEFAULT 'manual'
+                                                 CHECK (completion_source IN ('manual','evidence','merged')),
+  ADD COLUMN IF NOT EXISTS completion_detail     JSONB,
+  ADD COLUMN IF NOT EXISTS track_path_coverage   BOOLEAN   NOT NULL DEFAULT false;
+
 -- ─── FEATURE DEPENDENCIES ─────────────────────────────────────────────────────
 
 CREATE TABLE IF NOT EXISTS feature_dependencies (
@@ -64,6 +145,32 @@ CREATE TABLE IF NOT EXISTS feature_dependencies (
   CONSTRAINT no_self_dep     CHECK (feature_id <> depends_on_feature_id)
 );
 
+-- ─── FEATURE MILESTONES ───────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS feature_milestones (
+  id          BIGSERIAL    PRIMARY KEY,
+  feature_id  UUID         NOT NULL REFERENCES features(id) ON DELETE CASCADE,
+  title       VARCHAR(200) NOT NULL,
+  due_date    DATE,
+  created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+-- ─── FEATURE TASKS ────────────────────────────────────────────────────────────
+
+-- Checklist items; ids are short so commits can say `closes-task: 42`
+CREATE TABLE IF NOT EXISTS feature_tasks (
+  id            BIGSERIAL    PRIMARY KEY,
+  feature_id    UUID         NOT NULL REFERENCES features(id) ON DELETE CASCADE,
+  milestone_id  BIGINT       REFERENCES feature_milestones(id) ON DELETE SET NULL,
+  title         VARCHAR(500) NOT NULL,
+  kind          VARCHAR(20)  NOT NULL DEFAULT 'task'
+                  CHECK (kind IN ('task','acceptance')),
+  done          BOOLEAN      NOT NULL DEFAULT false,
+  done_at       TIMESTAMPTZ,
+  done_by       TEXT,                           -- 'api' or the closing commit hash
+  created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
 -- ─── FILE ACTIVITY ────────────────────────────────────────────────────────────
 
 CREATE TABLE IF NOT EXISTS file_activity (
@@ -72,11 +179,20 @@ CREATE TABLE IF NOT EXISTS file_activity (
   branch_name      TEXT        NOT NULL,
   file_path        TEXT        NOT NULL,
   last_commit_hash TEXT        NOT NULL,
+  author_login     TEXT,                          -- lower-cased GitHub logins of last_commit_hash
+  committer_login  TEXT,
+  pusher_login     TEXT,
   updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   CONSTRAINT uq_file_activity_workspace_branch_file
     UNIQUE (workspace_id, branch_name, file_path)
 );
 
+-- Rows from before commit attribution stay unattributed until their file is pushed again
+ALTER TABLE file_activity
+  ADD COLUMN IF NOT EXISTS author_login     TEXT,
+  ADD COLUMN IF NOT EXISTS committer_login  TEXT,
+  ADD COLUMN IF NOT EXISTS pusher_login     TEXT;
+
 -- ─── BLOCKERS ─────────────────────────────────────────────────────────────────
 
 CREATE TABLE IF NOT EXISTS blockers (
@@ -92,7 +208,50 @@ CREATE TABLE IF NOT EXISTS blockers (
   description  TEXT    NOT NULL,
   severity     TEXT    NOT NULL CHECK (severity IN ('LOW','MEDIUM','HIGH')),
   resolved     BOOLEAN NOT NULL DEFAULT FALSE,
-  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  -- Manual lifecycle (see services/blocker.service.js); engines only create,
+  -- re-grade and auto-resolve
+  state            TEXT    NOT NULL DEFAULT 'open'
+                     CHECK (state IN ('open','acknowledged','snoozed')),
+  assignee_uid     UUID    REFERENCES users(id) ON DELETE SET NULL,
+  snoozed_until    TIMESTAMPTZ,                     -- out of the health penalty until then
+  resolution       TEXT    CHECK (resolution IN ('auto','fixed','wont_fix','duplicate','not_a_problem')),
+  resolution_reason TEXT,
+  resolved_by      TEXT,
+  resolved_at      TIMESTAMPTZ,
+  suppressed_until TIMESTAMPTZ,                     -- engines won't re-open this reference before
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE blockers
+  ADD COLUMN IF NOT EXISTS state            TEXT    NOT NULL DEFAULT 'open'
+                                            CHECK (state IN ('open','acknowledged','snoozed')),
+  ADD COLUMN IF NOT EXISTS assignee_uid     UUID    REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS snoozed_until    TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS resolution       TEXT    CHECK (resolution IN ('auto','fixed','wont_fix','duplicate','not_a_problem')),
+  ADD COLUMN IF NOT EXISTS resolution_reason TEXT,
+  ADD COLUMN IF NOT EXISTS resolved_by      TEXT,
+  ADD COLUMN IF NOT EXISTS resolved_at      TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS suppressed_until TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS updated_at       TIMESTAMPTZ;
+
+-- Before the lifecycle API only engines resolved blockers
+UPDATE blockers SET resolution = 'auto', resolved_by = 'engine' WHERE resolved AND resolution IS NULL;
+UPDATE blockers SET updated_at = created_at WHERE updated_at IS NULL;
+ALTER TABLE blockers ALTER COLUMN updated_at SET DEFAULT NOW(), ALTER COLUMN updated_at SET NOT NULL;
+
+-- ─── BLOCKER EVENTS (audit trail and comments) ────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS blocker_events (
+  id          BIGSERIAL   PRIMARY KEY,
+  blocker_id  UUID        NOT NULL REFERENCES blockers(id) ON DELETE CASCADE,
+  action      TEXT        NOT NULL CHECK (action IN (
+                'created','severity_changed','acknowledged','assigned','snoozed',
+                'unsnoozed','resolved','commented'
+              )),
+  actor       TEXT        NOT NULL,                 -- 'engine:<name>' or who acted via the API
+  detail      JSONB       NOT NULL DEFAULT '{}',    -- before/after values, resolution, comment body
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
 -- ─── PULL REQUESTS ────────────────────────────────────────────────────────────
@@ -123,25 +282,267 @@ CREATE TABLE IF NOT EXISTS pr_files (
 
 CREATE TABLE IF NOT EXISTS webhook_deliveries (
   delivery_id  TEXT    PRIMARY KEY,
+  workspace_id UUID    REFERENCES workspaces(id) ON DELETE CASCADE,  -- NULL until resolved
+  provider     VARCHAR(20) NOT NULL DEFAULT 'github'
+                       CHECK (provider IN ('github','gitlab','gitea','bitbucket')),
+  event_type   TEXT,
   repo_id      BIGINT,
   branch_name  TEXT,
   commit_hash  TEXT,
+  status       TEXT    NOT NULL DEFAULT 'processing'
+                       CHECK (status IN ('processing','processed','workspace_not_found','branch_deleted','failed')),
+  error        TEXT,
+  payload      JSONB,                                                -- purged after the retention window
+  replay_of    TEXT,                                                 -- original delivery_id for replays
   duration_ms  INTEGER,
   processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+ALTER TABLE webhook_deliveries
+  ADD COLUMN IF NOT EXISTS workspace_id UUID    REFERENCES workspaces(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS event_type   TEXT,
+  ADD COLUMN IF NOT EXISTS status       TEXT
+                       CHECK (status IN ('processing','processed','workspace_not_found','branch_deleted','failed')),
+  ADD COLUMN IF NOT EXISTS error        TEXT,
+  ADD COLUMN IF NOT EXISTS payload      JSONB,
+  ADD COLUMN IF NOT EXISTS replay_of    TEXT;
+
+-- Deliveries recorded before statuses were tracked were GitHub pushes, kept only once processed
+UPDATE webhook_deliveries d
+SET status       = 'processed',
+    event_type   = COALESCE(d.event_type, 'push'),
+    workspace_id = (SELECT w.id FROM workspaces w WHERE w.provider = 'github' AND w.github_repo_id = d.repo_id)
+WHERE d.status IS NULL;
+ALTER TABLE webhook_deliveries ALTER COLUMN status SET DEFAULT 'processing', ALTER COLUMN status SET NOT NULL;
+
+-- Host the delivery came from; originals carry it in their payload or delivery ID
+-- prefix, replays (no payload) take their original's
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS provider VARCHAR(20)
+  CHECK (provider IN ('github','gitlab','gitea','bitbucket'));
+UPDATE webhook_deliveries
+SET provider = COALESCE(payload->>'provider', substring(delivery_id FROM '^(gitlab|gitea|bitbucket):'), 'github')
+WHERE provider IS NULL AND replay_of IS NULL;
+UPDATE webhook_deliveries r
+SET provider = COALESCE((SELECT o.provider FROM webhook_deliveries o WHERE o.delivery_id = r.replay_of), 'github')
+WHERE r.provider IS NULL;
+ALTER TABLE webhook_deliveries ALTER COLUMN provider SET DEFAULT 'github', ALTER COLUMN provider SET NOT NULL;
+
+-- ─── ALIGNMENT RUNS ───────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS alignment_runs (
+  id              UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id    UUID        NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  feature_id      UUID        REFERENCES features(id) ON DELETE SET NULL,
+  pr_number       INTEGER,
+  commit_hash     TEXT,
+  alignment_score SMALLINT    NOT NULL CHECK (alignment_score BETWEEN 0 AND 100),
+  drift_detected  BOOLEAN     NOT NULL,
+  regression_risk TEXT        NOT NULL,            -- Low | Medium | High | Unknown (fallback)
+  explanation     TEXT        NOT NULL,
+  model           TEXT        NOT NULL,
+  used_fallback   BOOLEAN     NOT NULL DEFAULT FALSE,
+  duration_ms     INTEGER,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ─── WORKSPACE EVENTS (durable broadcast log) ─────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS workspace_events (
+  workspace_id UUID        NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  seq          BIGINT      NOT NULL,               -- from workspace_event_counters, per workspace
+  type         TEXT        NOT NULL,
+  payload      JSONB       NOT NULL,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (workspace_id, seq)
+);
+
+-- ─── WORKSPACE EVENT COUNTERS (sequence and purge floor per log) ──────────────
+
+-- Kept apart from workspaces so appending an event doesn't lock the workspace row
+CREATE TABLE IF NOT EXISTS workspace_event_counters (
+  workspace_id   UUID   PRIMARY KEY REFERENCES workspaces(id) ON DELETE CASCADE,
+  last_seq       BIGINT NOT NULL DEFAULT 0,         -- last workspace_events.seq issued
+  purged_through BIGINT NOT NULL DEFAULT 0          -- events up to here were dropped by retention
+);
+
+-- Logs started while the counter lived on workspaces.event_seq continue from their newest event
+INSERT INTO workspace_event_counters (workspace_id, last_seq)
+SELECT workspace_id, MAX(seq) FROM workspace_events GROUP BY workspace_id
+ON CONFLICT (workspace_id) DO UPDATE
+  SET last_seq = GREATEST(workspace_event_counters.last_seq, EXCLUDED.last_seq);
+
+-- ─── HEALTH SNAPSHOTS ─────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS health_snapshots (
+  id                     BIGSERIAL    PRIMARY KEY,
+  workspace_id           UUID         NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  score                  SMALLINT     NOT NULL CHECK (score BETWEEN 0 AND 100),
+  risk_level             TEXT         NOT NULL CHECK (risk_level IN ('HEALTHY','WARNING','CRITICAL')),
+  feature_completion_avg NUMERIC(5,2) NOT NULL,
+  blocker_count          INTEGER      NOT NULL,    -- active, excluding INACTIVITY
+  conflict_count         INTEGER      NOT NULL,    -- active FILE_CONFLICT_RISK
+  inactive_members       INTEGER      NOT NULL,
+  created_at             TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+-- ─── HEALTH PROFILES ──────────────────────────────────────────────────────────
+-- Per-workspace overrides of the default scoring profile (engines/healthProfile.js)
+
+CREATE TABLE IF NOT EXISTS health_profiles (
+  workspace_id UUID        PRIMARY KEY REFERENCES workspaces(id) ON DELETE CASCADE,
+  profile      JSONB       NOT NULL DEFAULT '{}',
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ─── SRS VERSIONS (previous SRS documents, see services/srs.service.js) ───────
+
+-- Every SRS the workspace has had, newest = workspaces.srs
+CREATE TABLE IF NOT EXISTS srs_versions (
+  id            BIGSERIAL   PRIMARY KEY,
+  workspace_id  UUID        NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  version       INTEGER     NOT NULL CHECK (version > 0),
+  srs           TEXT        NOT NULL,
+  created_by    TEXT        NOT NULL,                -- 'workspace:create', token:<id> or 'dashboard'
+  requirements  JSONB,                               -- numbered items; NULL = number from srs
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_srs_version UNIQUE (workspace_id, version)
+);
+ALTER TABLE srs_versions ADD COLUMN IF NOT EXISTS requirements JSONB;
+
+-- Workspaces created before versioning start at version 1
+INSERT INTO srs_versions (workspace_id, version, srs, created_by, created_at)
+SELECT id, 1, srs, 'workspace:create', created_at FROM workspaces
+ON CONFLICT (workspace_id, version) DO NOTHING;
+
+-- ─── SRS DRAFTS (proposed features awaiting review) ───────────────────────────
+
+CREATE TABLE IF NOT EXISTS srs_drafts (
+  id            UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id  UUID        NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  status        TEXT        NOT NULL DEFAULT 'draft'
+                  CHECK (status IN ('draft','accepted','discarded')),
+  source        TEXT        NOT NULL CHECK (source IN ('model','headings')),
+  model         TEXT,
+  requirements  JSONB       NOT NULL,               -- numbered SRS items the proposal cites
+  proposal      JSONB       NOT NULL,               -- { features: [{ name, priority, requirements, dependsOn, … }] }
+  problems      JSONB       NOT NULL DEFAULT '[]',  -- what normalisation fixed in the model's answer
+  edited        BOOLEAN     NOT NULL DEFAULT FALSE,
+  result        JSONB,                              -- feature ids created/reused on accept
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at   TIMESTAMPTZ
+);
+
+-- ─── REQUIREMENT LINKS (traceability, see engines/traceability.js) ────────────
+
+-- requirement_id is an SRS item ID (REQ-12, FR-3) as numbered by engines/srsParser.js;
+-- target is the feature UUID, commit hash, PR number or branch name
+CREATE TABLE IF NOT EXISTS requirement_links (
+  id              BIGSERIAL   PRIMARY KEY,
+  workspace_id    UUID        NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  requirement_id  TEXT        NOT NULL,
+  kind            TEXT        NOT NULL CHECK (kind IN ('feature','commit','pr','branch')),
+  target          TEXT        NOT NULL,
+  source          TEXT        NOT NULL
+                    CHECK (source IN ('manual','commit_message','branch_name','pr_text','srs_draft')),
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_requirement_link UNIQUE (workspace_id, requirement_id, kind, target)
+);
+
+-- ─── PATH RULES (conflict criticality, see engines/pathRules.js) ──────────────
+
+CREATE TABLE IF NOT EXISTS path_rules (
+  workspace_id UUID        PRIMARY KEY REFERENCES workspaces(id) ON DELETE CASCADE,
+  source       TEXT        NOT NULL,                 -- as uploaded, CODEOWNERS-like
+  rules        JSONB       NOT NULL DEFAULT '[]',    -- parsed from source
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ─── NOTIFICATION SUBSCRIPTIONS (see services/notification.service.js) ────────
+
+CREATE TABLE IF NOT EXISTS notification_subscriptions (
+  id             UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id   UUID        NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  name           TEXT        NOT NULL,
+  url            TEXT        NOT NULL,
+  format         TEXT        NOT NULL DEFAULT 'json' CHECK (format IN ('json','slack')),
+  secret         TEXT        NOT NULL,                -- HMAC key for X-Notification-Signature
+  -- Filters; an empty list or NULL matches everything
+  event_types    TEXT[]      NOT NULL DEFAULT '{}',
+  min_severity   TEXT        CHECK (min_severity IN ('LOW','MEDIUM','HIGH')),
+  blocker_types  TEXT[]      NOT NULL DEFAULT '{}',
+  path_patterns  TEXT[]      NOT NULL DEFAULT '{}',
+  members        TEXT[]      NOT NULL DEFAULT '{}',   -- github usernames
+  mode           TEXT        NOT NULL DEFAULT 'immediate' CHECK (mode IN ('immediate','hourly','daily')),
+  enabled        BOOLEAN     NOT NULL DEFAULT TRUE,
+  cursor_seq     BIGINT      NOT NULL DEFAULT 0,      -- last workspace_events.seq dispatched
+  next_digest_at TIMESTAMPTZ,                         -- digest modes only
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ─── NOTIFICATION DELIVERIES (outbound delivery log) ──────────────────────────
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id              BIGSERIAL   PRIMARY KEY,
+  subscription_id UUID        NOT NULL REFERENCES notification_subscriptions(id) ON DELETE CASCADE,
+  workspace_id    UUID        NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  kind            TEXT        NOT NULL CHECK (kind IN ('event','digest','test')),
+  event_type      TEXT,                                -- NULL for digests
+  event_seqs      BIGINT[]    NOT NULL DEFAULT '{}',
+  body            JSONB       NOT NULL,                -- exactly what is POSTed
+  status          TEXT        NOT NULL DEFAULT 'pending'
+                    CHECK (status IN ('pending','delivered','dead')),
+  attempts        INTEGER     NOT NULL DEFAULT 0,
+  max_attempts    INTEGER     NOT NULL DEFAULT 6,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),  -- retry backoff, and the lease while sending
+  response_status INTEGER,
+  last_error      TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at    TIMESTAMPTZ
+);
+
+-- Response bodies are no longer recorded; drop those kept before
+UPDATE notification_deliveries SET last_error = substring(last_error FROM '^HTTP \d+')
+WHERE last_error ~ '^HTTP \d+: ' AND last_error NOT LIKE '%: redirects are not followed';
+
+-- ─── JOBS (durable work queue, see jobs/queue.js) ─────────────────────────────
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id           BIGSERIAL   PRIMARY KEY,
+  workspace_id UUID        NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  type         TEXT        NOT NULL,
+  payload      JSONB       NOT NULL DEFAULT '{}',
+  status       TEXT        NOT NULL DEFAULT 'queued'
+                 CHECK (status IN ('queued','running','done','dead')),
+  attempts     INTEGER     NOT NULL DEFAULT 0,
+  max_attempts INTEGER     NOT NULL DEFAULT 5,
+  delivery_id  TEXT,                                -- webhook delivery that enqueued it
+  last_error   TEXT,
+  run_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),  -- not claimable before (retry backoff)
+  locked_by    TEXT,
+  locked_at    TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at  TIMESTAMPTZ
+);
+
 -- ─────────────────────────────────────────────────────────────────────────────
 -- INDEXES
 -- ─────────────────────────────────────────────────────────────────────────────
 
 -- workspaces
 CREATE UNIQUE INDEX IF NOT EXISTS idx_workspaces_dashboard_key  ON workspaces (dashboard_key);
-CREATE UNIQUE INDEX IF NOT EXISTS idx_workspaces_github_repo_id ON workspaces (github_repo_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspaces_github_repo_id ON workspaces (provider, github_repo_id);
 
 -- users
 CREATE UNIQUE INDEX IF NOT EXISTS idx_users_user_uid       ON users (user_uid);
 CREATE        INDEX IF NOT EXISTS idx_users_workspace_id   ON users (workspace_id);
 
+-- api tokens
+CREATE INDEX IF NOT EXISTS idx_api_tokens_workspace ON api_tokens (workspace_id, created_at);
+
 -- features
 CREATE INDEX IF NOT EXISTS idx_features_workspace_id  ON features (workspace_id);
 CREATE INDEX IF NOT EXISTS idx_features_owner_uid     ON features (owner_uid);
@@ -151,10 +552,15 @@ CREATE INDEX IF NOT EXISTS idx_features_status        ON features (workspace_id,
 CREATE INDEX IF NOT EXISTS idx_feature_deps_feature_id  ON feature_dependencies (feature_id);
 CREATE INDEX IF NOT EXISTS idx_feature_deps_depends_on  ON feature_dependencies (depends_on_feature_id);
 
+-- feature tasks and milestones
+CREATE INDEX IF NOT EXISTS idx_feature_milestones_feature ON feature_milestones (feature_id);
+CREATE INDEX IF NOT EXISTS idx_feature_tasks_feature      ON feature_tasks (feature_id, id);
+
 -- file_activity
 CREATE INDEX IF NOT EXISTS idx_file_activity_workspace_file    ON file_activity (workspace_id, file_path);
 CREATE INDEX IF NOT EXISTS idx_file_activity_workspace_branch  ON file_activity (workspace_id, branch_name);
 CREATE INDEX IF NOT EXISTS idx_file_activity_updated_at        ON file_activity (workspace_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_file_activity_author            ON file_activity (workspace_id, author_login);
 
 -- blockers
 CREATE INDEX IF NOT EXISTS idx_blockers_workspace_active   ON blockers (workspace_id, resolved, type);
@@ -162,6 +568,44 @@ CREATE INDEX IF NOT EXISTS idx_blockers_reference          ON blockers (workspac
 -- DB-level dedup: only one active blocker per file per type per workspace
 CREATE UNIQUE INDEX IF NOT EXISTS idx_blockers_unique_active
   ON blockers (workspace_id, type, reference_id) WHERE resolved = FALSE;
+CREATE INDEX IF NOT EXISTS idx_blockers_suppressed
+  ON blockers (workspace_id, type, reference_id, suppressed_until) WHERE suppressed_until IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_blocker_events_blocker ON blocker_events (blocker_id, id);
 
 -- pull requests
 CREATE INDEX IF NOT EXISTS idx_pr_files_file_path ON pr_files (file_path);
+
+-- alignment runs
+CREATE INDEX IF NOT EXISTS idx_alignment_runs_feature ON alignment_runs (workspace_id, feature_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alignment_runs_pr      ON alignment_runs (workspace_id, pr_number, created_at DESC);
+
+-- workspace events
+CREATE INDEX IF NOT EXISTS idx_workspace_events_type ON workspace_events (workspace_id, type, seq);
+CREATE INDEX IF NOT EXISTS idx_workspace_events_created ON workspace_events (created_at);
+
+-- health snapshots
+CREATE INDEX IF NOT EXISTS idx_health_snapshots_workspace ON health_snapshots (workspace_id, created_at DESC);
+
+-- srs drafts — at most one open draft per workspace
+CREATE UNIQUE INDEX IF NOT EXISTS idx_srs_drafts_open ON srs_drafts (workspace_id) WHERE status = 'draft';
+CREATE        INDEX IF NOT EXISTS idx_srs_drafts_workspace ON srs_drafts (workspace_id, created_at DESC);
+
+-- requirement links
+CREATE INDEX IF NOT EXISTS idx_requirement_links_target ON requirement_links (workspace_id, kind, target);
+
+-- jobs
+CREATE INDEX IF NOT EXISTS idx_jobs_claimable ON jobs (id) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_workspace ON jobs (workspace_id, status, id);
+CREATE INDEX IF NOT EXISTS idx_jobs_running   ON jobs (locked_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_finished  ON jobs (finished_at) WHERE status IN ('done','dead');
+
+-- notifications
+CREATE INDEX IF NOT EXISTS idx_notification_subscriptions_ws ON notification_subscriptions (workspace_id);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due   ON notification_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_sub   ON notification_deliveries (subscription_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_ws    ON notification_deliveries (workspace_id, id DESC);
+
+-- webhook deliveries
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_workspace ON webhook_deliveries (workspace_id, processed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_repo      ON webhook_deliveries (repo_id, processed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_payload   ON webhook_deliveries (processed_at) WHERE payload IS NOT NULL;
@@ -0,0 +1,235 @@
+'use strict';
+
+const pool           = require('../db/pool');
+const wsManager      = require('../websocket/wsManager');
+const { OLLAMA_MODEL, log, callOllamaWithRetry, parseJsonResponse } = require('../services/ollama');
+const { recordAlignmentRun } = require('../services/alignment.service');
+const { getPrDiff }          = require('../providers/diffProvider');
+const { filterMatching, normalizePath } = require('../utils/pathMatcher');
+
+// ─── Config ────────────────────────────────────────────────────────────────────
+const RATE_LIMIT_WINDOW_MS  = 60_000;
+const RATE_LIMIT_MAX_CALLS  = 10;
+const MAX_FEATURES_PER_PR   = 3;
+const CONTEXT_BUDGET_CHARS  = 2_800;   // buildPrompt truncates project context at 3000
+const AUTO_ALIGNMENT        = process.env.AUTO_ALIGNMENT_ENABLED !== 'false';
+
+const _rateLimitMap = new Map(); // workspaceId → { count, windowStart }
+
+// ─── Fallback ──────────────────────────────────────────────────────────────────
+const FALLBACK = Object.freeze({
+  alignment_score : 50,
+  drift_detected  : false,
+  regression_risk : 'Unknown',
+  explanation     : 'AI unavailable',
+});
+
+// ─── Rate Limiter ──────────────────────────────────────────────────────────────
+function checkRateLimit(workspaceId) {
+  const now   = Date.now();
+  const entry = _rateLimitMap.get(workspaceId);
+  if (!entry || now - entry.windowStart > RATE_LIMIT_WINDOW_MS) {
+    _rateLimitMap.set(workspaceId, { count: 1, windowStart: now });
+    return true;
+  }
+  if (entry.count >= RATE_LIMIT_MAX_CALLS) {
+    log.warn('Rate limit exceeded', { workspaceId, count: entry.count });
+    return false;
+  }
+  entry.count++;
+  return true;
+}
+
+// ─── Prompt Builder ────────────────────────────────────────────────────────────
+function buildPrompt({ projectContext, featureDescription, prDiff }) {
+  const safe = (str, max = 3000) => String(str ?? '').replace(/```/g, "'''").slice(0, max);
+  return `You are a software alignment analyzer. Respond ONLY with a valid JSON object. No markdown, no fences, no prose outside JSON.
+
+Required fields: alignment_score (integer 0-100), drift_detected (boolean), regression_risk ("Low"|"Medium"|"High"), explanation (max 3 sentences).
+
+<PROJECT_CONTEXT>
+${safe(projectContext)}
+</PROJECT_CONTEXT>
+
+<FEATURE_DESCRIPTION>
+${safe(featureDescription, 1000)}
+</FEATURE_DESCRIPTION>
+
+<PR_DIFF>
+${safe(prDiff, 4000)}
+</PR_DIFF>`.trim();
+}
+
+// ─── JSON Extraction ───────────────────────────────────────────────────────────
+function validateShape(obj) {
+  if (typeof obj !== 'object' || obj === null) throw new Error('Not an object');
+  let score = Number(obj.alignment_score);
+  if (isNaN(score)) throw new Error('Invalid alignment_score');
+  score = Math.max(0, Math.min(100, Math.round(score)));
+  let drift = typeof obj.drift_detected === 'boolean' ? obj.drift_detected : score < 70;
+  const RISKS = ['Low','Medium','High'];
+  const risk  = RISKS.find(r => r.toLowerCase() === String(obj.regression_risk ?? '').toLowerCase()) ?? 'Medium';
+  const explanation = String(obj.explanation ?? '').slice(0, 500);
+  return { alignment_score: score, drift_detected: drift, regression_risk: risk, explanation };
+}
+
+// ─── Analysis ──────────────────────────────────────────────────────────────────
+
+/**
+ * One model call with fallback — never throws for AI failures.
+ * @returns {Promise<{ result: object, meta: { used_fallback: boolean, duration_ms: number, model: string } }>}
+ */
+async function analyzeAlignment({ workspaceId, projectContext, featureDescription, prDiff }) {
+  const startMs = Date.now();
+  let aiResult     = null;
+  let usedFallback = false;
+
+  try {
+    const raw = await callOllamaWithRetry(buildPrompt({ projectContext, featureDescription, prDiff }));
+    log.info('Ollama responded', { workspaceId, raw_length: raw.length });
+    aiResult = parseJsonResponse(raw, validateShape);
+    if (!aiResult) { log.warn('JSON extraction failed — using fallback', { workspaceId }); usedFallback = true; }
+  } catch (err) {
+    log.error('Ollama call failed — using fallback', { workspaceId, error: err.message, timeout: err.name === 'AbortError' });
+    usedFallback = true;
+  }
+
+  return {
+    result: aiResult ?? { ...FALLBACK },
+    meta:   { used_fallback: usedFallback, duration_ms: Date.now() - startMs, model: OLLAMA_MODEL },
+  };
+}
+
+// ─── Context Assembly ──────────────────────────────────────────────────────────
+
+function _keywords(text) {
+  return new Set(String(text ?? '').toLowerCase().match(/[a-z0-9]{4,}/g) ?? []);
+}
+
+/**
+ * Project context for one feature: title and description, then the SRS
+ * paragraphs sharing the most vocabulary with the feature, kept in document
+ * order, within the prompt's budget.
+ */
+function buildProjectContext(workspace, feature) {
+  const header = `${workspace.title}\n${workspace.description}\n\nRelevant requirements:\n`;
+  const budget = CONTEXT_BUDGET_CHARS - header.length;
+
+  const paragraphs = String(workspace.srs ?? '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  const wanted     = _keywords(`${feature.name} ${feature.description ?? ''}`);
+  const scored     = paragraphs
+    .map((text, index) => ({ text, index, score: [..._keywords(text)].filter(w => wanted.has(w)).length }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const picked = [];
+  let used = 0;
+  for (const p of scored) {
+    if (used + p.text.length > budget) continue;
+    picked.push(p);
+    used += p.text.length + 2;
+  }
+  picked.sort((a, b) => a.index - b.index);
+
+  return header + picked.map(p => p.text).join('\n\n');
+}
+
+/**
+ * Keeps only the `diff --git` sections for the given files.
+ */
+function sliceDiffForFiles(diff, files) {
+  const wanted   = new Set(files.map(normalizePath));
+  const sections = String(diff ?? '').split(/^(?=diff --git )/m);
+  return sections
+    .filter(section => {
+      const m = section.match(/^diff --git a\/(\S+) b\/(\S+)/);
+      return m && (wanted.has(m[1]) || wanted.has(m[2]));
+    })
+    .join('');
+}
+
+// ─── PR Alignment ──────────────────────────────────────────────────────────────
+
+/**
+ * Automatic alignment for an opened/updated PR. Picks the features whose
+ * ownership patterns match the PR's files, builds each one's context from the
+ * workspace SRS, scores the feature's slice of the diff, persists the run and
+ * pushes ALIGNMENT_RESULT to the workspace.
+ *
+ * Called asynchronously by the webhook handler — errors are logged, never thrown.
+ */
+async function runPrAlignment(workspaceId, pr) {
+  if (!AUTO_ALIGNMENT) return;
+  const { prNumber, headSha, files } = pr;
+
+  try {
+    const [wsResult, featuresResult] = await Promise.all([
+      pool.query('SELECT id, title, description, srs FROM workspaces WHERE id = $1', [workspaceId]),
+      pool.query(
+        `SELECT id, name, description, path_patterns FROM features
+         WHERE workspace_id = $1 AND status != 'COMPLETE' AND cardinality(path_patterns) > 0`,
+        [workspaceId]
+      ),
+    ]);
+    const workspace = wsResult.rows[0];
+    if (!workspace) return;
+
+    const relevant = featuresResult.rows
+      .map(f => ({ ...f, files: filterMatching(files, f.path_patterns) }))
+      .filter(f => f.files.length > 0)
+      .sort((a, b) => b.files.length - a.files.length)
+      .slice(0, MAX_FEATURES_PER_PR);
+
+    if (relevant.length === 0) {
+      log.info('Auto-alignment skipped — no feature owns the PR files', { workspaceId, prNumber });
+      return;
+    }
+
+    const diff = await getPrDiff(pr);
+
+    for (const feature of relevant) {
+      if (!checkRateLimit(workspaceId)) {
+        log.warn('Auto-alignment deferred by rate limit', { workspaceId, prNumber, featureId: feature.id });
+        break;
+      }
+
+      const prDiff = sliceDiffForFiles(diff, feature.files) || diff;
+      const { result, meta } = await analyzeAlignment({
+        workspaceId,
+        projectContext:     buildProjectContext(workspace, feature),
+        featureDescription: `${feature.name}\n${feature.description ?? ''}`.trim(),
+        prDiff,
+      });
+
+      const recorded = await recordAlignmentRun(
+        workspaceId,
+        { featureId: feature.id, prNumber, commitHash: headSha ?? null },
+        result,
+        meta
+      );
+
+      wsManager.broadcastToWorkspace(workspaceId, {
+        type:          'ALIGNMENT_RESULT',
+        prNumber,
+        featureId:     feature.id,
+        featureName:   feature.name,
+        runId:         recorded.runId,
+        score:         result.alignment_score,
+        driftDetected: result.drift_detected,
+        risk:          result.regression_risk,
+        explanation:   result.explanation,
+        usedFallback:  meta.used_fallback,
+      });
+    }
+  } catch (err) {
+    log.error('Auto-alignment failed', { workspaceId, prNumber, error: err.message });
+  }
+}
+
+module.exports = {
+  analyzeAlignment,
+  runPrAlignment,
+  checkRateLimit,
+  buildProjectContext,
+  sliceDiffForFiles,
+  RATE_LIMIT_MAX_CALLS,
+};
@@ -1,74 +1,150 @@
 'use strict';
 
+const { describeRule } = require('./pathRules');
+
 /**
- * Upserts a FILE_CONFLICT_RISK blocker.
- * - No active blocker → INSERT
- * - Active blocker, same severity → no-op (idempotent)
- * - Active blocker, different severity → UPDATE severity only
+ * SET clause for resolutions made by an engine; log them with
+ * logBlockerEvents on the RETURNING ids.
  */
-async function upsertConflictBlocker(client, { workspaceId, filePath, severity, description }) {
+const AUTO_RESOLVE_SET = `resolved = true, resolution = 'auto', resolved_by = 'engine',
+                          resolved_at = NOW(), updated_at = NOW()`;
+
+/**
+ * Appends one audit event per blocker.
+ */
+async function logBlockerEvents(client, blockerIds, { action, actor, detail = {} }) {
+  if (!blockerIds || blockerIds.length === 0) return;
+  await client.query(
+    `INSERT INTO blocker_events (blocker_id, action, actor, detail)
+     SELECT UNNEST($1::uuid[]), $2, $3, $4`,
+    [blockerIds, action, actor, JSON.stringify(detail)]
+  );
+}
+
+/**
+ * Upserts an active blocker of any type.
+ * - No active blocker → INSERT, unless a human resolved this reference and
+ *   suppressed it until later (e.g. "won't fix") → no-op
+ * - Active blocker, same severity and description → no-op (idempotent)
+ * - Active blocker, same severity, new description → the description is
+ *   rewritten ('refreshed', not an event: e.g. a path rule now applies)
+ * - Active blocker, different severity → UPDATE severity and description;
+ *   manual state (acknowledged, assignee, snooze) is kept
+ * - A concurrent run inserted it first → 'unchanged'
+ *
+ * @returns {Promise<'created'|'updated'|'refreshed'|'unchanged'|'suppressed'>}
+ */
+async function upsertBlocker(client, { workspaceId, type, referenceId, severity, description, actor = 'engine' }) {
   const existing = await client.query(
-    `SELECT id, severity FROM blockers
-     WHERE workspace_id = $1 AND type = 'FILE_CONFLICT_RISK'
-       AND reference_id = $2 AND resolved = false LIMIT 1`,
-    [workspaceId, filePath]
+    `SELECT id, severity, description FROM blockers
+     WHERE workspace_id = $1 AND type = $2
+       AND reference_id = $3 AND resolved = false LIMIT 1`,
+    [workspaceId, type, referenceId]
   );
 
   if (existing.rows.length > 0) {
     const current = existing.rows[0];
     if (current.severity !== severity) {
       await client.query(
-        `UPDATE blockers SET severity = $1, description = $2 WHERE id = $3`,
+        `UPDATE blockers SET severity = $1, description = $2, updated_at = NOW() WHERE id = $3`,
         [severity, description, current.id]
       );
+      await logBlockerEvents(client, [current.id], {
+        action: 'severity_changed',
+        actor,
+        detail: { from: current.severity, to: severity, previousDescription: current.description },
+      });
+      return 'updated';
     }
-    return; // same severity → no-op
+    if (current.description !== description) {
+      await client.query('UPDATE blockers SET description = $1, updated_at = NOW() WHERE id = $2', [description, current.id]);
+      return 'refreshed';
+    }
+    return 'unchanged';
   }
 
-  await client.query(
+  const suppressed = await client.query(
+    `SELECT 1 FROM blockers
+     WHERE workspace_id = $1 AND type = $2 AND reference_id = $3
+       AND resolved = true AND suppressed_until > NOW()
+     LIMIT 1`,
+    [workspaceId, type, referenceId]
+  );
+  if (suppressed.rowCount > 0) return 'suppressed';
+
+  const inserted = await client.query(
     `INSERT INTO blockers (workspace_id, type, reference_id, description, severity, resolved, created_at)
-     VALUES ($1, 'FILE_CONFLICT_RISK', $2, $3, $4, false, NOW())`,
-    [workspaceId, filePath, description, severity]
+     VALUES ($1, $2, $3, $4, $5, false, NOW())
+     ON CONFLICT (workspace_id, type, reference_id) WHERE resolved = false DO NOTHING
+     RETURNING id`,
+    [workspaceId, type, referenceId, description, severity]
   );
+  if (inserted.rowCount === 0) return 'unchanged';
+  await logBlockerEvents(client, [inserted.rows[0].id], { action: 'created', actor, detail: { severity, description } });
+  return 'created';
 }
 
 /**
- * Resolves all FILE_CONFLICT_RISK blockers for files no longer in conflict.
- * Single set-based UPDATE — no per-file loops.
+ * Upserts a FILE_CONFLICT_RISK blocker keyed by file path.
  */
-async function resolveStaleBlockers(client, workspaceId, windowHours) {
-  await client.query(
-    `UPDATE blockers SET resolved = true
+async function upsertConflictBlocker(client, { workspaceId, filePath, severity, description }) {
+  return upsertBlocker(client, {
+    workspaceId, type: 'FILE_CONFLICT_RISK', referenceId: filePath, severity, description, actor: 'engine:conflict',
+  });
+}
+
+/**
+ * Resolves all FILE_CONFLICT_RISK blockers for files no longer in conflict, or
+ * that a path rule now ignores. `trunks` are the workspace's trunk-like
+ * branches. Single set-based UPDATE — no per-file loops.
+ */
+async function resolveStaleBlockers(client, workspaceId, windowHours, trunks, ignoredFiles = []) {
+  const r = await client.query(
+    `UPDATE blockers SET ${AUTO_RESOLVE_SET}
      WHERE workspace_id = $1
        AND type         = 'FILE_CONFLICT_RISK'
        AND resolved     = false
-       AND reference_id NOT IN (
-         -- Files still conflicting across branches
+       AND (reference_id = ANY($3::text[]) OR reference_id NOT IN (
+         -- Files still conflicting across feature branches, or with trunk ($4)
          SELECT file_path FROM file_activity
          WHERE workspace_id = $1
-           AND branch_name NOT IN ('main','master')
            AND updated_at > NOW() - ($2 || ' hours')::INTERVAL
-         GROUP BY file_path HAVING COUNT(DISTINCT branch_name) > 1
+         GROUP BY file_path
+         HAVING COUNT(DISTINCT branch_name) FILTER (WHERE NOT branch_name = ANY($4::text[])) > 1
+             OR (COUNT(DISTINCT branch_name) FILTER (WHERE NOT branch_name = ANY($4::text[])) = 1
+                 AND BOOL_OR(branch_name = ANY($4::text[])))
          UNION
          -- Files still conflicting across open PRs
          SELECT pf.file_path FROM pr_files pf
          JOIN pull_requests pr ON pr.id = pf.pr_id
          WHERE pr.workspace_id = $1 AND pr.status = 'open'
          GROUP BY pf.file_path HAVING COUNT(DISTINCT pr.id) > 1
-       )`,
-    [workspaceId, windowHours]
+       ))
+     RETURNING id`,
+    [workspaceId, windowHours, ignoredFiles, trunks]
   );
+  await logBlockerEvents(client, r.rows.map(row => row.id), { action: 'resolved', actor: 'engine:conflict', detail: { resolution: 'auto' } });
 }
 
 /**
  * Builds a human-readable blocker description for the dashboard.
  */
-function buildDescription(filePath, { branches, prNumbers, branchCount, prCount, touchesMain }) {
+const MERGE_LABELS = {
+  same_file:         'separate hunks, merges cleanly',
+  overlapping_lines: 'overlapping lines',
+  conflict:          'textual conflict',
+};
+
+function buildDescription(filePath, { branches, prNumbers, branchCount, prCount, touchesMain, mergeSignal, mergeBranches }, rule = null) {
   const parts = [];
   if (branchCount > 1) parts.push(`${branchCount} branches (${branches.join(', ')})`);
   if (prCount > 1)     parts.push(`${prCount} open PRs (#${prNumbers.join(', #')})`);
-  if (touchesMain)     parts.push('includes main');
+  if (touchesMain)     parts.push('overlaps trunk');
+  if (mergeSignal)     parts.push(`${MERGE_LABELS[mergeSignal]} (${mergeBranches.join(' ↔ ')})`);
+  if (rule)            parts.push(`rule: ${describeRule(rule)}`);
   return `Conflict risk on ${filePath}: ${parts.join(' · ')}`;
 }
 
-module.exports = { upsertConflictBlocker, resolveStaleBlockers, buildDescription };
+module.exports = {
+  AUTO_RESOLVE_SET, logBlockerEvents, upsertBlocker, upsertConflictBlocker, resolveStaleBlockers, buildDescription,
+};
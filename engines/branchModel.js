@@ -0,0 +1,51 @@
+'use strict';
+
+const pool = require('../db/pool');
+const { matchesAny } = require('../utils/pathMatcher');
+
+/**
+ * A workspace's branch model: the trunk (default branch) plus protected /
+ * release branch patterns such as `release/*` or `develop`. Trunk-like
+ * branches are where work lands; every other branch is feature work that can
+ * collide with them or with each other.
+ *
+ * Until a default branch is configured or learned from a webhook, both `main`
+ * and `master` count as trunk.
+ */
+
+const LEGACY_TRUNKS = ['main', 'master'];
+
+/**
+ * @returns {Promise<{ defaultBranch: string|null, releaseBranchPatterns: string[] }>}
+ */
+async function loadBranchModel(workspaceId, db = pool) {
+  const r = await db.query(
+    'SELECT default_branch, release_branch_patterns FROM workspaces WHERE id = $1',
+    [workspaceId]
+  );
+  const row = r.rows[0];
+  return { defaultBranch: row?.default_branch ?? null, releaseBranchPatterns: row?.release_branch_patterns ?? [] };
+}
+
+/** The branch features merge into — completion goes to 100% there. */
+function isDefaultBranch(branch, model) {
+  return model.defaultBranch ? branch === model.defaultBranch : LEGACY_TRUNKS.includes(branch);
+}
+
+/** Default branch or any protected/release branch. */
+function isTrunk(branch, model) {
+  return isDefaultBranch(branch, model) || matchesAny(branch, model.releaseBranchPatterns);
+}
+
+/**
+ * Trunk-like branches among those with recorded activity, for SQL `= ANY($n)`.
+ */
+async function trunkBranches(workspaceId, model, db = pool) {
+  const r = await db.query(
+    'SELECT DISTINCT branch_name FROM file_activity WHERE workspace_id = $1',
+    [workspaceId]
+  );
+  return r.rows.map(row => row.branch_name).filter(branch => isTrunk(branch, model));
+}
+
+module.exports = { loadBranchModel, isDefaultBranch, isTrunk, trunkBranches };
@@ -2,21 +2,31 @@
 
 const pool               = require('../db/pool');
 const wsManager          = require('../websocket/wsManager');
+const mergeCheck         = require('./mergeCheck');
+const { loadRules, applyRules }                       = require('./pathRules');
+const { loadBranchModel, trunkBranches }              = require('./branchModel');
 const { classifySeverity }                            = require('./severityClassifier');
 const { upsertConflictBlocker, resolveStaleBlockers, buildDescription } = require('./blockerService');
 
+/**
+ * Files with recent activity on two or more feature branches, or on a feature
+ * branch and a trunk-like branch ($3: default and release branches). Trunk
+ * activity comes from pushes to trunk, so touches_main means "edited on a
+ * feature branch while trunk commits changed the same file".
+ */
 const BRANCH_OVERLAP_QUERY = `
   SELECT
     file_path,
-    COUNT(DISTINCT branch_name)                         AS branch_count,
-    ARRAY_AGG(DISTINCT branch_name)                     AS branches,
-    BOOL_OR(branch_name IN ('main','master'))           AS touches_main
+    COUNT(DISTINCT branch_name) FILTER (WHERE NOT branch_name = ANY($3))  AS branch_count,
+    ARRAY_AGG(DISTINCT branch_name) FILTER (WHERE NOT branch_name = ANY($3)) AS branches,
+    BOOL_OR(branch_name = ANY($3))                                          AS touches_main
   FROM file_activity
   WHERE workspace_id   = $1
-    AND branch_name NOT IN ('main','master')
     AND updated_at > NOW() - ($2 || ' hours')::INTERVAL
   GROUP BY file_path
-  HAVING COUNT(DISTINCT branch_name) > 1`;
+  HAVING COUNT(DISTINCT branch_name) FILTER (WHERE NOT branch_name = ANY($3)) > 1
+      OR (COUNT(DISTINCT branch_name) FILTER (WHERE NOT branch_name = ANY($3)) = 1
+          AND BOOL_OR(branch_name = ANY($3)))`;
 
 const PR_OVERLAP_QUERY = `
   SELECT
@@ -32,28 +42,38 @@ const PR_OVERLAP_QUERY = `
 
 /**
  * Core conflict detection engine.
- * Called asynchronously by the webhook handler — never on a schedule.
+ * Run by the job workers (engine.conflict, pull_request.sync) — never on a schedule.
  * All reads and writes occur inside one transaction; partial state is never committed.
+ * Errors are rethrown so the job queue can retry.
+ *
+ * @param {{ rescan?: boolean }} [opts]  rescan re-evaluates every overlap without
+ *        a triggering push (e.g. after path rules change)
  */
-async function runConflictEngine(workspaceId, modifiedFiles, triggerBranch) {
-  if (!modifiedFiles || modifiedFiles.length === 0) return;
+async function runConflictEngine(workspaceId, modifiedFiles, triggerBranch, { rescan = false } = {}) {
+  if (!rescan && (!modifiedFiles || modifiedFiles.length === 0)) return;
 
   const start = Date.now();
-  console.log(`[ConflictEngine] Start — workspace=${workspaceId} branch=${triggerBranch} files=${modifiedFiles.length}`);
+  console.log(`[ConflictEngine] Start — workspace=${workspaceId} branch=${triggerBranch} files=${modifiedFiles?.length ?? 'rescan'}`);
+
+  // Workspace config, and the git mirror refreshed before the transaction opens
+  const wsRow = await pool.query(
+    'SELECT id, activity_window_hours, github_repo, mirror_remote FROM workspaces WHERE id = $1',
+    [workspaceId]
+  );
+  const workspace   = wsRow.rows[0];
+  const windowHours = workspace?.activity_window_hours ?? 72;
+  if (workspace && mergeCheck.isEnabled()) {
+    await mergeCheck.syncMirror(workspace)
+      .catch(err => console.error(`[ConflictEngine] Mirror sync failed — workspace=${workspaceId}:`, err.message));
+  }
 
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    // Fetch activity window configured for this workspace
-    const wsRow = await client.query(
-      'SELECT activity_window_hours FROM workspaces WHERE id = $1',
-      [workspaceId]
-    );
-    const windowHours = wsRow.rows[0]?.activity_window_hours ?? 72;
-
-    // Step 1 — Detect branch overlaps
-    const branchResult = await client.query(BRANCH_OVERLAP_QUERY, [workspaceId, windowHours]);
+    // Step 1 — Detect branch overlaps, with trunk per the workspace's branch model
+    const trunks       = await trunkBranches(workspaceId, await loadBranchModel(workspaceId, client), client);
+    const branchResult = await client.query(BRANCH_OVERLAP_QUERY, [workspaceId, windowHours, trunks]);
 
     // Step 2 — Detect PR overlaps
     const prResult = await client.query(PR_OVERLAP_QUERY, [workspaceId]);
@@ -64,7 +84,7 @@ async function runConflictEngine(workspaceId, modifiedFiles, triggerBranch) {
     for (const row of branchResult.rows) {
       conflictMap.set(row.file_path, {
         branchCount:  parseInt(row.branch_count, 10),
-        branches:     row.branches,
+        branches:     row.branches ?? [],
         touchesMain:  row.touches_main,
         prCount:      0,
         prNumbers:    [],
@@ -75,22 +95,43 @@ async function runConflictEngine(workspaceId, modifiedFiles, triggerBranch) {
       const existing = conflictMap.get(row.file_path) ?? { branchCount: 0, branches: [], touchesMain: false };
       conflictMap.set(row.file_path, {
         ...existing,
-        prCount:   parseInt(row.pr_count, 10),
-        prNumbers: row.pr_numbers,
+        prCount:        parseInt(row.pr_count, 10),
+        prNumbers:      row.pr_numbers,
+        sourceBranches: row.source_branches,
       });
     }
 
-    // Step 4 — Classify severity and upsert blockers
+    // Step 3a — Drop files the workspace's path rules ignore
+    const { rules } = await loadRules(workspaceId, client);
+    const ignoredFiles = [];
+    for (const filePath of [...conflictMap.keys()]) {
+      if (applyRules('LOW', filePath, rules).severity === null) {
+        conflictMap.delete(filePath);
+        ignoredFiles.push(filePath);
+      }
+    }
+
+    // Step 3b — Optional: merge the branches in the git mirror to tell disjoint
+    //           edits from overlapping lines and real textual conflicts
+    if (workspace && mergeCheck.isEnabled()) {
+      const filesToBranches = new Map(
+        [...conflictMap].map(([filePath, s]) => [filePath, [...s.branches, ...(s.sourceBranches ?? [])]])
+      );
+      const merged = await mergeCheck.analyzeOverlaps(workspace, filesToBranches);
+      for (const [filePath, result] of merged) Object.assign(conflictMap.get(filePath), result);
+    }
+
+    // Step 4 — Classify severity, adjust by path rule and upsert blockers
     const newBlockers = [];
     for (const [filePath, signals] of conflictMap.entries()) {
-      const severity    = classifySeverity(signals);
-      const description = buildDescription(filePath, signals);
+      const { severity, rule } = applyRules(classifySeverity(signals), filePath, rules);
+      const description = buildDescription(filePath, signals, rule);
       await upsertConflictBlocker(client, { workspaceId, filePath, severity, description });
       newBlockers.push({ filePath, severity, signals });
     }
 
-    // Step 5 — Auto-resolve blockers where conflict no longer exists
-    await resolveStaleBlockers(client, workspaceId, windowHours);
+    // Step 5 — Auto-resolve blockers where conflict no longer exists or is ignored
+    await resolveStaleBlockers(client, workspaceId, windowHours, trunks, ignoredFiles);
 
     await client.query('COMMIT');
 
@@ -108,8 +149,8 @@ async function runConflictEngine(workspaceId, modifiedFiles, triggerBranch) {
 
   } catch (err) {
     await client.query('ROLLBACK');
-    // Engine failure must NEVER crash the server — webhook already responded 200
-    console.error('[ConflictEngine] Error:', err.message, err.stack);
+    console.error('[ConflictEngine] Error:', err.message);
+    throw err;
   } finally {
     client.release();
   }
@@ -0,0 +1,184 @@
+'use strict';
+
+const pool = require('../db/pool');
+
+/**
+ * Feature dependency graph. An edge feature → dependsOn means `feature` can't
+ * finish before `dependsOn` is COMPLETE. wouldCreateCycle is checked before
+ * every insert, but edges stored before that check existed may still form
+ * cycles, so analyzeGraph reports them instead of assuming a DAG.
+ *
+ * Remaining work of a feature = 100 − completion_percentage, 0 once COMPLETE.
+ */
+
+function _remaining(feature) {
+  return feature.status === 'COMPLETE' ? 0 : 100 - (feature.completion_percentage ?? 0);
+}
+
+/**
+ * Pure — true when adding feature → dependsOn closes a cycle, i.e. dependsOn
+ * already reaches feature through existing edges.
+ * @param {Array<{ feature_id: string, depends_on_feature_id: string }>} edges
+ */
+function wouldCreateCycle(edges, featureId, dependsOnId) {
+  if (featureId === dependsOnId) return true;
+  return _reach(_adjacency(edges), dependsOnId).has(featureId);
+}
+
+function _adjacency(edges) {
+  const deps = new Map(); // feature → [dependsOn]
+  for (const e of edges) {
+    if (!deps.has(e.feature_id)) deps.set(e.feature_id, []);
+    deps.get(e.feature_id).push(e.depends_on_feature_id);
+  }
+  return deps;
+}
+
+/** Every feature reachable from `id` along dependency edges. */
+function _reach(deps, id) {
+  const seen = new Set();
+  const stack = [...(deps.get(id) ?? [])];
+  while (stack.length > 0) {
+    const next = stack.pop();
+    if (seen.has(next)) continue;
+    seen.add(next);
+    stack.push(...(deps.get(next) ?? []));
+  }
+  return seen;
+}
+
+/**
+ * Pure — analyses the graph.
+ *
+ *   order            topological, dependencies first (Kahn; ties by name)
+ *   criticalPath     dependency chain with the most remaining work, first to last
+ *   features[].blockedBy   every incomplete feature it transitively waits on
+ *   nextUnblockable  blocked features whose incomplete dependencies are all
+ *                    workable now — finishing those unblocks them next
+ *   cycles           groups of features that depend on each other, each
+ *                    sorted by name
+ *
+ * Features in a cycle, or downstream of one, have no topological position:
+ * they're left out of `order` and `criticalPath` but still listed in
+ * `features` (after the ordered ones) with their blockedBy.
+ *
+ * @param {object[]} features  rows with id, name, status, completion_percentage
+ * @param {object[]} edges     rows with feature_id, depends_on_feature_id
+ */
+function analyzeGraph(features, edges) {
+  const byId = new Map(features.map(f => [f.id, f]));
+  const live = edges.filter(e => byId.has(e.feature_id) && byId.has(e.depends_on_feature_id));
+  const deps = _adjacency(live);
+  const dependents = new Map(features.map(f => [f.id, []]));
+  for (const e of live) dependents.get(e.depends_on_feature_id).push(e.feature_id);
+
+  // Topological order
+  const indegree = new Map(features.map(f => [f.id, (deps.get(f.id) ?? []).length]));
+  const byName   = (a, b) => byId.get(a).name.localeCompare(byId.get(b).name);
+  const ready    = features.filter(f => indegree.get(f.id) === 0).map(f => f.id).sort(byName);
+  const order    = [];
+  while (ready.length > 0) {
+    const id = ready.shift();
+    order.push(id);
+    for (const next of dependents.get(id)) {
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) { ready.push(next); ready.sort(byName); }
+    }
+  }
+
+  // Leftovers sit on or behind a cycle; group those that reach each other
+  const placed    = new Set(order);
+  const leftovers = features.map(f => f.id).filter(id => !placed.has(id)).sort(byName);
+  const reach     = new Map(leftovers.map(id => [id, _reach(deps, id)]));
+  const cycles    = [];
+  const inCycle   = new Set();
+  for (const id of leftovers) {
+    if (inCycle.has(id) || !reach.get(id).has(id)) continue;
+    const cycle = leftovers.filter(other => reach.get(id).has(other) && reach.get(other).has(id));
+    cycle.forEach(c => inCycle.add(c));
+    cycles.push(cycle);
+  }
+
+  // Longest remaining-work chain ending at each feature, in topological order
+  const best = new Map(); // id → { weight, prev }
+  for (const id of order) {
+    let prev = null;
+    let weight = 0;
+    for (const dep of deps.get(id) ?? []) {
+      if (best.get(dep).weight > weight) { weight = best.get(dep).weight; prev = dep; }
+    }
+    best.set(id, { weight: weight + _remaining(byId.get(id)), prev });
+  }
+  let tail = null;
+  for (const id of order) {
+    if (!tail || best.get(id).weight > best.get(tail).weight) tail = id;
+  }
+  const criticalPath = [];
+  for (let id = tail; id && best.get(tail).weight > 0; id = best.get(id).prev) criticalPath.unshift(id);
+
+  // Transitive incomplete dependencies, memoised along the topological order
+  const blockedBy = new Map();
+  for (const id of order) {
+    const set = new Set();
+    for (const dep of deps.get(id) ?? []) {
+      if (byId.get(dep).status !== 'COMPLETE') set.add(dep);
+      for (const t of blockedBy.get(dep)) set.add(t);
+    }
+    blockedBy.set(id, set);
+  }
+  for (const id of leftovers) {
+    blockedBy.set(id, new Set([...reach.get(id)].filter(d => d !== id && byId.get(d).status !== 'COMPLETE')));
+  }
+  const listed = [...order, ...leftovers];
+
+  const incompleteDeps = (id) => (deps.get(id) ?? []).filter(d => byId.get(d).status !== 'COMPLETE');
+  const nextUnblockable = listed
+    .filter(id => byId.get(id).status !== 'COMPLETE' && incompleteDeps(id).length > 0)
+    .filter(id => incompleteDeps(id).every(d => blockedBy.get(d).size === 0))
+    .map(id => ({ featureId: id, name: byId.get(id).name, waitingOn: incompleteDeps(id) }));
+
+  return {
+    order,
+    criticalPath: {
+      featureIds:    criticalPath,
+      remainingWork: tail ? best.get(tail).weight : 0,
+    },
+    features: listed.map(id => {
+      const f = byId.get(id);
+      return {
+        id,
+        name:                 f.name,
+        status:               f.status,
+        completionPercentage: f.completion_percentage,
+        remainingWork:        _remaining(f),
+        dependsOn:            deps.get(id) ?? [],
+        dependents:           dependents.get(id),
+        blockedBy:            [...blockedBy.get(id)],
+      };
+    }),
+    nextUnblockable,
+    cycles,
+  };
+}
+
+/**
+ * @returns {Promise<{ features: object[], edges: object[] }>}
+ */
+async function loadGraph(workspaceId, db = pool) {
+  const [features, edges] = await Promise.all([
+    db.query(
+      'SELECT id, name, status, completion_percentage FROM features WHERE workspace_id = $1',
+      [workspaceId]
+    ),
+    db.query(
+      `SELECT fd.id, fd.feature_id, fd.depends_on_feature_id
+       FROM feature_dependencies fd
+       JOIN features f ON f.id = fd.feature_id
+       WHERE f.workspace_id = $1`,
+      [workspaceId]
+    ),
+  ]);
+  return { features: features.rows, edges: edges.rows };
+}
+
+module.exports = { wouldCreateCycle, analyzeGraph, loadGraph };
@@ -3,30 +3,40 @@
 const pool       = require('../db/pool');
 const wsManager  = require('../websocket/wsManager');
 const { recalculate } = require('./healthEngine');
+const { closeTasks, refreshCompletion } = require('./featureProgress');
+const { upsertBlocker, logBlockerEvents, AUTO_RESOLVE_SET } = require('./blockerService');
+const { filterMatching } = require('../utils/pathMatcher');
 
 /**
- * Feature Engine — maps committed files to features, updates completion,
+ * Feature Engine — maps committed files to features, ticks tasks closed by
+ * commit messages, recomputes completion from evidence (featureProgress.js),
  * and creates DEPENDENCY_BLOCK blockers when upstream features are incomplete.
  *
- * Called asynchronously after webhook file_activity upsert.
+ * Run by the job workers (engine.feature) after the webhook's file_activity
+ * upsert. Errors are rethrown so the job queue can retry.
  */
-async function runFeatureEngine(workspaceId, modifiedFiles, commitHash) {
-  if (!modifiedFiles || modifiedFiles.length === 0) return;
+async function runFeatureEngine(workspaceId, modifiedFiles, commitHash, taskRefs = []) {
+  modifiedFiles = modifiedFiles ?? [];
+  if (modifiedFiles.length === 0 && taskRefs.length === 0) return;
 
-  console.log(`[FeatureEngine] Start — workspace=${workspaceId} files=${modifiedFiles.length}`);
+  console.log(`[FeatureEngine] Start — workspace=${workspaceId} files=${modifiedFiles.length} taskRefs=${taskRefs.length}`);
 
   try {
+    // 0. `closes-task: <id>` in commit messages
+    const tickedFeatureIds = await closeTasks(workspaceId, taskRefs);
+
     // 1. Find features that own at least one of the modified files
-    //    (Feature-to-file mapping: stored as file path patterns in feature description for MVP)
-    //    For MVP: match by checking if any feature description contains the file path keyword
+    //    (Feature-to-file mapping: glob patterns in features.path_patterns)
     const featuresResult = await pool.query(
-      `SELECT f.id, f.name, f.status, f.completion_percentage, f.owner_uid
+      `SELECT f.id, f.name, f.status, f.completion_percentage, f.owner_uid, f.path_patterns
        FROM features f
-       WHERE f.workspace_id = $1 AND f.status != 'COMPLETE'`,
+       WHERE f.workspace_id = $1 AND f.status != 'COMPLETE'
+         AND cardinality(f.path_patterns) > 0`,
       [workspaceId]
     );
+    const touched = featuresResult.rows.filter(f => filterMatching(modifiedFiles, f.path_patterns).length > 0);
 
-    for (const feature of featuresResult.rows) {
+    for (const feature of touched) {
       // 2. Check if this feature has incomplete dependencies
       const depResult = await pool.query(
         `SELECT fd.depends_on_feature_id, f2.status, f2.name
@@ -43,51 +53,100 @@ async function runFeatureEngine(workspaceId, modifiedFiles, commitHash) {
           [feature.id]
         );
 
-        // Create DEPENDENCY_BLOCK blocker (dedup via unique index)
+        // Create DEPENDENCY_BLOCK blocker (no-op while one is active or a human suppressed it)
         const blockingNames = depResult.rows.map(r => r.name).join(', ');
-        await pool.query(
-          `INSERT INTO blockers (workspace_id, type, reference_id, description, severity, resolved)
-           VALUES ($1, 'DEPENDENCY_BLOCK', $2, $3, 'HIGH', false)
-           ON CONFLICT (workspace_id, type, reference_id) WHERE resolved = false DO NOTHING`,
-          [workspaceId, feature.id, `Feature "${feature.name}" blocked by: ${blockingNames}`]
-        );
-
-        wsManager.broadcastToWorkspace(workspaceId, {
-          type:        'BLOCKER_CREATED',
-          featureId:   feature.id,
-          featureName: feature.name,
-          blockedBy:   depResult.rows.map(r => r.name),
+        const outcome = await upsertBlocker(pool, {
+          workspaceId,
+          type:        'DEPENDENCY_BLOCK',
+          referenceId: feature.id,
+          severity:    'HIGH',
+          description: `Feature "${feature.name}" blocked by: ${blockingNames}`,
+          actor:       'engine:feature',
         });
 
+        if (outcome === 'created') {
+          wsManager.broadcastToWorkspace(workspaceId, {
+            type:        'BLOCKER_CREATED',
+            blockerType: 'DEPENDENCY_BLOCK',
+            severity:    'HIGH',
+            featureId:   feature.id,
+            featureName: feature.name,
+            blockedBy:   depResult.rows.map(r => r.name),
+          });
+        }
+
       } else if (feature.status === 'BLOCKED') {
         // Dependencies resolved — unblock feature
         await pool.query(
           `UPDATE features SET status = 'ACTIVE' WHERE id = $1`,
           [feature.id]
         );
-        await pool.query(
-          `UPDATE blockers SET resolved = true
-           WHERE workspace_id = $1 AND type = 'DEPENDENCY_BLOCK' AND reference_id = $2`,
+        const resolved = await pool.query(
+          `UPDATE blockers SET ${AUTO_RESOLVE_SET}
+           WHERE workspace_id = $1 AND type = 'DEPENDENCY_BLOCK' AND reference_id = $2 AND resolved = false
+           RETURNING id`,
           [workspaceId, feature.id]
         );
+        await logBlockerEvents(pool, resolved.rows.map(r => r.id), {
+          action: 'resolved', actor: 'engine:feature', detail: { resolution: 'auto' },
+        });
       }
-
-      // 3. Bump completion percentage (simple heuristic: +5% per commit touching feature)
-      //    Capped at 95% — 100% only on explicit merge to main
-      const newPct = Math.min(95, (feature.completion_percentage || 0) + 5);
-      await pool.query(
-        `UPDATE features SET completion_percentage = $1 WHERE id = $2`,
-        [newPct, feature.id]
-      );
     }
 
+    // 3. Recompute completion from tasks, linked PRs and path coverage
+    const refreshIds = [...new Set([...touched.map(f => f.id), ...tickedFeatureIds])];
+    if (refreshIds.length > 0) await refreshCompletion(workspaceId, refreshIds);
+
     await recalculate(workspaceId);
 
-    console.log(`[FeatureEngine] Done — workspace=${workspaceId}`);
+    console.log(`[FeatureEngine] Done — workspace=${workspaceId} features=${refreshIds.length}`);
 
   } catch (err) {
-    console.error('[FeatureEngine] Error:', err.message, err.stack);
+    console.error('[FeatureEngine] Error:', err.message);
+    throw err;
   }
 }
 
-module.exports = { runFeatureEngine };
+/**
+ * Work on `files` has merged into the default branch: every open feature owning
+ * one of them is complete — unless it still has open tasks, in which case the
+ * merge only counts as evidence. Called for merged PRs and for branch merges
+ * seen as a push to the default branch.
+ */
+async function runFeatureMerge(workspaceId, files, { sourceBranches = [], targetBranch } = {}) {
+  if (!files || files.length === 0) return;
+
+  const featuresResult = await pool.query(
+    `SELECT f.id, f.name, f.path_patterns,
+            EXISTS (SELECT 1 FROM feature_tasks t WHERE t.feature_id = f.id AND t.done = false) AS has_open_tasks
+     FROM features f
+     WHERE f.workspace_id = $1 AND f.status != 'COMPLETE'
+       AND cardinality(f.path_patterns) > 0`,
+    [workspaceId]
+  );
+  const owning = featuresResult.rows.filter(f => filterMatching(files, f.path_patterns).length > 0);
+  const merged = owning.filter(f => !f.has_open_tasks);
+  const open   = owning.filter(f => f.has_open_tasks);
+
+  for (const feature of merged) {
+    await pool.query(
+      `UPDATE features SET status = 'COMPLETE', completion_percentage = 100, completion_source = 'merged',
+                           completion_detail = $2
+       WHERE id = $1`,
+      [feature.id, JSON.stringify({ mergedInto: targetBranch, sourceBranches })]
+    );
+    wsManager.broadcastToWorkspace(workspaceId, {
+      type:        'FEATURE_COMPLETED',
+      featureId:   feature.id,
+      featureName: feature.name,
+      sourceBranches,
+      targetBranch,
+    });
+  }
+
+  if (open.length > 0) await refreshCompletion(workspaceId, open.map(f => f.id));
+  if (owning.length > 0) await recalculate(workspaceId);
+  console.log(`[FeatureEngine] Merge into ${targetBranch} — workspace=${workspaceId} completed=${merged.length}`);
+}
+
+module.exports = { runFeatureEngine, runFeatureMerge };
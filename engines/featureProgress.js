@@ -0,0 +1,187 @@
+'use strict';
+
+const pool       = require('../db/pool');
+const wsManager  = require('../websocket/wsManager');
+const mergeCheck = require('./mergeCheck');
+const { loadBranchModel } = require('./branchModel');
+const { filterMatching }  = require('../utils/pathMatcher');
+
+/**
+ * Evidence-based feature completion. Each available signal is a ratio and the
+ * completion is their mean:
+ *
+ *   tasks         checklist items done / total
+ *   pullRequests  linked PRs merged / linked PRs not closed unmerged
+ *                 (a PR is linked when it touches one of the feature's paths)
+ *   paths         owned files changed on the default branch since the feature
+ *                 was created / owned files — opt-in per feature
+ *                 (track_path_coverage), needs the merge-check mirror
+ *
+ * A feature with no evidence keeps its manually set completion
+ * (completion_source 'manual'). Features completed by a merge into the
+ * default branch ('merged') are left alone.
+ */
+
+const TASK_REF = /\bcloses?-tasks?:\s*(#?\d+(?:\s*,\s*#?\d+)*)/gi;
+
+/**
+ * Pure — task ids referenced as `closes-task: 42` (or `closes-tasks: 4, #7`).
+ * @returns {string[]}
+ */
+function parseTaskRefs(message) {
+  const ids = [];
+  for (const m of String(message ?? '').matchAll(TASK_REF)) {
+    for (const id of m[1].split(',')) ids.push(id.trim().replace(/^#/, ''));
+  }
+  return [...new Set(ids)].filter(id => id.length <= 18);   // BIGINT range
+}
+
+/**
+ * Pure — combines the available signals.
+ * @returns {{ percentage: number, signals: object }|null} null without evidence
+ */
+function computeCompletion({ tasks, pullRequests, paths }) {
+  const signals = {};
+  if (tasks?.total > 0)        signals.tasks        = tasks.done / tasks.total;
+  if (pullRequests?.linked > 0) signals.pullRequests = pullRequests.merged / pullRequests.linked;
+  if (paths?.owned > 0)        signals.paths        = paths.changed / paths.owned;
+
+  const ratios = Object.values(signals);
+  if (ratios.length === 0) return null;
+  const mean = ratios.reduce((a, b) => a + b, 0) / ratios.length;
+  return { percentage: Math.round(mean * 100), signals };
+}
+
+// ─── Evidence ──────────────────────────────────────────────────────────────────
+
+async function _taskCounts(featureIds) {
+  const r = await pool.query(
+    `SELECT feature_id, COUNT(*) AS total, COUNT(*) FILTER (WHERE done) AS done
+     FROM feature_tasks WHERE feature_id = ANY($1::uuid[])
+     GROUP BY feature_id`,
+    [featureIds]
+  );
+  return new Map(r.rows.map(row => [row.feature_id, { total: parseInt(row.total, 10), done: parseInt(row.done, 10) }]));
+}
+
+async function _pullRequests(workspaceId) {
+  const r = await pool.query(
+    `SELECT pr.pr_number, pr.status, ARRAY_AGG(pf.file_path) AS files
+     FROM pull_requests pr
+     JOIN pr_files pf ON pf.pr_id = pr.id
+     WHERE pr.workspace_id = $1 AND pr.status != 'closed'
+     GROUP BY pr.id`,
+    [workspaceId]
+  );
+  return r.rows;
+}
+
+function _linkedPrs(feature, prs) {
+  const linked = prs.filter(pr => filterMatching(pr.files, feature.path_patterns).length > 0);
+  return {
+    linked:    linked.length,
+    merged:    linked.filter(pr => pr.status === 'merged').length,
+    prNumbers: linked.map(pr => pr.pr_number),
+  };
+}
+
+/**
+ * Path coverage against the mirror's default branch; null when unavailable.
+ */
+async function _pathCoverage(workspace, trunk, tree, feature) {
+  if (!tree) return null;
+  const owned = filterMatching(tree, feature.path_patterns);
+  if (owned.length === 0) return null;
+  const changed = await mergeCheck.filesChangedSince(workspace, trunk, feature.created_at);
+  if (!changed) return null;
+  const changedSet = new Set(changed);
+  return { owned: owned.length, changed: owned.filter(f => changedSet.has(f)).length, branch: trunk };
+}
+
+// ─── Refresh ───────────────────────────────────────────────────────────────────
+
+/**
+ * Recomputes completion for the given features (all of the workspace's when
+ * omitted) and persists it with its evidence.
+ * @returns {Promise<string[]>} ids of features that became COMPLETE
+ */
+async function refreshCompletion(workspaceId, featureIds = null) {
+  const featuresResult = await pool.query(
+    `SELECT id, name, status, completion_percentage, completion_source, path_patterns,
+            track_path_coverage, created_at
+     FROM features
+     WHERE workspace_id = $1 AND ($2::uuid[] IS NULL OR id = ANY($2::uuid[]))
+       AND NOT (status = 'COMPLETE' AND completion_source = 'merged')`,
+    [workspaceId, featureIds]
+  );
+  const features = featuresResult.rows;
+  if (features.length === 0) return [];
+
+  const [tasks, prs] = await Promise.all([_taskCounts(features.map(f => f.id)), _pullRequests(workspaceId)]);
+
+  let workspace = null;
+  let trunk     = null;
+  let tree      = null;
+  if (mergeCheck.isEnabled() && features.some(f => f.track_path_coverage)) {
+    const ws = await pool.query('SELECT id, github_repo, mirror_remote FROM workspaces WHERE id = $1', [workspaceId]);
+    workspace = ws.rows[0];
+    trunk     = (await loadBranchModel(workspaceId)).defaultBranch ?? 'main';
+    tree      = await mergeCheck.listTree(workspace, trunk).catch(() => null);
+  }
+
+  const completed = [];
+  for (const feature of features) {
+    const evidence = {
+      tasks:        tasks.get(feature.id) ?? { total: 0, done: 0 },
+      pullRequests: _linkedPrs(feature, prs),
+      paths:        feature.track_path_coverage ? await _pathCoverage(workspace, trunk, tree, feature).catch(() => null) : null,
+    };
+    const result = computeCompletion(evidence);
+    if (!result) continue;
+
+    const complete = result.percentage === 100;
+    const status   = complete ? 'COMPLETE'
+                   : feature.status === 'COMPLETE' ? 'ACTIVE'
+                   : feature.status;
+    await pool.query(
+      `UPDATE features SET completion_percentage = $2, completion_source = 'evidence',
+                           completion_detail = $3, status = $4
+       WHERE id = $1`,
+      [feature.id, result.percentage, JSON.stringify({ ...evidence, signals: result.signals }), status]
+    );
+
+    if (complete && feature.status !== 'COMPLETE') {
+      completed.push(feature.id);
+      wsManager.broadcastToWorkspace(workspaceId, {
+        type:        'FEATURE_COMPLETED',
+        featureId:   feature.id,
+        featureName: feature.name,
+        source:      'evidence',
+      });
+    }
+  }
+  return completed;
+}
+
+/**
+ * Ticks tasks closed by commit messages. Task ids are global, so only tasks of
+ * this workspace's features are touched.
+ * @param {Array<{ taskId: string, commit: string }>} refs
+ * @returns {Promise<string[]>} ids of features whose tasks changed
+ */
+async function closeTasks(workspaceId, refs) {
+  const featureIds = new Set();
+  for (const { taskId, commit } of refs ?? []) {
+    const r = await pool.query(
+      `UPDATE feature_tasks t SET done = true, done_at = NOW(), done_by = $3
+       FROM features f
+       WHERE f.id = t.feature_id AND f.workspace_id = $1 AND t.id = $2 AND t.done = false
+       RETURNING t.feature_id`,
+      [workspaceId, taskId, commit]
+    );
+    r.rows.forEach(row => featureIds.add(row.feature_id));
+  }
+  return [...featureIds];
+}
+
+module.exports = { parseTaskRefs, computeCompletion, refreshCompletion, closeTasks };
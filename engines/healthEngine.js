@@ -2,40 +2,36 @@
 
 const pool      = require('../db/pool');
 const wsManager = require('../websocket/wsManager');
+const { getInactiveMembers } = require('./memberActivity');
+const { loadProfile }        = require('./healthProfile');
 
 /**
- * Health Score Formula (from spec):
- *   Health = (Feature Completion Avg * 0.4)
- *            - (Active Blockers    * 5)
- *            - (Conflict Risks     * 3)
- *            - (Inactive Members   * 5)
- *   Clamped: 0 – 100
+ * Health Score Formula (per-workspace profile, see healthProfile.js):
+ *   Health = Base Score
+ *            + (Feature Completion Avg * completionWeight)
+ *            - Σ (Active Blockers by severity * blockerPenalty[severity])
+ *            - (Conflict Risks     * conflictPenalty)
+ *            - (Inactive Members   * inactivePenalty)
+ *   Each penalty term may be capped; result clamped 0 – 100.
+ *
+ * INACTIVITY blockers are left out of Active Blockers — idle members are
+ * already penalised through the Inactive Members term. Snoozed blockers are
+ * left out of every term until their snooze ends.
+ *
+ * Every recalculation is stored in health_snapshots with its inputs.
+ * HEALTH_UPDATE is only broadcast when the score or risk level moved.
  */
 async function recalculate(workspaceId) {
   try {
-    const [featureAvg, blockerCounts, inactiveCount] = await Promise.all([
-      _getFeatureCompletionAvg(workspaceId),
-      _getBlockerCounts(workspaceId),
-      _getInactiveMemberCount(workspaceId),
-    ]);
-
-    const raw = (
-        (featureAvg              * 0.4)
-      - (blockerCounts.total    * 5)
-      - (blockerCounts.conflict * 3)
-      - (inactiveCount          * 5)
-    );
-
-    const score    = Math.min(100, Math.max(0, Math.round(raw)));
-    const riskLevel = score >= 80 ? 'HEALTHY' : score >= 50 ? 'WARNING' : 'CRITICAL';
+    const { inputs, profile } = await _gather(workspaceId);
+    const { score, riskLevel } = computeHealth(inputs, profile);
 
-    // Persist updated score
-    await pool.query(
-      'UPDATE workspaces SET health_score = $1 WHERE id = $2',
-      [score, workspaceId]
-    );
+    // Persist updated score and snapshot it with its inputs
+    const previousScore = await _persist(workspaceId, { score, riskLevel, ...inputs });
 
-    wsManager.broadcastToWorkspace(workspaceId, { type: 'HEALTH_UPDATE', score, riskLevel });
+    if (previousScore !== score || _riskLevel(previousScore, profile) !== riskLevel) {
+      wsManager.broadcastToWorkspace(workspaceId, { type: 'HEALTH_UPDATE', score, riskLevel, previousScore });
+    }
 
     console.log(`[HealthEngine] workspace=${workspaceId} score=${score} (${riskLevel})`);
     return { score, riskLevel };
@@ -45,40 +41,140 @@ async function recalculate(workspaceId) {
   }
 }
 
-async function _getFeatureCompletionAvg(workspaceId) {
+/**
+ * Itemised breakdown of the current score — same inputs and profile as
+ * recalculate, nothing persisted or broadcast.
+ */
+async function explain(workspaceId) {
+  const { inputs, profile } = await _gather(workspaceId);
+  return { ...computeHealth(inputs, profile), inputs, profile };
+}
+
+/**
+ * Pure function — scores a set of inputs under a profile.
+ * @returns {{ score: number, riskLevel: string, raw: number, items: object[] }}
+ */
+function computeHealth(inputs, profile) {
+  const { featureAvg, featureCount, blockerCounts, inactiveCount } = inputs;
+  const items = [];
+  const penalty = (term, input, weight, uncapped, cap) => {
+    const applied = cap === null ? uncapped : Math.min(uncapped, cap);
+    items.push({ term, input, weight, contribution: -applied, uncapped: -uncapped, cap, capped: applied < uncapped });
+    return applied;
+  };
+
+  items.push({ term: 'baseScore', contribution: profile.baseScore });
+
+  const completion = featureCount === 0 ? profile.emptyWorkspaceCompletion : featureAvg;
+  items.push({
+    term:         'featureCompletion',
+    input:        completion,
+    weight:       profile.completionWeight,
+    contribution: completion * profile.completionWeight,
+    ...(featureCount === 0 ? { note: 'no features yet — using emptyWorkspaceCompletion' } : {}),
+  });
+
+  const severities = ['LOW', 'MEDIUM', 'HIGH'];
+  penalty(
+    'blockers',
+    blockerCounts.bySeverity,
+    profile.blockerPenalty,
+    severities.reduce((sum, sev) => sum + blockerCounts.bySeverity[sev] * profile.blockerPenalty[sev], 0),
+    profile.caps.blockers
+  );
+  penalty('conflicts', blockerCounts.conflict, profile.conflictPenalty,
+    blockerCounts.conflict * profile.conflictPenalty, profile.caps.conflicts);
+  penalty('inactiveMembers', inactiveCount, profile.inactivePenalty,
+    inactiveCount * profile.inactivePenalty, profile.caps.inactiveMembers);
+
+  const raw   = items.reduce((sum, item) => sum + item.contribution, 0);
+  const score = Math.min(100, Math.max(0, Math.round(raw)));
+  return { score, riskLevel: _riskLevel(score, profile), raw, items };
+}
+
+async function _gather(workspaceId) {
+  const [completion, blockerCounts, inactiveCount, { profile }] = await Promise.all([
+    _getFeatureCompletion(workspaceId),
+    _getBlockerCounts(workspaceId),
+    _getInactiveMemberCount(workspaceId),
+    loadProfile(workspaceId),
+  ]);
+  return { inputs: { ...completion, blockerCounts, inactiveCount }, profile };
+}
+
+function _riskLevel(score, { thresholds }) {
+  if (score === null) return null;
+  return score >= thresholds.healthy ? 'HEALTHY' : score >= thresholds.warning ? 'WARNING' : 'CRITICAL';
+}
+
+/**
+ * @returns {Promise<number|null>} the score before this update
+ */
+async function _persist(workspaceId, { score, riskLevel, featureAvg, blockerCounts, inactiveCount }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const prev = await client.query(
+      'SELECT health_score FROM workspaces WHERE id = $1 FOR UPDATE',
+      [workspaceId]
+    );
+    await client.query(
+      'UPDATE workspaces SET health_score = $1 WHERE id = $2',
+      [score, workspaceId]
+    );
+    await client.query(
+      `INSERT INTO health_snapshots (workspace_id, score, risk_level, feature_completion_avg,
+                                     blocker_count, conflict_count, inactive_members)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+      [workspaceId, score, riskLevel, featureAvg.toFixed(2),
+       blockerCounts.total, blockerCounts.conflict, inactiveCount]
+    );
+    await client.query('COMMIT');
+    return prev.rows[0]?.health_score ?? null;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function _getFeatureCompletion(workspaceId) {
   const r = await pool.query(
-    'SELECT COALESCE(AVG(completion_percentage), 0) AS avg FROM features WHERE workspace_id = $1',
+    'SELECT COALESCE(AVG(completion_percentage), 0) AS avg, COUNT(*) AS count FROM features WHERE workspace_id = $1',
     [workspaceId]
   );
-  return parseFloat(r.rows[0].avg);
+  return { featureAvg: parseFloat(r.rows[0].avg), featureCount: parseInt(r.rows[0].count) };
 }
 
 async function _getBlockerCounts(workspaceId) {
   const r = await pool.query(
     `SELECT
-       COUNT(*)                                               AS total,
-       COUNT(*) FILTER (WHERE type = 'FILE_CONFLICT_RISK')   AS conflict
-     FROM blockers WHERE workspace_id = $1 AND resolved = FALSE`,
+       COUNT(*) FILTER (WHERE type <> 'INACTIVITY')                          AS total,
+       COUNT(*) FILTER (WHERE type <> 'INACTIVITY' AND severity = 'LOW')     AS low,
+       COUNT(*) FILTER (WHERE type <> 'INACTIVITY' AND severity = 'MEDIUM')  AS medium,
+       COUNT(*) FILTER (WHERE type <> 'INACTIVITY' AND severity = 'HIGH')    AS high,
+       COUNT(*) FILTER (WHERE type = 'FILE_CONFLICT_RISK')                   AS conflict
+     FROM blockers
+     WHERE workspace_id = $1 AND resolved = FALSE
+       AND NOT (state = 'snoozed' AND snoozed_until > NOW())`,
     [workspaceId]
   );
-  return { total: parseInt(r.rows[0].total), conflict: parseInt(r.rows[0].conflict) };
+  const row = r.rows[0];
+  return {
+    total:      parseInt(row.total),
+    conflict:   parseInt(row.conflict),
+    bySeverity: { LOW: parseInt(row.low), MEDIUM: parseInt(row.medium), HIGH: parseInt(row.high) },
+  };
 }
 
 async function _getInactiveMemberCount(workspaceId) {
-  // Inactive = no file_activity in last 7 days for any branch containing the username
   const r = await pool.query(
-    `SELECT COUNT(*) AS count
-     FROM users u
-     WHERE u.workspace_id = $1
-       AND NOT EXISTS (
-         SELECT 1 FROM file_activity fa
-         WHERE fa.workspace_id = $1
-           AND fa.updated_at >= NOW() - INTERVAL '7 days'
-           AND fa.branch_name ILIKE '%' || u.github_username || '%'
-       )`,
+    'SELECT inactivity_threshold_hours FROM workspaces WHERE id = $1',
     [workspaceId]
   );
-  return parseInt(r.rows[0].count);
+  const thresholdHours = r.rows[0]?.inactivity_threshold_hours ?? 168;
+  return (await getInactiveMembers(workspaceId, thresholdHours)).length;
 }
 
-module.exports = { recalculate };
+module.exports = { recalculate, explain, computeHealth };
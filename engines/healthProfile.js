@@ -0,0 +1,90 @@
+'use strict';
+
+const pool = require('../db/pool');
+
+/**
+ * Default scoring profile — reproduces the original spec formula exactly, so a
+ * workspace without a stored profile scores as it always has. Teams opt into a
+ * base score (e.g. 60, so a complete, blocker-free workspace reaches 100) or a
+ * non-zero emptyWorkspaceCompletion through their own profile.
+ */
+const DEFAULT_PROFILE = Object.freeze({
+  baseScore:                0,
+  completionWeight:         0.4,
+  emptyWorkspaceCompletion: 0,       // completion avg used when there are no features
+  blockerPenalty:           Object.freeze({ LOW: 5, MEDIUM: 5, HIGH: 5 }),
+  conflictPenalty:          3,       // on top of the blocker penalty, per FILE_CONFLICT_RISK
+  inactivePenalty:          5,
+  caps: Object.freeze({              // max points a term can subtract; null = uncapped
+    blockers:        null,
+    conflicts:       null,
+    inactiveMembers: null,
+  }),
+  thresholds: Object.freeze({ healthy: 80, warning: 50 }),
+});
+
+function _isPlainObject(v) {
+  return typeof v === 'object' && v !== null && !Array.isArray(v);
+}
+
+/**
+ * Deep-merges `overrides` onto `base` (objects merge, everything else replaces).
+ */
+function mergeProfile(base, overrides) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(overrides ?? {})) {
+    out[key] = _isPlainObject(value) && _isPlainObject(base[key]) ? mergeProfile(base[key], value) : value;
+  }
+  return out;
+}
+
+/**
+ * @returns {string[]} dotted paths in `value` that `shape` doesn't have, at any depth
+ */
+function _unknownKeys(value, shape, prefix = '') {
+  return Object.entries(value).flatMap(([key, v]) => {
+    if (!(key in shape)) return [`${prefix}${key}`];
+    return _isPlainObject(v) && _isPlainObject(shape[key]) ? _unknownKeys(v, shape[key], `${prefix}${key}.`) : [];
+  });
+}
+
+/**
+ * Checks a fully merged profile; returns a list of problems (empty when valid).
+ */
+function validateProfile(p) {
+  const errors = [];
+  const num = (v, path, min, max) => {
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < min || v > max) errors.push(`${path} must be a number in [${min}, ${max}]`);
+  };
+
+  num(p.baseScore, 'baseScore', -100, 100);
+  num(p.completionWeight, 'completionWeight', 0, 2);
+  num(p.emptyWorkspaceCompletion, 'emptyWorkspaceCompletion', 0, 100);
+  for (const sev of ['LOW', 'MEDIUM', 'HIGH']) num(p.blockerPenalty?.[sev], `blockerPenalty.${sev}`, 0, 100);
+  num(p.conflictPenalty, 'conflictPenalty', 0, 100);
+  num(p.inactivePenalty, 'inactivePenalty', 0, 100);
+  for (const term of ['blockers', 'conflicts', 'inactiveMembers']) {
+    if (p.caps?.[term] !== null) num(p.caps?.[term], `caps.${term}`, 0, 100);
+  }
+  num(p.thresholds?.healthy, 'thresholds.healthy', 0, 100);
+  num(p.thresholds?.warning, 'thresholds.warning', 0, 100);
+  if (p.thresholds?.warning >= p.thresholds?.healthy) errors.push('thresholds.warning must be below thresholds.healthy');
+
+  const unknown = _unknownKeys(p, DEFAULT_PROFILE);
+  if (unknown.length) errors.push(`unknown keys: ${unknown.join(', ')}`);
+  return errors;
+}
+
+/**
+ * @returns {Promise<{ profile: object, overrides: object, updatedAt: Date|null }>}
+ */
+async function loadProfile(workspaceId, db = pool) {
+  const r = await db.query(
+    'SELECT profile, updated_at FROM health_profiles WHERE workspace_id = $1',
+    [workspaceId]
+  );
+  const overrides = r.rows[0]?.profile ?? {};
+  return { profile: mergeProfile(DEFAULT_PROFILE, overrides), overrides, updatedAt: r.rows[0]?.updated_at ?? null };
+}
+
+module.exports = { DEFAULT_PROFILE, mergeProfile, validateProfile, loadProfile };
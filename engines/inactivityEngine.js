@@ -0,0 +1,138 @@
+'use strict';
+
+const pool           = require('../db/pool');
+const wsManager      = require('../websocket/wsManager');
+const { recalculate }        = require('./healthEngine');
+const { upsertBlocker, logBlockerEvents, AUTO_RESOLVE_SET } = require('./blockerService');
+const { getInactiveMembers } = require('./memberActivity');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.INACTIVITY_SWEEP_INTERVAL_MS) || 15 * 60_000;
+const SWEEP_LOCK_KEY    = 72_003; // pg advisory lock — one sweeping instance at a time
+
+let _timer   = null;
+let _running = false;
+
+/**
+ * Pure function — severity grows with how many thresholds the member has been idle.
+ *   ≥ 1× threshold → LOW, ≥ 2× → MEDIUM, ≥ 3× → HIGH
+ */
+function classifyInactivity(idleHours, thresholdHours) {
+  const ratio = idleHours / thresholdHours;
+  if (ratio >= 3) return 'HIGH';
+  if (ratio >= 2) return 'MEDIUM';
+  return 'LOW';
+}
+
+function _describe(member) {
+  const days = Math.floor(member.idle_hours / 24);
+  const seen = member.last_seen ? `last seen ${new Date(member.last_seen).toISOString()}` : 'never seen';
+  return `@${member.github_username} inactive for ${days} day${days === 1 ? '' : 's'} (${seen})`;
+}
+
+/**
+ * Upserts INACTIVITY blockers for idle members and resolves those for members
+ * who became active again (or were removed). One transaction per workspace.
+ */
+async function sweepWorkspace(workspaceId, thresholdHours) {
+  const client  = await pool.connect();
+  const changes = [];
+  try {
+    await client.query('BEGIN');
+
+    const inactive = await getInactiveMembers(workspaceId, thresholdHours, client);
+
+    for (const member of inactive) {
+      const severity = classifyInactivity(member.idle_hours, thresholdHours);
+      const outcome  = await upsertBlocker(client, {
+        workspaceId,
+        type:        'INACTIVITY',
+        referenceId: member.id,
+        severity,
+        description: _describe(member),
+        actor:       'engine:inactivity',
+      });
+      if (outcome === 'created' || outcome === 'updated') {
+        changes.push({ outcome, memberId: member.id, githubUsername: member.github_username, severity });
+      }
+    }
+
+    const resolved = await client.query(
+      `UPDATE blockers SET ${AUTO_RESOLVE_SET}
+       WHERE workspace_id = $1 AND type = 'INACTIVITY' AND resolved = false
+         AND NOT (reference_id = ANY($2::text[]))
+       RETURNING id, reference_id`,
+      [workspaceId, inactive.map(m => m.id)]
+    );
+    await logBlockerEvents(client, resolved.rows.map(r => r.id), {
+      action: 'resolved', actor: 'engine:inactivity', detail: { resolution: 'auto' },
+    });
+    for (const row of resolved.rows) changes.push({ outcome: 'resolved', memberId: row.reference_id });
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // Broadcast after commit
+  const EVENT = { created: 'BLOCKER_CREATED', updated: 'BLOCKER_UPDATED', resolved: 'BLOCKER_RESOLVED' };
+  for (const { outcome, ...change } of changes) {
+    wsManager.broadcastToWorkspace(workspaceId, { type: EVENT[outcome], blockerType: 'INACTIVITY', ...change });
+  }
+  return changes.length;
+}
+
+/**
+ * Checks every workspace once. Health is recomputed for all of them, since
+ * idle time (and therefore the inactive-member penalty) grows without any push.
+ */
+async function runInactivitySweep() {
+  if (_running) return;
+  _running = true;
+
+  const start    = Date.now();
+  let lockClient = null;
+  try {
+    lockClient = await pool.connect();
+    const lock = await lockClient.query('SELECT pg_try_advisory_lock($1) AS acquired', [SWEEP_LOCK_KEY]);
+    if (!lock.rows[0].acquired) return; // another instance is sweeping
+
+    try {
+      const workspaces = await pool.query('SELECT id, inactivity_threshold_hours FROM workspaces');
+      let changed = 0;
+      for (const ws of workspaces.rows) {
+        try {
+          changed += await sweepWorkspace(ws.id, ws.inactivity_threshold_hours);
+          await recalculate(ws.id);
+        } catch (err) {
+          console.error(`[InactivityEngine] workspace=${ws.id} error:`, err.message);
+        }
+      }
+      console.log(`[InactivityEngine] Swept ${workspaces.rowCount} workspaces — ${changed} blocker changes (${Date.now() - start}ms)`);
+    } finally {
+      await lockClient.query('SELECT pg_advisory_unlock($1)', [SWEEP_LOCK_KEY]);
+    }
+  } catch (err) {
+    console.error('[InactivityEngine] Sweep error:', err.message);
+  } finally {
+    lockClient?.release();
+    _running = false;
+  }
+}
+
+function startInactivityScheduler() {
+  if (_timer) return;
+  _timer = setInterval(runInactivitySweep, SWEEP_INTERVAL_MS);
+  _timer.unref();
+  setImmediate(runInactivitySweep);
+  console.log(`[InactivityEngine] Scheduler started — every ${SWEEP_INTERVAL_MS / 1000}s`);
+}
+
+function stopInactivityScheduler() {
+  clearInterval(_timer);
+  _timer = null;
+}
+
+module.exports = { runInactivitySweep, startInactivityScheduler, stopInactivityScheduler, classifyInactivity };
@@ -0,0 +1,84 @@
+'use strict';
+
+const pool = require('../db/pool');
+
+/**
+ * Single source of truth for "when was this member last active".
+ * Shared by the health engine (inactive-member penalty) and the inactivity
+ * sweep (INACTIVITY blockers) so both always agree on who is idle.
+ *
+ * users.last_active is advanced by the push handler from commit authors,
+ * committers and the pusher. Members never seen are measured from when they
+ * were added, so new hires get a full threshold of grace. Disabled members
+ * are left out of both.
+ */
+const MEMBER_LAST_SEEN_QUERY = `
+  SELECT
+    u.id,
+    u.github_username,
+    u.last_active                                                                AS last_seen,
+    EXTRACT(EPOCH FROM NOW() - COALESCE(u.last_active, u.created_at)) / 3600     AS idle_hours
+  FROM users u
+  WHERE u.workspace_id = $1 AND u.disabled_at IS NULL`;
+
+/**
+ * Per-member activity for the dashboard, attributed by commit author.
+ */
+const MEMBER_SUMMARY_QUERY = `
+  SELECT
+    u.id,
+    u.github_username,
+    u.last_active,
+    u.last_commit_hash,
+    u.last_commit_message,
+    u.last_commit_at,
+    COALESCE(a.files_touched, 0)  AS files_touched,
+    COALESCE(a.branches, '{}')    AS branches
+  FROM users u
+  LEFT JOIN LATERAL (
+    SELECT COUNT(DISTINCT file_path)     AS files_touched,
+           ARRAY_AGG(DISTINCT branch_name) AS branches
+    FROM file_activity
+    WHERE workspace_id = u.workspace_id
+      AND author_login = u.github_username
+      AND updated_at > NOW() - ($2 || ' hours')::INTERVAL
+  ) a ON TRUE
+  WHERE u.workspace_id = $1 AND u.disabled_at IS NULL
+  ORDER BY u.github_username`;
+
+/**
+ * @returns {Promise<Array<{ id: string, github_username: string, last_seen: Date|null, idle_hours: number }>>}
+ */
+async function getMemberLastSeen(workspaceId, db = pool) {
+  const r = await db.query(MEMBER_LAST_SEEN_QUERY, [workspaceId]);
+  return r.rows.map(row => ({ ...row, idle_hours: parseFloat(row.idle_hours) }));
+}
+
+/**
+ * @returns {Promise<Array>} members idle for at least thresholdHours
+ */
+async function getInactiveMembers(workspaceId, thresholdHours, db = pool) {
+  const members = await getMemberLastSeen(workspaceId, db);
+  return members.filter(m => m.idle_hours >= thresholdHours);
+}
+
+/**
+ * @param {number} windowHours  only file activity inside the workspace's activity window counts
+ */
+async function getMemberActivitySummary(workspaceId, windowHours, db = pool) {
+  const r = await db.query(MEMBER_SUMMARY_QUERY, [workspaceId, windowHours]);
+  return r.rows.map(row => ({
+    id:              row.id,
+    github_username: row.github_username,
+    last_active:     row.last_active,
+    activity: {
+      filesTouched: parseInt(row.files_touched, 10),
+      branches:     row.branches,
+      lastCommit:   row.last_commit_hash
+        ? { hash: row.last_commit_hash, message: row.last_commit_message, at: row.last_commit_at }
+        : null,
+    },
+  }));
+}
+
+module.exports = { getMemberLastSeen, getInactiveMembers, getMemberActivitySummary };
@@ -0,0 +1,279 @@
+'use strict';
+
+const fs           = require('fs');
+const path         = require('path');
+const os           = require('os');
+const { execFile } = require('child_process');
+const { assertPublicHost } = require('../utils/netGuard');
+
+/**
+ * Optional merge-aware conflict detection (CONFLICT_MERGE_CHECK=true).
+ *
+ * Keeps a bare mirror per workspace under GIT_MIRROR_DIR, fetched from the
+ * workspace's mirror_remote or, when unset, its repository URL. Remotes must
+ * be https or ssh URLs to public hosts, or paths under GIT_MIRROR_LOCAL_ROOTS
+ * (see parseRemote). For a file touched on several branches it compares each
+ * pair of branches and reports the worst outcome:
+ *
+ *   same_file          both branches edit the file, in separate hunks
+ *   overlapping_lines  hunks overlap or touch in the merge base
+ *   conflict           `git merge-tree` reports a textual conflict
+ *
+ * Requires git ≥ 2.38 (merge-tree --write-tree).
+ */
+
+const ENABLED            = process.env.CONFLICT_MERGE_CHECK === 'true';
+const MIRROR_DIR         = process.env.GIT_MIRROR_DIR || path.join(os.tmpdir(), 'project-intelligence-mirrors');
+const FETCH_MIN_GAP_MS   = parseInt(process.env.GIT_MIRROR_FETCH_MIN_GAP_MS) || 5_000;
+const GIT_TIMEOUT_MS     = 60_000;
+const MAX_BRANCHES       = 6;      // per file — at most 15 pairs
+const MAX_OUTPUT_BYTES   = 20 * 1024 * 1024;
+const LOCAL_ROOTS        = (process.env.GIT_MIRROR_LOCAL_ROOTS || '')
+  .split(path.delimiter).filter(Boolean).map(root => path.resolve(root));
+// Transports git may use at all, submodules and redirects included
+const ALLOW_PROTOCOL     = LOCAL_ROOTS.length ? 'https:ssh:file' : 'https:ssh';
+
+const SIGNAL_RANK = { same_file: 1, overlapping_lines: 2, conflict: 3 };
+
+const _lastFetch = new Map(); // workspaceId → ms
+const _syncing   = new Map(); // workspaceId → Promise (one fetch at a time per mirror)
+
+function isEnabled() {
+  return ENABLED;
+}
+
+// ─── Git ───────────────────────────────────────────────────────────────────────
+
+/**
+ * @returns {Promise<{ code: number, stdout: string }>} non-zero exits resolve
+ *          when listed in okCodes, otherwise reject
+ */
+function _git(args, { cwd, okCodes = [0] } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', cwd ? ['-C', cwd, ...args] : args, {
+      timeout:   GIT_TIMEOUT_MS,
+      maxBuffer: MAX_OUTPUT_BYTES,
+      env:       { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_ALLOW_PROTOCOL: ALLOW_PROTOCOL },
+    }, (err, stdout, stderr) => {
+      const code = err ? (typeof err.code === 'number' ? err.code : -1) : 0;
+      if (okCodes.includes(code)) return resolve({ code, stdout });
+      reject(new Error(String(stderr).trim() || err.message));
+    });
+  });
+}
+
+function mirrorPath(workspaceId) {
+  return path.join(MIRROR_DIR, `${workspaceId}.git`);
+}
+
+function remoteFor(workspace) {
+  return workspace.mirror_remote || `${workspace.github_repo}.git`;
+}
+
+/**
+ * Accepts https://host/…, ssh://[user@]host/… and scp-like [user@]host:path
+ * remotes, and absolute paths inside GIT_MIRROR_LOCAL_ROOTS. Anything that
+ * git could read as an option, another transport or an arbitrary local path
+ * is refused.
+ * @returns {{ host: string }|{ localPath: string }|null}
+ */
+function parseRemote(remote) {
+  const value = String(remote ?? '').trim();
+  if (!value || value.startsWith('-') || /\s/.test(value)) return null;
+
+  if (/^(https|ssh):\/\//i.test(value)) {
+    try {
+      const url = new URL(value);
+      return url.hostname && !url.hostname.startsWith('-') ? { host: url.hostname } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  const scp = value.match(/^(?:[\w.-]+@)?([A-Za-z0-9][A-Za-z0-9.-]*):(?!\/\/)([^-].*)$/);
+  if (scp) return { host: scp[1] };
+
+  if (path.isAbsolute(value)) {
+    const resolved = path.resolve(value);
+    const allowed  = LOCAL_ROOTS.some(root => resolved === root || resolved.startsWith(root + path.sep));
+    return allowed ? { localPath: resolved } : null;
+  }
+  return null;
+}
+
+function isAllowedRemote(remote) {
+  return parseRemote(remote) !== null;
+}
+
+async function _sync(workspace) {
+  const dir    = mirrorPath(workspace.id);
+  const remote = remoteFor(workspace);
+
+  // Re-checked here too: rows may predate validation, and DNS can change
+  const target = parseRemote(remote);
+  if (!target) throw new Error(`Mirror remote not allowed: ${remote}`);
+  if (target.host) await assertPublicHost(target.host);
+
+  if (!fs.existsSync(path.join(dir, 'HEAD'))) {
+    await fs.promises.mkdir(MIRROR_DIR, { recursive: true });
+    await _git(['clone', '--mirror', '--quiet', '--', remote, dir]);
+    console.log(`[MergeCheck] Mirrored ${remote} → ${dir}`);
+  } else {
+    await _git(['remote', 'set-url', '--', 'origin', remote], { cwd: dir });
+    await _git(['fetch', '--prune', '--quiet', 'origin'], { cwd: dir });
+  }
+  _lastFetch.set(workspace.id, Date.now());
+}
+
+/**
+ * Clones or fetches the workspace mirror; bursts of pushes share one fetch.
+ * No-op unless the mode is enabled.
+ */
+async function syncMirror(workspace) {
+  if (!ENABLED) return;
+  if (_syncing.has(workspace.id)) return _syncing.get(workspace.id);
+  if (Date.now() - (_lastFetch.get(workspace.id) ?? 0) < FETCH_MIN_GAP_MS) return;
+
+  const p = _sync(workspace).finally(() => _syncing.delete(workspace.id));
+  _syncing.set(workspace.id, p);
+  return p;
+}
+
+// ─── Hunk Overlap ──────────────────────────────────────────────────────────────
+
+/**
+ * Parses `git diff -U0` hunk headers into half-open ranges of merge-base lines.
+ * A pure insertion after line a becomes the empty range [a+1, a+1).
+ * @returns {Array<[number, number]>}
+ */
+function parseHunks(diff) {
+  const ranges = [];
+  for (const m of String(diff).matchAll(/^@@ -(\d+)(?:,(\d+))? \+\d+(?:,\d+)? @@/gm)) {
+    const start = parseInt(m[1], 10);
+    const count = m[2] === undefined ? 1 : parseInt(m[2], 10);
+    ranges.push(count === 0 ? [start + 1, start + 1] : [start, start + count]);
+  }
+  return ranges;
+}
+
+/**
+ * True when any hunk of one side overlaps or directly touches a hunk of the
+ * other — git treats adjacent edits as conflicting too.
+ */
+function hunksOverlap(a, b) {
+  return a.some(([s1, e1]) => b.some(([s2, e2]) => s1 <= e2 && s2 <= e1));
+}
+
+// ─── Analysis ──────────────────────────────────────────────────────────────────
+
+async function _refExists(dir, branch) {
+  const { code } = await _git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}^{commit}`], { cwd: dir, okCodes: [0, 1] });
+  return code === 0;
+}
+
+/**
+ * One merge per branch pair, shared by every file the pair has in common.
+ */
+async function _analyzePair(dir, a, b) {
+  const base = (await _git(['merge-base', `refs/heads/${a}`, `refs/heads/${b}`], { cwd: dir })).stdout.trim();
+  const { code, stdout } = await _git(
+    ['merge-tree', '--write-tree', '--name-only', '--no-messages', `refs/heads/${a}`, `refs/heads/${b}`],
+    { cwd: dir, okCodes: [0, 1] }
+  );
+  const conflicted = code === 1 ? new Set(stdout.split('\n').slice(1).filter(Boolean)) : new Set();
+  return { base, conflicted };
+}
+
+async function _fileSignal(dir, pair, a, b, filePath) {
+  if (pair.conflicted.has(filePath)) return 'conflict';
+  const [da, db] = await Promise.all([
+    _git(['diff', '-U0', '--no-color', '--no-ext-diff', pair.base, `refs/heads/${a}`, '--', filePath], { cwd: dir }),
+    _git(['diff', '-U0', '--no-color', '--no-ext-diff', pair.base, `refs/heads/${b}`, '--', filePath], { cwd: dir }),
+  ]);
+  return hunksOverlap(parseHunks(da.stdout), parseHunks(db.stdout)) ? 'overlapping_lines' : 'same_file';
+}
+
+/**
+ * Classifies each overlapping file by merging its branches pairwise, against
+ * the mirror as last synced (call syncMirror first, outside any transaction).
+ * Never throws: files it can't analyse are left out and fall back to the
+ * overlap heuristics.
+ *
+ * @param {object} workspace  row with id, github_repo, mirror_remote
+ * @param {Map<string, string[]>} filesToBranches
+ * @returns {Promise<Map<string, { mergeSignal: string, mergeBranches: string[] }>>}
+ */
+async function analyzeOverlaps(workspace, filesToBranches) {
+  const results = new Map();
+  if (!ENABLED || filesToBranches.size === 0) return results;
+
+  const dir = mirrorPath(workspace.id);
+  if (!fs.existsSync(path.join(dir, 'HEAD'))) return results;   // not synced yet
+
+  const existing = new Map(); // branch → Promise<bool>
+  const pairs    = new Map(); // "a\0b" → Promise<{ base, conflicted }>
+  const exists   = (branch) => {
+    if (!existing.has(branch)) existing.set(branch, _refExists(dir, branch).catch(() => false));
+    return existing.get(branch);
+  };
+
+  for (const [filePath, branches] of filesToBranches) {
+    try {
+      const present = [];
+      for (const branch of [...new Set(branches)].sort()) {
+        if (await exists(branch)) present.push(branch);
+      }
+      const candidates = present.slice(0, MAX_BRANCHES);
+
+      let worst = null;
+      for (let i = 0; i < candidates.length; i++) {
+        for (let j = i + 1; j < candidates.length; j++) {
+          const [a, b] = [candidates[i], candidates[j]];
+          const key = `${a}\0${b}`;
+          if (!pairs.has(key)) pairs.set(key, _analyzePair(dir, a, b));
+          const signal = await _fileSignal(dir, await pairs.get(key), a, b, filePath);
+          if (!worst || SIGNAL_RANK[signal] > SIGNAL_RANK[worst.mergeSignal]) {
+            worst = { mergeSignal: signal, mergeBranches: [a, b] };
+          }
+        }
+      }
+      if (worst) results.set(filePath, worst);
+    } catch (err) {
+      console.error(`[MergeCheck] workspace=${workspace.id} file=${filePath} — using overlap heuristics:`, err.message);
+    }
+  }
+  return results;
+}
+
+// ─── Tree Queries ──────────────────────────────────────────────────────────────
+
+/**
+ * Files at `ref` in the workspace mirror, or null when there is no usable
+ * mirror (mode off, not synced yet, unknown ref).
+ * @returns {Promise<string[]|null>}
+ */
+async function listTree(workspace, ref) {
+  const dir = mirrorPath(workspace.id);
+  if (!ENABLED || !fs.existsSync(path.join(dir, 'HEAD')) || !(await _refExists(dir, ref))) return null;
+  const { stdout } = await _git(['ls-tree', '-r', '--name-only', `refs/heads/${ref}`], { cwd: dir });
+  return stdout.split('\n').filter(Boolean);
+}
+
+/**
+ * Files changed by commits on `ref` since a point in time; null as listTree.
+ * @returns {Promise<string[]|null>}
+ */
+async function filesChangedSince(workspace, ref, since) {
+  const dir = mirrorPath(workspace.id);
+  if (!ENABLED || !fs.existsSync(path.join(dir, 'HEAD')) || !(await _refExists(dir, ref))) return null;
+  const { stdout } = await _git(
+    ['log', '--no-renames', '--name-only', '--format=', `--since=${new Date(since).toISOString()}`, `refs/heads/${ref}`],
+    { cwd: dir }
+  );
+  return [...new Set(stdout.split('\n').filter(Boolean))];
+}
+
+module.exports = {
+  isEnabled, analyzeOverlaps, syncMirror, mirrorPath, parseHunks, hunksOverlap,
+  listTree, filesChangedSince, parseRemote, isAllowedRemote,
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+const { matchesAny } = require('../utils/pathMatcher');
+
+/**
+ * Pure — which workspace events a notification subscription wants, and what
+ * gets POSTed for them. Events are the ones in the workspace event log (see
+ * services/event.service.js), in wire format ({ ...payload, seq, ts }).
+ *
+ * Filters are strict: a subscription filtering on severity, blocker type, path
+ * or member only matches events that carry that dimension.
+ */
+
+const EVENT_TYPES = [
+  'CONFLICT_WARNING',
+  'BLOCKER_CREATED',
+  'BLOCKER_UPDATED',
+  'BLOCKER_RESOLVED',
+  'FEATURE_COMPLETED',
+  'ALIGNMENT_RESULT',
+  'HEALTH_UPDATE',
+];
+const SEVERITY_RANK = { LOW: 0, MEDIUM: 1, HIGH: 2 };
+const DIGEST_MAX_LINES = 50;
+
+// ─── Matching ──────────────────────────────────────────────────────────────────
+
+/**
+ * The filterable dimensions of an event.
+ * @returns {{ severity: string|null, blockerType: string|null, paths: string[], members: string[] }}
+ */
+function describeEvent(event) {
+  let blockerType = event.blockerType ?? null;
+  let paths       = [];
+  if (event.type === 'CONFLICT_WARNING') {
+    blockerType = 'FILE_CONFLICT_RISK';
+    paths       = [event.file];
+  } else if (blockerType === 'FILE_CONFLICT_RISK' && event.referenceId) {
+    paths = [event.referenceId];
+  }
+
+  // Alignment reports risk as Low/Medium/High
+  const severity = event.severity ?? (event.risk ? String(event.risk).toUpperCase() : null);
+
+  return {
+    severity:    SEVERITY_RANK[severity] === undefined ? null : severity,
+    blockerType,
+    paths,
+    members:     [event.githubUsername, event.assignee].filter(Boolean).map(m => m.toLowerCase()),
+  };
+}
+
+/**
+ * @param {object} sub  notification_subscriptions row
+ */
+function matchesSubscription(sub, event) {
+  if (sub.event_types.length && !sub.event_types.includes(event.type)) return false;
+  const d = describeEvent(event);
+  if (sub.min_severity && (!d.severity || SEVERITY_RANK[d.severity] < SEVERITY_RANK[sub.min_severity])) return false;
+  if (sub.blocker_types.length && !sub.blocker_types.includes(d.blockerType)) return false;
+  if (sub.path_patterns.length && !d.paths.some(p => matchesAny(p, sub.path_patterns))) return false;
+  if (sub.members.length && !d.members.some(m => sub.members.includes(m))) return false;
+  return true;
+}
+
+// ─── Formatting ────────────────────────────────────────────────────────────────
+
+/**
+ * One line of text for chat formats and digests.
+ */
+function summarize(event) {
+  const sev = event.severity ? `[${event.severity}] ` : '';
+  switch (event.type) {
+    case 'CONFLICT_WARNING':
+      return `${sev}Conflict risk on ${event.file} (${(event.branches ?? []).join(', ')})`;
+    case 'BLOCKER_CREATED':
+    case 'BLOCKER_UPDATED':
+    case 'BLOCKER_RESOLVED': {
+      const verb    = { BLOCKER_CREATED: 'opened', BLOCKER_UPDATED: 'updated', BLOCKER_RESOLVED: 'resolved' }[event.type];
+      const subject = event.featureName ?? event.githubUsername ?? event.referenceId ?? event.blockerId ?? '';
+      const by      = event.actor ? ` by ${event.actor}` : '';
+      return `${sev}${event.blockerType ?? 'Blocker'} ${verb}: ${subject}${event.action ? ` (${event.action}${by})` : ''}`;
+    }
+    case 'FEATURE_COMPLETED':
+      return `Feature completed: ${event.featureName}`;
+    case 'ALIGNMENT_RESULT':
+      return `PR #${event.prNumber} vs "${event.featureName}": score ${event.score}`
+        + `${event.driftDetected ? ', drift detected' : ''} (risk ${event.risk})`;
+    case 'HEALTH_UPDATE':
+      return `Health ${event.previousScore ?? '?'} → ${event.score} (${event.riskLevel})`;
+    default:
+      return event.type;
+  }
+}
+
+/**
+ * Body for one event. `json` sends the event itself; `slack` sends the
+ * `{ text }` shape Slack and Mattermost incoming webhooks accept.
+ */
+function formatEvent(format, workspace, event) {
+  if (format === 'slack') return { text: `*${workspace.title}* — ${summarize(event)}` };
+  return { kind: 'event', workspaceId: workspace.id, event };
+}
+
+/**
+ * Body for a digest of `events` (oldest first). `total` can exceed
+ * events.length when the digest was capped.
+ */
+function formatDigest(format, workspace, { mode, events, total }) {
+  if (format === 'slack') {
+    const lines = events.slice(-DIGEST_MAX_LINES).map(e => `• ${summarize(e)}`);
+    const more  = total > lines.length ? `\n…and ${total - lines.length} earlier` : '';
+    return { text: `*${workspace.title}* — ${mode} digest, ${total} event${total === 1 ? '' : 's'}\n${lines.join('\n')}${more}` };
+  }
+  return { kind: 'digest', workspaceId: workspace.id, mode, total, events };
+}
+
+function formatTest(format, workspace) {
+  if (format === 'slack') return { text: `*${workspace.title}* — test notification` };
+  return { kind: 'test', workspaceId: workspace.id };
+}
+
+module.exports = {
+  EVENT_TYPES, describeEvent, matchesSubscription, summarize, formatEvent, formatDigest, formatTest,
+};
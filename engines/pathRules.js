@@ -0,0 +1,117 @@
+'use strict';
+
+const pool = require('../db/pool');
+const { matchesAny, isValidPattern } = require('../utils/pathMatcher');
+
+/**
+ * Per-workspace path criticality rules, written like CODEOWNERS:
+ *
+ *   # generated and lock files never block anyone
+ *   package-lock.json        ignore
+ *   dist/                    ignore
+ *   *.md                     weight=-1
+ *   /db/schema.sql           min=HIGH
+ *   src/payments/**          weight=+1 max=HIGH
+ *
+ * One rule per line: a pattern, then directives. As in CODEOWNERS, a pattern
+ * without a `/` matches at any depth, a leading `/` anchors it to the repo root,
+ * and the LAST matching line wins.
+ *
+ *   ignore          no conflict blocker for matching files
+ *   weight=±N       shift severity N levels (-2 … +2)
+ *   min=SEVERITY    floor after weighting
+ *   max=SEVERITY    cap after weighting
+ */
+
+const SEVERITIES   = ['LOW', 'MEDIUM', 'HIGH'];
+const MAX_RULES    = 500;
+const MAX_SOURCE   = 64 * 1024;
+
+function _toGlob(pattern) {
+  if (pattern.startsWith('/')) return pattern.slice(1);
+  return pattern.replace(/\/$/, '').includes('/') ? pattern : `**/${pattern}`;
+}
+
+/**
+ * @returns {{ rules: object[], errors: string[] }}
+ */
+function parseRules(source) {
+  const rules  = [];
+  const errors = [];
+  const text   = String(source ?? '');
+  if (text.length > MAX_SOURCE) return { rules, errors: [`rules exceed ${MAX_SOURCE} bytes`] };
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) return;
+    const lineNo = i + 1;
+    const [pattern, ...directives] = line.split(/\s+/);
+
+    if (!isValidPattern(pattern)) { errors.push(`line ${lineNo}: invalid pattern "${pattern}"`); return; }
+    if (directives.length === 0)  { errors.push(`line ${lineNo}: no directive for "${pattern}"`); return; }
+
+    const rule = { line: lineNo, pattern, ignore: false, weight: 0, min: null, max: null };
+    for (const d of directives) {
+      const [key, value] = d.split('=');
+      if (key === 'ignore' && value === undefined) rule.ignore = true;
+      else if (key === 'weight' && /^[+-]?[0-2]$/.test(value ?? '')) rule.weight = parseInt(value, 10);
+      else if ((key === 'min' || key === 'max') && SEVERITIES.includes(String(value).toUpperCase())) rule[key] = value.toUpperCase();
+      else errors.push(`line ${lineNo}: unknown directive "${d}"`);
+    }
+    if (rule.min && rule.max && SEVERITIES.indexOf(rule.min) > SEVERITIES.indexOf(rule.max)) {
+      errors.push(`line ${lineNo}: min is above max`);
+    }
+    rules.push(rule);
+  });
+
+  if (rules.length > MAX_RULES) errors.push(`at most ${MAX_RULES} rules`);
+  return { rules, errors };
+}
+
+function describeRule(rule) {
+  const parts = [rule.pattern];
+  if (rule.ignore) parts.push('ignore');
+  if (rule.weight) parts.push(`weight=${rule.weight > 0 ? '+' : ''}${rule.weight}`);
+  if (rule.min)    parts.push(`min=${rule.min}`);
+  if (rule.max)    parts.push(`max=${rule.max}`);
+  return `${parts.join(' ')} (line ${rule.line})`;
+}
+
+// ─── Matching ──────────────────────────────────────────────────────────────────
+
+function matchRule(filePath, rules) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (matchesAny(filePath, [_toGlob(rules[i].pattern)])) return rules[i];
+  }
+  return null;
+}
+
+/**
+ * Pure — adjusts a classifier severity by the file's rule.
+ * @returns {{ severity: 'LOW'|'MEDIUM'|'HIGH'|null, rule: object|null }} severity
+ *          is null when the file is ignored
+ */
+function applyRules(severity, filePath, rules) {
+  const rule = matchRule(filePath, rules);
+  if (!rule) return { severity, rule: null };
+  if (rule.ignore) return { severity: null, rule };
+
+  let level = SEVERITIES.indexOf(severity) + rule.weight;
+  if (rule.min) level = Math.max(level, SEVERITIES.indexOf(rule.min));
+  if (rule.max) level = Math.min(level, SEVERITIES.indexOf(rule.max));
+  return { severity: SEVERITIES[Math.max(0, Math.min(SEVERITIES.length - 1, level))], rule };
+}
+
+/**
+ * @returns {Promise<{ source: string, rules: object[], updatedAt: Date|null }>}
+ */
+async function loadRules(workspaceId, db = pool) {
+  const r = await db.query(
+    'SELECT source, rules, updated_at FROM path_rules WHERE workspace_id = $1',
+    [workspaceId]
+  );
+  const row = r.rows[0];
+  return { source: row?.source ?? '', rules: row?.rules ?? [], updatedAt: row?.updated_at ?? null };
+}
+
+module.exports = { parseRules, describeRule, matchRule, applyRules, loadRules };
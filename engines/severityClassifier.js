@@ -4,12 +4,22 @@
  * Pure function — no I/O, no state.
  * Classifies conflict severity for a single file from SQL-derived signals.
  *
- * @param {{ branchCount: number, prCount: number, touchesMain: boolean }} signals
+ * When the merge check ran (mergeSignal set) it decides: disjoint edits merge
+ * cleanly and stay LOW however many branches touch the file, overlapping lines
+ * are MEDIUM (HIGH once several PRs or main are involved), and a textual
+ * conflict is HIGH. Without it, overlap counts are all there is to go on.
+ *
+ * @param {{ branchCount: number, prCount: number, touchesMain: boolean,
+ *           mergeSignal?: 'same_file'|'overlapping_lines'|'conflict' }} signals
  * @returns {'LOW'|'MEDIUM'|'HIGH'}
  */
-function classifySeverity({ branchCount, prCount, touchesMain }) {
+function classifySeverity({ branchCount, prCount, touchesMain, mergeSignal }) {
+  if (mergeSignal === 'conflict')          return 'HIGH';
+  if (mergeSignal === 'overlapping_lines') return prCount >= 2 || touchesMain ? 'HIGH' : 'MEDIUM';
+  if (mergeSignal === 'same_file')         return 'LOW';
+
   if (prCount >= 2)      return 'HIGH';   // two open PRs = confirmed incoming conflict
-  if (touchesMain)       return 'HIGH';   // any overlap with main = escalate
+  if (touchesMain)       return 'HIGH';   // any overlap with trunk = escalate
   if (branchCount >= 3)  return 'HIGH';   // 3+ competing branches = high collision risk
   if (branchCount >= 2)  return 'MEDIUM';
   return 'LOW';
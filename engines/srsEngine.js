@@ -0,0 +1,142 @@
+'use strict';
+
+const { OLLAMA_MODEL, log, callOllamaWithRetry, parseJsonResponse } = require('../services/ollama');
+const { proposeFromHeadings } = require('./srsParser');
+const { wouldCreateCycle }    = require('./dependencyGraph');
+
+// ─── Config ────────────────────────────────────────────────────────────────────
+const PROMPT_BUDGET_CHARS  = 8_000;
+const TIMEOUT_MS           = 60_000;   // whole-document prompts run longer than alignment
+const MAX_FEATURES         = 100;
+const PRIORITIES           = ['LOW', 'MEDIUM', 'HIGH'];
+
+// ─── Prompt Builder ────────────────────────────────────────────────────────────
+function buildPrompt(workspace, requirements) {
+  const safe = (str, max) => String(str ?? '').replace(/```/g, "'''").slice(0, max);
+  const lines = [];
+  let used = 0;
+  for (const r of requirements) {
+    const line = `${r.id}${r.section ? ` [${r.section}]` : ''}: ${r.text}`;
+    if (used + line.length > PROMPT_BUDGET_CHARS) break;
+    lines.push(safe(line, 1000));
+    used += line.length + 1;
+  }
+
+  return `You are a software planning assistant. Group the numbered requirements into implementable features. Respond ONLY with a valid JSON object. No markdown, no fences, no prose outside JSON.
+
+Required shape: {"features": [{"name": string (max 200 chars), "description": string, "priority": "LOW"|"MEDIUM"|"HIGH", "requirements": [requirement ids], "dependsOn": [names of other features in this list]}]}
+Every requirement id belongs to exactly one feature. Only list a dependency when one feature cannot work without the other.
+
+<PROJECT>
+${safe(workspace.title, 200)}
+${safe(workspace.description, 1000)}
+</PROJECT>
+
+<REQUIREMENTS>
+${lines.join('\n')}
+</REQUIREMENTS>`.trim();
+}
+
+// ─── Proposal Shape ────────────────────────────────────────────────────────────
+
+/**
+ * Pure — normalises a proposal and lists what had to be fixed: duplicate or
+ * empty names, unknown requirement ids, dependencies on features not in the
+ * proposal, and dependencies that would close a cycle.
+ * @returns {{ proposal: { features: object[] }, problems: string[] }}
+ */
+function normalizeProposal(input, requirementIds) {
+  const problems = [];
+  const known    = new Set(requirementIds);
+  const features = [];
+  const byKey    = new Map(); // lower-cased name → feature
+
+  const list = Array.isArray(input?.features) ? input.features : [];
+  if (!Array.isArray(input?.features)) problems.push('features must be an array');
+  if (list.length > MAX_FEATURES) problems.push(`at most ${MAX_FEATURES} features`);
+
+  for (const [i, f] of list.slice(0, MAX_FEATURES).entries()) {
+    const name = String(f?.name ?? '').trim().slice(0, 200);
+    if (!name) { problems.push(`features[${i}]: name is required`); continue; }
+    if (byKey.has(name.toLowerCase())) { problems.push(`features[${i}]: duplicate name "${name}"`); continue; }
+
+    const requirements = [...new Set((Array.isArray(f.requirements) ? f.requirements : []).map(String))];
+    const unknown = requirements.filter(id => !known.has(id));
+    if (unknown.length) problems.push(`"${name}": unknown requirements ${unknown.join(', ')}`);
+
+    const priority = PRIORITIES.find(p => p === String(f.priority ?? '').toUpperCase());
+    if (f.priority !== undefined && !priority) problems.push(`"${name}": priority must be one of ${PRIORITIES.join(', ')}`);
+
+    const feature = {
+      name,
+      description:  String(f.description ?? '').slice(0, 10000),
+      priority:     priority ?? 'MEDIUM',
+      requirements: requirements.filter(id => known.has(id)),
+      dependsOn:    Array.isArray(f.dependsOn) ? f.dependsOn.map(d => String(d).trim()) : [],
+    };
+    features.push(feature);
+    byKey.set(name.toLowerCase(), feature);
+  }
+
+  // Dependencies by name, resolved to canonical names, kept acyclic
+  const edges = [];
+  for (const feature of features) {
+    const resolved = [];
+    for (const dep of feature.dependsOn) {
+      const target = byKey.get(dep.toLowerCase());
+      if (!target || target === feature) { problems.push(`"${feature.name}": unknown dependency "${dep}"`); continue; }
+      if (wouldCreateCycle(edges, feature.name, target.name)) {
+        problems.push(`"${feature.name}" → "${target.name}" would create a cycle`);
+        continue;
+      }
+      if (resolved.includes(target.name)) continue;
+      edges.push({ feature_id: feature.name, depends_on_feature_id: target.name });
+      resolved.push(target.name);
+    }
+    feature.dependsOn = resolved;
+  }
+
+  return { proposal: { features }, problems };
+}
+
+// ─── Proposal ──────────────────────────────────────────────────────────────────
+
+/**
+ * One model call, falling back to the heading parser — never throws for AI
+ * failures. A model answer that proposes nothing counts as a failure.
+ * @returns {Promise<{ proposal: object, meta: { source: 'model'|'headings', used_fallback: boolean, duration_ms: number, model: string|null, problems: string[] } }>}
+ */
+async function proposeFeatures({ workspaceId, workspace, requirements }) {
+  const startMs = Date.now();
+  const ids     = requirements.map(r => r.id);
+  let result    = null;
+
+  try {
+    const raw = await callOllamaWithRetry(buildPrompt(workspace, requirements), { timeoutMs: TIMEOUT_MS });
+    log.info('Ollama responded', { workspaceId, raw_length: raw.length, purpose: 'srs' });
+    result = parseJsonResponse(raw, obj => {
+      const normalized = normalizeProposal(obj, ids);
+      if (normalized.proposal.features.length === 0) throw new Error('No features');
+      return normalized;
+    });
+    if (!result) log.warn('SRS proposal extraction failed — using heading parser', { workspaceId });
+  } catch (err) {
+    log.error('Ollama call failed — using heading parser', { workspaceId, error: err.message, timeout: err.name === 'AbortError' });
+  }
+
+  const usedFallback = !result;
+  if (usedFallback) result = normalizeProposal(proposeFromHeadings(requirements), ids);
+
+  return {
+    proposal: result.proposal,
+    meta: {
+      source:        usedFallback ? 'headings' : 'model',
+      used_fallback: usedFallback,
+      duration_ms:   Date.now() - startMs,
+      model:         usedFallback ? null : OLLAMA_MODEL,
+      problems:      result.problems,
+    },
+  };
+}
+
+module.exports = { proposeFeatures, normalizeProposal, buildPrompt };
@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * Deterministic SRS parsing — no model involved.
+ *
+ * splitRequirements numbers the document: every list item and every paragraph
+ * under a heading is one requirement. Items that already carry an identifier
+ * (`REQ-12`, `FR-3`, `NFR-1.2`) keep it; the rest get `REQ-<n>` numbers that
+ * don't collide with explicit ones. When renumbering an edited SRS, unlabelled
+ * items whose text is unchanged keep their previous id and new ones are
+ * numbered after `lastNumber`, so ids are never reused (see
+ * traceability.numberRequirements).
+ *
+ * proposeFromHeadings is the fallback when the model is unavailable: one
+ * feature per section, priority from RFC 2119 wording, dependencies from
+ * "depends on / requires / after <other section>" phrases.
+ */
+
+const HEADING_MD   = /^(#{1,6})\s+(.+?)\s*#*$/;
+const HEADING_NUM  = /^(\d+(?:\.\d+)*)\.?\s+([A-Z][^.!?]{0,100})$/;
+const LIST_ITEM    = /^(?:[-*+•]|\d+[.)]|[a-z][.)])\s+(.+)$/;
+const EXPLICIT_ID  = /^\[?((?:REQ|FR|NFR|SR|UR)-\d+(?:\.\d+)*)\]?[:.)\s-]*\s*(.*)$/i;
+const DEPENDS      = /\b(?:depends on|requires|after|builds on|once)\s+(?:the\s+)?([^,.;]+)/gi;
+
+const MAX_REQUIREMENTS = 500;
+const IMPLICIT_ID      = /^REQ-(\d+)$/;
+
+function _heading(line) {
+  const md = line.match(HEADING_MD);
+  if (md) return { level: md[1].length, title: md[2].trim() };
+  // "2.1 User Accounts" is a heading; "1. The system shall …" is a list item
+  const num = line.match(HEADING_NUM);
+  if (num && num[2].split(/\s+/).length <= 6 && !/\b(shall|must|should|will|can|may)\b/i.test(num[2])) {
+    return { level: num[1].split('.').length, title: num[2].trim() };
+  }
+  return null;
+}
+
+function _textKey(text) {
+  return String(text).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Highest `REQ-<n>` number among the ids; 0 when there is none.
+ */
+function highestNumber(requirements) {
+  return (requirements ?? []).reduce((max, r) => {
+    const m = String(r.id).match(IMPLICIT_ID);
+    return m ? Math.max(max, parseInt(m[1], 10)) : max;
+  }, 0);
+}
+
+/**
+ * @param {object} [options]
+ * @param {Array<{ id: string, text: string }>} [options.previous]  the last version's requirements
+ * @param {number} [options.lastNumber=0]  highest REQ number ever issued; new items start above it
+ * @returns {Array<{ id: string, section: string|null, path: string[], text: string }>}
+ */
+function splitRequirements(srs, { previous = [], lastNumber = 0 } = {}) {
+  const items = [];
+  const path  = []; // heading stack: [{ level, title }]
+  let para    = [];
+
+  const push = (text) => {
+    const t = text.replace(/\s+/g, ' ').trim();
+    if (!t) return;
+    const explicit = t.match(EXPLICIT_ID);
+    items.push({
+      explicitId: explicit ? explicit[1].toUpperCase() : null,
+      text:       explicit ? explicit[2] || t : t,
+      path:       path.map(h => h.title),
+    });
+  };
+  const flush = () => { if (para.length) push(para.join(' ')); para = []; };
+
+  for (const raw of String(srs ?? '').split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) { flush(); continue; }
+
+    const heading = _heading(line);
+    if (heading) {
+      flush();
+      while (path.length && path[path.length - 1].level >= heading.level) path.pop();
+      path.push(heading);
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) { flush(); push(item[1]); continue; }
+
+    // Continuation of a list item or a paragraph line
+    if (para.length === 0 && items.length && /^\s{2,}/.test(raw)) {
+      items[items.length - 1].text += ` ${line}`;
+    } else {
+      para.push(line);
+    }
+  }
+  flush();
+
+  const kept  = items.slice(0, MAX_REQUIREMENTS);
+  const taken = new Set(kept.map(i => i.explicitId).filter(Boolean));
+
+  const carried = new Map(); // text → ids it had in the previous version
+  for (const r of previous) {
+    const key = _textKey(r.text);
+    if (!carried.has(key)) carried.set(key, []);
+    carried.get(key).push(r.id);
+  }
+  const ids = kept.map(({ explicitId, text }) => {
+    if (explicitId) return explicitId;
+    const id = (carried.get(_textKey(text)) ?? []).find(c => !taken.has(c)) ?? null;
+    if (id) taken.add(id);
+    return id;
+  });
+
+  let next = lastNumber + 1;
+  return kept.map(({ text, path: p }, i) => {
+    let id = ids[i];
+    if (!id) {
+      while (taken.has(`REQ-${next}`)) next++;
+      id = `REQ-${next++}`;
+    }
+    return { id, section: p[p.length - 1] ?? null, path: p, text };
+  });
+}
+
+// ─── Fallback Proposal ─────────────────────────────────────────────────────────
+
+function _priority(texts) {
+  const joined = texts.join(' ').toLowerCase();
+  if (/\b(must|shall|required|critical)\b/.test(joined)) return 'HIGH';
+  if (/\b(should|important)\b/.test(joined))            return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * Groups requirements by their feature-level section: the top-level heading,
+ * or the level below it when the whole document sits under one title.
+ */
+function _featureLevelPath(requirements) {
+  const titled = requirements.filter(r => r.path.length > 0);
+  if (titled.length === 0) return () => 'Requirements';
+  const roots = new Set(titled.map(r => r.path[0]));
+  const depth = roots.size === 1 && titled.some(r => r.path.length > 1) ? 1 : 0;
+  return (r) => r.path[Math.min(depth, r.path.length - 1)] ?? 'General';
+}
+
+/**
+ * @returns {{ features: Array<{ name, description, priority, requirements: string[], dependsOn: string[] }> }}
+ */
+function proposeFromHeadings(requirements) {
+  const sectionOf = _featureLevelPath(requirements);
+  const groups    = new Map(); // name → requirements
+  for (const r of requirements) {
+    const name = sectionOf(r).replace(/^\d+(?:\.\d+)*\.?\s*/, '').slice(0, 200);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(r);
+  }
+
+  const names    = [...groups.keys()];
+  const features = names.map(name => {
+    const reqs = groups.get(name);
+    const dependsOn = new Set();
+    for (const r of reqs) {
+      for (const m of r.text.matchAll(DEPENDS)) {
+        const mention = m[1].toLowerCase();
+        const target  = names.find(n => n !== name && mention.includes(n.toLowerCase()));
+        if (target) dependsOn.add(target);
+      }
+    }
+    return {
+      name,
+      description:  reqs.map(r => `${r.id}: ${r.text}`).join('\n').slice(0, 10000),
+      priority:     _priority(reqs.map(r => r.text)),
+      requirements: reqs.map(r => r.id),
+      dependsOn:    [...dependsOn],
+    };
+  });
+  return { features };
+}
+
+module.exports = { splitRequirements, highestNumber, proposeFromHeadings };
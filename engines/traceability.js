@@ -0,0 +1,186 @@
+'use strict';
+
+const pool = require('../db/pool');
+const { filterMatching } = require('../utils/pathMatcher');
+const { splitRequirements, highestNumber } = require('./srsParser');
+
+/**
+ * Requirement traceability. Requirement IDs are the SRS item IDs numbered by
+ * srsParser.splitRequirements and stored with each SRS version, so an edited
+ * SRS doesn't re-target existing links. Links tie them to features (manually
+ * or when an SRS draft is accepted), commits, PRs and branches (manually or
+ * from `REQ-12` style references the webhook sees).
+ *
+ * Coverage gaps per requirement:
+ *   no_feature        no linked feature
+ *   no_code_activity  no linked commit/PR/branch, and no linked feature with
+ *                     file or PR activity on its paths
+ *   only_drifted      linked features have alignment runs, and every one drifted
+ */
+
+const REQ_REF = /\b(?:REQ|FR|NFR|SR|UR)-\d+(?:\.\d+)*\b/gi;
+
+/**
+ * Pure — requirement IDs referenced in free text or a branch name.
+ * @returns {string[]}
+ */
+function parseRequirementRefs(text) {
+  return [...new Set((String(text ?? '').match(REQ_REF) ?? []).map(ref => ref.toUpperCase()))];
+}
+
+/**
+ * Idempotent — existing links are left as they are.
+ * @param {import('pg').PoolClient|import('pg').Pool} db
+ */
+async function linkRequirements(db, workspaceId, requirementIds, { kind, target, source }) {
+  if (!requirementIds || requirementIds.length === 0) return 0;
+  const r = await db.query(
+    `INSERT INTO requirement_links (workspace_id, requirement_id, kind, target, source)
+     SELECT $1, UNNEST($2::text[]), $3, $4, $5
+     ON CONFLICT (workspace_id, requirement_id, kind, target) DO NOTHING`,
+    [workspaceId, requirementIds, kind, String(target), source]
+  );
+  return r.rowCount;
+}
+
+// ─── Requirement IDs ───────────────────────────────────────────────────────────
+
+/**
+ * The current SRS's requirements as numbered when it was stored. Versions
+ * stored before numbering was persisted are numbered from their text.
+ * @returns {Promise<object[]|null>} null when the workspace doesn't exist
+ */
+async function loadRequirements(workspaceId, db = pool) {
+  const r = await db.query(
+    `SELECT w.srs, v.requirements
+     FROM workspaces w
+     LEFT JOIN LATERAL (
+       SELECT requirements FROM srs_versions WHERE workspace_id = w.id ORDER BY version DESC LIMIT 1
+     ) v ON TRUE
+     WHERE w.id = $1`,
+    [workspaceId]
+  );
+  if (r.rowCount === 0) return null;
+  return r.rows[0].requirements ?? splitRequirements(r.rows[0].srs);
+}
+
+/**
+ * Numbers a new SRS for the workspace's next version: unlabelled items with
+ * unchanged text keep their id, new ones get REQ numbers never issued before.
+ * Call before the workspace's srs is replaced.
+ */
+async function numberRequirements(db, workspaceId, srs) {
+  const previous = (await loadRequirements(workspaceId, db)) ?? [];
+  const used     = await db.query(
+    `SELECT COALESCE(MAX(substring(r->>'id' FROM '^REQ-(\d+)$')::int), 0) AS n
+     FROM srs_versions v
+     CROSS JOIN LATERAL jsonb_array_elements(COALESCE(v.requirements, '[]'::jsonb)) r
+     WHERE v.workspace_id = $1`,
+    [workspaceId]
+  );
+  const lastNumber = Math.max(used.rows[0].n, highestNumber(previous));
+  return splitRequirements(srs, { previous, lastNumber });
+}
+
+// ─── Coverage ──────────────────────────────────────────────────────────────────
+
+/**
+ * Pure — the coverage matrix.
+ * @param {object[]} requirements  from splitRequirements
+ * @param {object[]} links         requirement_links rows
+ * @param {Map<string, object>} features  id → { id, name, status, completion_percentage, active, alignment }
+ */
+function buildCoverage(requirements, links, features) {
+  const byRequirement = new Map(requirements.map(r => [r.id, []]));
+  const unknown = new Set();
+  for (const link of links) {
+    if (byRequirement.has(link.requirement_id)) byRequirement.get(link.requirement_id).push(link);
+    else unknown.add(link.requirement_id);
+  }
+
+  const rows = requirements.map(req => {
+    const own     = byRequirement.get(req.id);
+    const targets = (kind) => own.filter(l => l.kind === kind).map(l => l.target);
+    const linkedFeatures = targets('feature').map(id => features.get(id)).filter(Boolean);
+    const commits  = targets('commit');
+    const prs      = targets('pr').map(n => parseInt(n, 10));
+    const branches = targets('branch');
+
+    const runs    = linkedFeatures.reduce((sum, f) => sum + f.alignment.runs, 0);
+    const drifted = linkedFeatures.reduce((sum, f) => sum + f.alignment.drifted, 0);
+
+    const gaps = [];
+    if (linkedFeatures.length === 0) gaps.push('no_feature');
+    if (commits.length + prs.length + branches.length === 0 && !linkedFeatures.some(f => f.active)) {
+      gaps.push('no_code_activity');
+    }
+    if (runs > 0 && drifted === runs) gaps.push('only_drifted');
+
+    return {
+      id:       req.id,
+      section:  req.section,
+      text:     req.text,
+      features: linkedFeatures.map(f => ({
+        id: f.id, name: f.name, status: f.status, completionPercentage: f.completion_percentage,
+      })),
+      commits,
+      prs,
+      branches,
+      alignment: { runs, drifted },
+      gaps,
+      covered:  gaps.length === 0,
+    };
+  });
+
+  const count = (gap) => rows.filter(r => r.gaps.includes(gap)).length;
+  return {
+    summary: {
+      requirements:   rows.length,
+      covered:        rows.filter(r => r.covered).length,
+      noFeature:      count('no_feature'),
+      noCodeActivity: count('no_code_activity'),
+      onlyDrifted:    count('only_drifted'),
+      unknownReferences: [...unknown].sort(),
+    },
+    requirements: rows,
+  };
+}
+
+/**
+ * Features with the facts buildCoverage needs: whether any file or PR activity
+ * falls on their paths, and their non-fallback alignment results.
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadFeatureFacts(workspaceId, db = pool) {
+  const [features, files, alignment] = await Promise.all([
+    db.query(
+      'SELECT id, name, status, completion_percentage, path_patterns FROM features WHERE workspace_id = $1',
+      [workspaceId]
+    ),
+    db.query(
+      `SELECT file_path FROM file_activity WHERE workspace_id = $1
+       UNION
+       SELECT pf.file_path FROM pr_files pf JOIN pull_requests pr ON pr.id = pf.pr_id WHERE pr.workspace_id = $1`,
+      [workspaceId]
+    ),
+    db.query(
+      `SELECT feature_id, COUNT(*) AS runs, COUNT(*) FILTER (WHERE drift_detected) AS drifted
+       FROM alignment_runs
+       WHERE workspace_id = $1 AND feature_id IS NOT NULL AND used_fallback = false
+       GROUP BY feature_id`,
+      [workspaceId]
+    ),
+  ]);
+
+  const activeFiles = files.rows.map(r => r.file_path);
+  const runs = new Map(alignment.rows.map(r => [r.feature_id, { runs: parseInt(r.runs, 10), drifted: parseInt(r.drifted, 10) }]));
+  return new Map(features.rows.map(f => [f.id, {
+    ...f,
+    active:    filterMatching(activeFiles, f.path_patterns).length > 0,
+    alignment: runs.get(f.id) ?? { runs: 0, drifted: 0 },
+  }]));
+}
+
+module.exports = {
+  parseRequirementRefs, linkRequirements, loadRequirements, numberRequirements, buildCoverage, loadFeatureFacts,
+};
@@ -5,6 +5,13 @@ require('dotenv').config();
 const http       = require('http');
 const express    = require('express');
 const wsManager  = require('./websocket/wsManager');
+const { startInactivityScheduler } = require('./engines/inactivityEngine');
+const { startJobWorkers }          = require('./jobs/worker');
+const { startJobRetention }        = require('./jobs/queue');
+const { startPayloadRetention }    = require('./services/delivery.service');
+const { startEventRetention }      = require('./services/event.service');
+const { startNotifier }            = require('./services/notification.service');
+const { warnUnsignedProviders }    = require('./providers/scm');
 const { errorHandler } = require('./middleware/errorHandler');
 
 const app    = express();
@@ -18,6 +25,20 @@ app.use(express.json({
 
 // ─── Routes ────────────────────────────────────────────────────────────────────
 app.use('/workspace', require('./routes/workspace'));
+app.use('/workspace/:workspaceId/features', require('./routes/features'));
+app.use('/workspace/:workspaceId/features/:featureId', require('./routes/featureTasks'));
+app.use('/workspace/:workspaceId/events',   require('./routes/events'));
+app.use('/workspace/:workspaceId/health',   require('./routes/health'));
+app.use('/workspace/:workspaceId/jobs',     require('./routes/jobs'));
+app.use('/workspace/:workspaceId/deliveries', require('./routes/deliveries'));
+app.use('/workspace/:workspaceId/path-rules', require('./routes/pathRules'));
+app.use('/workspace/:workspaceId/branch-model', require('./routes/branchModel'));
+app.use('/workspace/:workspaceId/srs', require('./routes/srs'));
+app.use('/workspace/:workspaceId/requirements', require('./routes/requirements'));
+app.use('/workspace/:workspaceId/blockers', require('./routes/blockers'));
+app.use('/workspace/:workspaceId/notifications', require('./routes/notifications'));
+app.use('/workspace/:workspaceId/tokens', require('./routes/tokens'));
+app.use('/workspace/:workspaceId/members', require('./routes/members'));
 app.use('/webhook',   require('./routes/webhook'));
 app.use('/ai',        require('./routes/aiAlignment'));
 
@@ -35,6 +56,13 @@ const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`[Server] Listening on port ${PORT}`);
   console.log(`[Server] Env: ${process.env.NODE_ENV || 'development'}`);
+  warnUnsignedProviders();
+  startInactivityScheduler();
+  startPayloadRetention();
+  startEventRetention();
+  startJobRetention();
+  startNotifier();
+  if (process.env.JOB_WORKERS_ENABLED !== 'false') startJobWorkers();
 });
 //=====-=rhjkladsafgdasdfasdfasdfsadfasdfasdfasdfasdf
 module.exports = { app, server };
@@ -0,0 +1,121 @@
+'use strict';
+
+const pool                  = require('../db/pool');
+const { runConflictEngine } = require('../engines/conflictEngine');
+const { runFeatureEngine, runFeatureMerge } = require('../engines/featureEngine');
+const { refreshCompletion } = require('../engines/featureProgress');
+const { runPrAlignment }    = require('../engines/alignmentEngine');
+const { listPrFiles }       = require('../providers/prFileProvider');
+const { loadBranchModel, isTrunk, isDefaultBranch } = require('../engines/branchModel');
+const { runQueuedReplay }   = require('../services/delivery.service');
+
+/**
+ * Job type → handler(job). A handler throws to have the job retried.
+ * Handlers may run more than once for the same job, so keep them re-runnable.
+ */
+
+// ─── Push ──────────────────────────────────────────────────────────────────────
+
+async function conflictEngineJob({ workspace_id, payload }) {
+  await runConflictEngine(workspace_id, payload.modifiedFiles, payload.branch, { rescan: Boolean(payload.rescan) });
+}
+
+async function featureEngineJob({ workspace_id, payload }) {
+  await runFeatureEngine(workspace_id, payload.modifiedFiles, payload.commitHash, payload.taskRefs ?? []);
+}
+
+async function featureMergedJob({ workspace_id, payload }) {
+  await runFeatureMerge(workspace_id, payload.files, {
+    sourceBranches: payload.sourceBranches, targetBranch: payload.targetBranch,
+  });
+}
+
+// ─── Pull Request ──────────────────────────────────────────────────────────────
+
+async function replacePrFiles(prId, files) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM pr_files WHERE pr_id = $1', [prId]);
+    if (files.length > 0) {
+      await client.query(
+        `INSERT INTO pr_files (pr_id, file_path)
+         SELECT $1, UNNEST($2::text[])
+         ON CONFLICT (pr_id, file_path) DO NOTHING`,
+        [prId, files]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Refreshes pr_files for open PRs, re-runs overlap detection, then checks
+ * alignment of the new code against the SRS.
+ */
+async function pullRequestSyncJob({ workspace_id: workspaceId, payload }) {
+  const {
+    prId, prNumber, status, provider, repoFullName, repoUrl, sourceBranch, targetBranch, baseSha, headSha, inlineFiles,
+  } = payload;
+
+  // Closed/merged PRs keep their file list; it just stops counting as "open"
+  const prev          = await pool.query('SELECT file_path FROM pr_files WHERE pr_id = $1', [prId]);
+  const previousFiles = prev.rows.map(r => r.file_path);
+
+  let files = previousFiles;
+  if (status === 'open') {
+    files = await listPrFiles({
+      provider, repoFullName, repoUrl, prNumber, payload: { pull_request: { files: inlineFiles } },
+    });
+    await replacePrFiles(prId, files);
+  }
+
+  // A PR merged into trunk takes its branch's work with it (squash and rebase
+  // merges leave no shared commit for the push path to recognise)
+  const model = status === 'merged' ? await loadBranchModel(workspaceId) : null;
+  if (model && isTrunk(targetBranch, model) && files.length > 0) {
+    await pool.query(
+      `DELETE FROM file_activity
+       WHERE workspace_id = $1 AND branch_name = $2 AND file_path = ANY($3::text[])`,
+      [workspaceId, sourceBranch, files]
+    );
+  }
+
+  // Old + new paths so blockers on files the PR no longer touches get re-evaluated
+  const affected = [...new Set([...previousFiles, ...files])];
+  await runConflictEngine(workspaceId, affected, sourceBranch);
+
+  if (model && isDefaultBranch(targetBranch, model)) {
+    await runFeatureMerge(workspaceId, files, { sourceBranches: [sourceBranch], targetBranch });
+  }
+
+  // Linked PRs are completion evidence — opening, merging or closing one moves it
+  await refreshCompletion(workspaceId);
+
+  if (status === 'open' && files.length > 0) {
+    await runPrAlignment(workspaceId, {
+      provider, repoFullName, prNumber, baseRef: targetBranch, headRef: sourceBranch, baseSha, headSha, files,
+    });
+  }
+}
+
+// ─── Delivery Replay ───────────────────────────────────────────────────────────
+
+async function deliveryReplayJob({ payload }) {
+  await runQueuedReplay(payload.deliveryId);
+}
+
+const HANDLERS = {
+  'engine.conflict':   conflictEngineJob,
+  'engine.feature':    featureEngineJob,
+  'feature.merged':    featureMergedJob,
+  'pull_request.sync': pullRequestSyncJob,
+  'delivery.replay':   deliveryReplayJob,
+};
+
+module.exports = { HANDLERS };
@@ -0,0 +1,211 @@
+'use strict';
+
+const pool = require('../db/pool');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS      = 5_000;
+const BACKOFF_MAX_MS       = 10 * 60_000;
+const LIST_DEFAULT_LIMIT   = 50;
+const RETENTION_DAYS       = parseInt(process.env.JOB_RETENTION_DAYS) || 14;
+const RETENTION_EVERY_MS   = 60 * 60_000;
+
+let _retentionTimer = null;
+
+/**
+ * Job lifecycle:
+ *   queued → running → done
+ *                    ↘ queued (retry after backoff) … → dead (max_attempts reached)
+ *
+ * Jobs of one workspace run strictly one at a time, oldest first: a job is only
+ * claimable when no job of its workspace is running and no older job of its
+ * workspace is still queued.
+ */
+
+// ─── Enqueue ───────────────────────────────────────────────────────────────────
+
+/**
+ * @param {import('pg').PoolClient|import('pg').Pool} db  pass the caller's
+ *        transaction client to enqueue atomically with its own writes
+ * @returns {Promise<number>} job id
+ */
+async function enqueueJob(db, { workspaceId, type, payload = {}, deliveryId = null, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const r = await db.query(
+    `INSERT INTO jobs (workspace_id, type, payload, delivery_id, max_attempts)
+     VALUES ($1,$2,$3,$4,$5) RETURNING id`,
+    [workspaceId, type, JSON.stringify(payload), deliveryId, maxAttempts]
+  );
+  return parseInt(r.rows[0].id, 10);
+}
+
+// ─── Worker Side ───────────────────────────────────────────────────────────────
+
+/**
+ * Atomically claims the next runnable job, or returns null.
+ */
+async function claimJob(workerId) {
+  const r = await pool.query(
+    `UPDATE jobs SET status = 'running', attempts = attempts + 1,
+                     locked_by = $1, locked_at = NOW(), updated_at = NOW()
+     WHERE id = (
+       SELECT j.id FROM jobs j
+       WHERE j.status = 'queued' AND j.run_at <= NOW()
+         AND NOT EXISTS (
+           SELECT 1 FROM jobs r
+           WHERE r.workspace_id = j.workspace_id AND r.status = 'running'
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM jobs o
+           WHERE o.workspace_id = j.workspace_id AND o.status = 'queued' AND o.id < j.id
+         )
+       ORDER BY j.id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [workerId]
+  );
+  return r.rows[0] ?? null;
+}
+
+async function completeJob(job) {
+  await pool.query(
+    `UPDATE jobs SET status = 'done', last_error = NULL, locked_by = NULL, locked_at = NULL,
+                     finished_at = NOW(), updated_at = NOW()
+     WHERE id = $1`,
+    [job.id]
+  );
+}
+
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Requeues with exponential backoff, or dead-letters once attempts are exhausted.
+ * @returns {Promise<'queued'|'dead'>}
+ */
+async function failJob(job, error) {
+  const dead = job.attempts >= job.max_attempts;
+  await pool.query(
+    `UPDATE jobs SET status = $2, last_error = $3, locked_by = NULL, locked_at = NULL,
+                     run_at = NOW() + ($4 || ' milliseconds')::INTERVAL,
+                     finished_at = CASE WHEN $2 = 'dead' THEN NOW() END,
+                     updated_at = NOW()
+     WHERE id = $1`,
+    [job.id, dead ? 'dead' : 'queued', String(error?.stack ?? error).slice(0, 4000), dead ? 0 : backoffMs(job.attempts)]
+  );
+  return dead ? 'dead' : 'queued';
+}
+
+/**
+ * Returns jobs whose worker vanished (crash, restart) to the queue so their
+ * workspace isn't blocked forever. Counts as a failed attempt.
+ * @returns {Promise<number>} jobs recovered
+ */
+async function reapStaleJobs(timeoutMs) {
+  const r = await pool.query(
+    `UPDATE jobs SET status     = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+                     last_error = 'worker lock expired (' || COALESCE(locked_by, '?') || ')',
+                     locked_by  = NULL, locked_at = NULL, run_at = NOW(), updated_at = NOW(),
+                     finished_at = CASE WHEN attempts >= max_attempts THEN NOW() END
+     WHERE status = 'running' AND locked_at < NOW() - ($1 || ' milliseconds')::INTERVAL`,
+    [timeoutMs]
+  );
+  return r.rowCount;
+}
+
+// ─── Inspection ────────────────────────────────────────────────────────────────
+
+function _notFound(message) {
+  const err = new Error(message); err.status = 404; return err;
+}
+
+const JOB_COLUMNS = `id, workspace_id, type, payload, status, attempts, max_attempts, delivery_id,
+                     last_error, run_at, locked_by, locked_at, created_at, updated_at, finished_at`;
+
+async function listJobs(workspaceId, { status, type, limit = LIST_DEFAULT_LIMIT } = {}) {
+  const params  = [workspaceId];
+  const filters = ['workspace_id = $1'];
+  if (status) { params.push(status); filters.push(`status = $${params.length}`); }
+  if (type)   { params.push(type);   filters.push(`type = $${params.length}`); }
+  params.push(limit);
+
+  const [jobs, counts] = await Promise.all([
+    pool.query(
+      `SELECT ${JOB_COLUMNS} FROM jobs WHERE ${filters.join(' AND ')}
+       ORDER BY id DESC LIMIT $${params.length}`,
+      params
+    ),
+    pool.query('SELECT status, COUNT(*) AS count FROM jobs WHERE workspace_id = $1 GROUP BY status', [workspaceId]),
+  ]);
+
+  return {
+    jobs:   jobs.rows,
+    counts: Object.fromEntries(counts.rows.map(r => [r.status, parseInt(r.count, 10)])),
+  };
+}
+
+async function getJob(workspaceId, jobId) {
+  const r = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM jobs WHERE workspace_id = $1 AND id = $2`,
+    [workspaceId, jobId]
+  );
+  if (r.rowCount === 0) throw _notFound('Job not found.');
+  return r.rows[0];
+}
+
+/**
+ * Puts a dead job back in the queue with a fresh attempt budget.
+ */
+async function retryJob(workspaceId, jobId) {
+  const r = await pool.query(
+    `UPDATE jobs SET status = 'queued', attempts = 0, run_at = NOW(), finished_at = NULL, updated_at = NOW()
+     WHERE workspace_id = $1 AND id = $2 AND status = 'dead'
+     RETURNING id`,
+    [workspaceId, jobId]
+  );
+  if (r.rowCount === 0) {
+    await getJob(workspaceId, jobId); // 404 if missing
+    const err = new Error('Only dead jobs can be retried.'); err.status = 409; err.code = 'JOB_NOT_DEAD'; throw err;
+  }
+  return getJob(workspaceId, jobId);
+}
+
+// ─── Retention ─────────────────────────────────────────────────────────────────
+
+/**
+ * Drops done and dead jobs finished before the retention window, so the
+ * per-workspace checks in claimJob don't scan an ever-growing table.
+ * @returns {Promise<number>} jobs purged
+ */
+async function purgeFinishedJobs() {
+  const r = await pool.query(
+    `DELETE FROM jobs
+     WHERE status IN ('done','dead') AND finished_at < NOW() - ($1 || ' days')::INTERVAL`,
+    [RETENTION_DAYS]
+  );
+  if (r.rowCount > 0) console.log(`[JobQueue] Purged ${r.rowCount} jobs finished more than ${RETENTION_DAYS}d ago`);
+  return r.rowCount;
+}
+
+function _purge() {
+  purgeFinishedJobs().catch(err => console.error('[JobQueue] Job purge failed:', err.message));
+}
+
+function startJobRetention() {
+  if (_retentionTimer) return;
+  _retentionTimer = setInterval(_purge, RETENTION_EVERY_MS);
+  _retentionTimer.unref();
+  setImmediate(_purge);
+}
+
+function stopJobRetention() {
+  clearInterval(_retentionTimer);
+  _retentionTimer = null;
+}
+
+module.exports = {
+  enqueueJob, claimJob, completeJob, failJob, reapStaleJobs, backoffMs,
+  listJobs, getJob, retryJob,
+  purgeFinishedJobs, startJobRetention, stopJobRetention,
+};
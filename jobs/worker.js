@@ -0,0 +1,67 @@
+'use strict';
+
+const os       = require('os');
+const queue    = require('./queue');
+const { HANDLERS } = require('./handlers');
+
+const CONCURRENCY     = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+const POLL_MS         = parseInt(process.env.JOB_POLL_INTERVAL_MS)   || 1_000;
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS)    || 10 * 60_000;
+const REAP_EVERY_MS   = 60_000;
+const WORKER_ID       = `${os.hostname()}:${process.pid}`;
+
+let _stopped  = true;
+let _lastReap = 0;
+const _loops  = [];
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms).unref());
+
+async function runJob(job) {
+  const handler = HANDLERS[job.type];
+  const start   = Date.now();
+  try {
+    if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+    await handler(job);
+    await queue.completeJob(job);
+    console.log(`[JobWorker] Done — job=${job.id} type=${job.type} workspace=${job.workspace_id} (${Date.now() - start}ms)`);
+  } catch (err) {
+    const outcome = await queue.failJob(job, err);
+    const level   = outcome === 'dead' ? 'error' : 'warn';
+    console[level](`[JobWorker] Failed — job=${job.id} type=${job.type} attempt=${job.attempts}/${job.max_attempts} → ${outcome}:`, err.message);
+  }
+}
+
+async function _loop(index) {
+  while (!_stopped) {
+    try {
+      if (index === 0 && Date.now() - _lastReap > REAP_EVERY_MS) {
+        _lastReap = Date.now();
+        const reaped = await queue.reapStaleJobs(LOCK_TIMEOUT_MS);
+        if (reaped > 0) console.warn(`[JobWorker] Recovered ${reaped} stale job(s)`);
+      }
+
+      const job = await queue.claimJob(`${WORKER_ID}#${index}`);
+      if (job) await runJob(job);
+      else     await sleep(POLL_MS);
+    } catch (err) {
+      // DB unavailable etc. — back off and keep the loop alive
+      console.error('[JobWorker] Loop error:', err.message);
+      await sleep(POLL_MS * 5);
+    }
+  }
+}
+
+function startJobWorkers() {
+  if (!_stopped) return;
+  _stopped = false;
+  for (let i = 0; i < CONCURRENCY; i++) _loops.push(_loop(i));
+  console.log(`[JobWorker] Started ${CONCURRENCY} worker(s) as ${WORKER_ID}`);
+}
+
+/** Stops claiming new jobs; resolves once in-flight jobs have finished. */
+async function stopJobWorkers() {
+  _stopped = true;
+  await Promise.all(_loops.splice(0));
+}
+
+module.exports = { startJobWorkers, stopJobWorkers, runJob };
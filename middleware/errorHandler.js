@@ -5,7 +5,12 @@ function errorHandler(err, req, res, next) {
   const status = err.status || 500;
   console.error(`[ERROR] ${req.method} ${req.path} → ${status}:`, err.message);
 
+  if (status === 400) return res.status(400).json({ error: err.code || 'BAD_REQUEST', message: err.message });
   if (status === 409) return res.status(409).json({ error: err.code || 'CONFLICT', message: err.message });
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'UNAUTHENTICATED', message: err.message });
+  }
   if (status === 404) return res.status(404).json({ error: 'NOT_FOUND',      message: err.message });
   if (status === 403) return res.status(403).json({ error: 'ACCESS_DENIED',  message: err.message });
 
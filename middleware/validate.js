@@ -0,0 +1,12 @@
+'use strict';
+
+const { validationResult } = require('express-validator');
+
+// Short-circuits with 400 when any express-validator chain before it failed
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ error: 'VALIDATION_FAILED', fields: errors.array() });
+  next();
+}
+
+module.exports = { validate };
@@ -0,0 +1,89 @@
+'use strict';
+
+const pool = require('../db/pool');
+const { authenticateToken, hasScope } = require('../services/token.service');
+
+/**
+ * Guards workspace routes. Callers authenticate with
+ *   Authorization: Bearer <api token>   scoped, see services/token.service.js
+ *   x-dashboard-key: <key>              legacy; dashboard:read and features:write,
+ *                                       what it could do before tokens. Never admin:
+ *                                       it is also the read-only viewer credential
+ * and must be acting on the workspace the credential belongs to.
+ *
+ * On success req.workspace is the workspace row and req.principal is
+ * { kind: 'token'|'dashboard_key', tokenId, userId, username, scopes }.
+ * Missing or unknown credentials are 401; a valid credential for another
+ * workspace, or without the scope, is 403.
+ */
+
+const LEGACY_KEY_SCOPES = ['dashboard:read', 'features:write'];
+
+function _error(status, message) {
+  const err = new Error(message); err.status = status; return err;
+}
+
+async function _principal(req) {
+  const auth = String(req.headers.authorization ?? '').trim();
+  if (auth) {
+    const [scheme, token] = auth.split(/\s+/, 2);
+    if (scheme.toLowerCase() !== 'bearer' || !token) throw _error(401, 'Authorization must be "Bearer <token>".');
+    const row = await authenticateToken(token);
+    if (!row) throw _error(401, 'Invalid, expired or revoked token.');
+    return {
+      kind: 'token', tokenId: row.id, userId: row.user_id, username: row.member_username ?? null,
+      scopes: row.scopes, workspaceId: row.workspace_id,
+    };
+  }
+
+  const key = String(req.headers['x-dashboard-key'] ?? '').trim();
+  if (key) {
+    const r = await pool.query('SELECT id FROM workspaces WHERE dashboard_key::text = $1 LIMIT 1', [key.toLowerCase()]);
+    if (r.rowCount === 0) throw _error(401, 'Invalid access key.');
+    return {
+      kind: 'dashboard_key', tokenId: null, userId: null, username: null, scopes: LEGACY_KEY_SCOPES,
+      workspaceId: r.rows[0].id,
+    };
+  }
+
+  throw _error(401, 'Authorization: Bearer <token> header required.');
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.read='dashboard:read']  scope for GET/HEAD
+ * @param {string} [options.write=read]             scope for every other method
+ * @param {(req) => string} [options.workspaceId]   where the target workspace comes
+ *        from; defaults to the :workspaceId route param
+ */
+function requireWorkspaceAccess({ read = 'dashboard:read', write = read, workspaceId = (req) => req.params.workspaceId } = {}) {
+  return async function workspaceAccess(req, res, next) {
+    try {
+      const principal = await _principal(req);
+      const target    = String(workspaceId(req) ?? '').toLowerCase();
+      if (principal.workspaceId !== target) throw _error(403, 'Credential does not belong to this workspace.');
+
+      const needed = req.method === 'GET' || req.method === 'HEAD' ? read : write;
+      if (!hasScope(principal.scopes, needed)) throw _error(403, `Token lacks the "${needed}" scope.`);
+
+      const r = await pool.query('SELECT * FROM workspaces WHERE id = $1', [target]);
+      if (r.rowCount === 0) throw _error(404, 'Workspace not found.');
+
+      req.workspace = r.rows[0];
+      req.principal = principal;
+      next();
+    } catch (err) { next(err); }
+  };
+}
+
+/**
+ * Who acted, for audit trails and broadcasts: the member a token is bound to,
+ * else the token, else the legacy dashboard key. Never taken from the request
+ * body, so it can't be forged.
+ */
+function actorOf(req) {
+  const { username, tokenId } = req.principal;
+  return username ?? (tokenId ? `token:${tokenId}` : 'dashboard');
+}
+
+module.exports = { requireWorkspaceAccess, actorOf };
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * Pluggable source for a pull request's unified diff. Providers implement:
+ *
+ *   getDiff({ repoFullName, prNumber, baseRef, headRef, baseSha, headSha }) → Promise<string>
+ *
+ * Selected with DIFF_PROVIDER ('github' | 'local'); defaults to 'github' when
+ * GITHUB_TOKEN is set, otherwise 'local'. PRs hosted elsewhere (GitLab, Gitea,
+ * Bitbucket) are always diffed from the local clone.
+ */
+
+const { execFile } = require('child_process');
+
+const GITHUB_API      = process.env.GITHUB_API_URL || 'https://api.github.com';
+const TIMEOUT_MS      = 15_000;
+const MAX_DIFF_BYTES  = 10 * 1024 * 1024;
+const SHA             = /^[0-9a-f]{7,40}$/;
+
+// ─── GitHub REST ───────────────────────────────────────────────────────────────
+
+const githubProvider = {
+  name: 'github',
+  async getDiff({ repoFullName, prNumber }) {
+    const controller = new AbortController();
+    const timer      = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+      const res = await fetch(`${GITHUB_API}/repos/${repoFullName}/pulls/${prNumber}`, {
+        signal:  controller.signal,
+        headers: {
+          Accept: 'application/vnd.github.diff',
+          ...(process.env.GITHUB_TOKEN ? { Authorization: `Bearer ${process.env.GITHUB_TOKEN}` } : {}),
+        },
+      });
+      if (!res.ok) throw new Error(`GitHub HTTP ${res.status}: ${res.statusText}`);
+      return await res.text();
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+};
+
+// ─── Local Git Repository ──────────────────────────────────────────────────────
+
+function _git(repoPath, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['-C', repoPath, ...args], { timeout: TIMEOUT_MS, maxBuffer: MAX_DIFF_BYTES },
+      (err, stdout, stderr) => (err ? reject(new Error(stderr.trim() || err.message)) : resolve(stdout)));
+  });
+}
+
+/**
+ * Refs come from webhook payloads: only well-formed branch names that can't be
+ * read as an option reach git.
+ */
+async function _isBranchName(repoPath, ref) {
+  if (typeof ref !== 'string' || !ref || ref.startsWith('-')) return false;
+  return _git(repoPath, ['check-ref-format', `refs/heads/${ref}`]).then(() => true, () => false);
+}
+
+/**
+ * Offline provider backed by a clone at LOCAL_GIT_REPO_PATH. Diffs the merge
+ * base of the two sides, like GitHub does; prefers SHAs, falls back to branch names.
+ */
+const localProvider = {
+  name: 'local',
+  async getDiff({ baseRef, headRef, baseSha, headSha }) {
+    const repoPath = process.env.LOCAL_GIT_REPO_PATH;
+    if (!repoPath) throw new Error('LOCAL_GIT_REPO_PATH is not configured');
+
+    const candidates = [];
+    if (SHA.test(baseSha ?? '') && SHA.test(headSha ?? '')) candidates.push([baseSha, headSha]);
+    if (await _isBranchName(repoPath, baseRef) && await _isBranchName(repoPath, headRef)) {
+      candidates.push([baseRef, headRef], [`origin/${baseRef}`, `origin/${headRef}`]);
+    }
+
+    let lastError;
+    for (const [base, head] of candidates) {
+      try { return await _git(repoPath, ['diff', '--no-color', '--end-of-options', `${base}...${head}`, '--']); }
+      catch (err) { lastError = err; }
+    }
+    throw lastError ?? new Error('No refs to diff');
+  },
+};
+
+// ─── Selection ─────────────────────────────────────────────────────────────────
+
+const PROVIDERS = { github: githubProvider, local: localProvider };
+let _override   = null;
+
+/** Replace the active provider (e.g. from a test harness or another VCS). */
+function setDiffProvider(provider) {
+  _override = provider;
+}
+
+function getDiffProvider(scm = 'github') {
+  if (_override) return _override;
+  if (scm !== 'github') return localProvider;
+  const name = process.env.DIFF_PROVIDER || (process.env.GITHUB_TOKEN ? 'github' : 'local');
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown DIFF_PROVIDER "${name}"`);
+  return provider;
+}
+
+async function getPrDiff(pr) {
+  return getDiffProvider(pr.provider).getDiff(pr);
+}
+
+module.exports = { getPrDiff, getDiffProvider, setDiffProvider };
@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * Pluggable source for the list of files changed by a pull request.
+ * No host's pull/merge request webhook carries the file list, so it is
+ * fetched separately from the host the PR lives on. Providers implement:
+ *
+ *   listFiles({ repoFullName, repoUrl, prNumber, payload }) → Promise<string[]>
+ *
+ * PR_FILE_PROVIDER=stub forces the offline stub. Otherwise the PR's host API
+ * is used when PR_FILE_PROVIDER is set or the host's token is configured
+ * (GITHUB_TOKEN, GITLAB_TOKEN, GITEA_TOKEN, BITBUCKET_TOKEN), else the stub.
+ */
+
+const fs = require('fs');
+
+const GITHUB_API    = process.env.GITHUB_API_URL || 'https://api.github.com';
+const BITBUCKET_API = process.env.BITBUCKET_API_URL || 'https://api.bitbucket.org/2.0';
+const PER_PAGE      = 100;
+const MAX_PAGES     = 30;       // GitHub caps the endpoint at 3000 files
+const TIMEOUT_MS    = 10_000;
+
+const TOKENS = {
+  github:    'GITHUB_TOKEN',
+  gitlab:    'GITLAB_TOKEN',
+  gitea:     'GITEA_TOKEN',
+  bitbucket: 'BITBUCKET_TOKEN',
+};
+
+async function _getJson(url, headers, host) {
+  const controller = new AbortController();
+  const timer      = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal, headers: { Accept: 'application/json', ...headers } });
+    if (!res.ok) throw new Error(`${host} HTTP ${res.status}: ${res.statusText}`);
+    return await res.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Self-hosted API root: explicit env override, else derived from the repo's web URL. */
+function _apiRoot(envName, repoUrl, path) {
+  if (process.env[envName]) return process.env[envName];
+  if (!repoUrl) throw new Error(`${envName} is not configured and the event has no repository URL`);
+  return new URL(repoUrl).origin + path;
+}
+
+// ─── GitHub REST ───────────────────────────────────────────────────────────────
+
+const githubProvider = {
+  name: 'github',
+  async listFiles({ repoFullName, prNumber }) {
+    const files = [];
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const controller = new AbortController();
+      const timer      = setTimeout(() => controller.abort(), TIMEOUT_MS);
+      let batch;
+      try {
+        const res = await fetch(
+          `${GITHUB_API}/repos/${repoFullName}/pulls/${prNumber}/files?per_page=${PER_PAGE}&page=${page}`,
+          {
+            signal:  controller.signal,
+            headers: {
+              Accept: 'application/vnd.github+json',
+              ...(process.env.GITHUB_TOKEN ? { Authorization: `Bearer ${process.env.GITHUB_TOKEN}` } : {}),
+            },
+          }
+        );
+        if (!res.ok) throw new Error(`GitHub HTTP ${res.status}: ${res.statusText}`);
+        batch = await res.json();
+      } finally {
+        clearTimeout(timer);
+      }
+      for (const f of batch) {
+        files.push(f.filename);
+        if (f.previous_filename) files.push(f.previous_filename); // renames touch both paths
+      }
+      if (batch.length < PER_PAGE) break;
+    }
+    return files;
+  },
+};
+
+// ─── GitLab REST ───────────────────────────────────────────────────────────────
+
+const gitlabProvider = {
+  name: 'gitlab',
+  async listFiles({ repoFullName, repoUrl, prNumber }) {
+    const api     = _apiRoot('GITLAB_API_URL', repoUrl, '/api/v4');
+    const project = encodeURIComponent(repoFullName);
+    const headers = process.env.GITLAB_TOKEN ? { 'PRIVATE-TOKEN': process.env.GITLAB_TOKEN } : {};
+    const files   = [];
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const batch = await _getJson(
+        `${api}/projects/${project}/merge_requests/${prNumber}/diffs?per_page=${PER_PAGE}&page=${page}`,
+        headers, 'GitLab'
+      );
+      for (const d of batch) {
+        files.push(d.new_path);
+        if (d.old_path !== d.new_path) files.push(d.old_path);
+      }
+      if (batch.length < PER_PAGE) break;
+    }
+    return files;
+  },
+};
+
+// ─── Gitea REST ────────────────────────────────────────────────────────────────
+
+const giteaProvider = {
+  name: 'gitea',
+  async listFiles({ repoFullName, repoUrl, prNumber }) {
+    const api     = _apiRoot('GITEA_API_URL', repoUrl, '/api/v1');
+    const headers = process.env.GITEA_TOKEN ? { Authorization: `token ${process.env.GITEA_TOKEN}` } : {};
+    const files   = [];
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const batch = await _getJson(
+        `${api}/repos/${repoFullName}/pulls/${prNumber}/files?limit=${PER_PAGE}&page=${page}`,
+        headers, 'Gitea'
+      );
+      for (const f of batch) {
+        files.push(f.filename);
+        if (f.previous_filename) files.push(f.previous_filename);
+      }
+      if (batch.length < PER_PAGE) break;
+    }
+    return files;
+  },
+};
+
+// ─── Bitbucket REST ────────────────────────────────────────────────────────────
+
+const bitbucketProvider = {
+  name: 'bitbucket',
+  async listFiles({ repoFullName, prNumber }) {
+    const headers = process.env.BITBUCKET_TOKEN ? { Authorization: `Bearer ${process.env.BITBUCKET_TOKEN}` } : {};
+    const files   = [];
+    let url = `${BITBUCKET_API}/repositories/${repoFullName}/pullrequests/${prNumber}/diffstat?pagelen=${PER_PAGE}`;
+    for (let page = 0; url && page < MAX_PAGES; page++) {
+      const body = await _getJson(url, headers, 'Bitbucket');
+      for (const d of body.values ?? []) {
+        if (d.new?.path) files.push(d.new.path);
+        if (d.old?.path && d.old.path !== d.new?.path) files.push(d.old.path);
+      }
+      url = body.next;
+    }
+    return files;
+  },
+};
+
+// ─── Local Stub ────────────────────────────────────────────────────────────────
+
+/**
+ * Offline provider. Reads a JSON fixture at PR_FILES_STUB_PATH shaped as
+ * { "owner/repo#12": ["src/a.js", ...] }; unknown PRs have no files.
+ */
+const stubProvider = {
+  name: 'stub',
+  async listFiles({ repoFullName, prNumber }) {
+    const fixturePath = process.env.PR_FILES_STUB_PATH;
+    if (!fixturePath) return [];
+    const fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+    return fixture[`${repoFullName}#${prNumber}`] ?? [];
+  },
+};
+
+// ─── Selection ─────────────────────────────────────────────────────────────────
+
+const PROVIDERS = {
+  github:    githubProvider,
+  gitlab:    gitlabProvider,
+  gitea:     giteaProvider,
+  bitbucket: bitbucketProvider,
+  stub:      stubProvider,
+};
+let _override   = null;
+
+/** Replace the active provider (e.g. from a test harness or another VCS). */
+function setPrFileProvider(provider) {
+  _override = provider;
+}
+
+/**
+ * @param {string} [scm]  host the PR lives on (workspaces.provider)
+ */
+function getPrFileProvider(scm = 'github') {
+  if (_override) return _override;
+  const configured = process.env.PR_FILE_PROVIDER;
+  if (configured && configured !== 'stub' && !PROVIDERS[configured]) {
+    throw new Error(`Unknown PR_FILE_PROVIDER "${configured}"`);
+  }
+  if (configured === 'stub') return stubProvider;
+  if (!PROVIDERS[scm] || !TOKENS[scm]) throw new Error(`Unknown source-control provider "${scm}"`);
+  return configured || process.env[TOKENS[scm]] ? PROVIDERS[scm] : stubProvider;
+}
+
+/**
+ * Files embedded in the payload win (useful for replays and custom senders);
+ * otherwise ask the provider for the PR's host.
+ */
+async function listPrFiles({ provider, repoFullName, repoUrl, prNumber, payload }) {
+  const inline = payload?.pull_request?.files;
+  if (Array.isArray(inline)) {
+    return [...new Set(inline.map(f => (typeof f === 'string' ? f : f?.filename)).filter(Boolean))];
+  }
+  const files = await getPrFileProvider(provider).listFiles({ repoFullName, repoUrl, prNumber, payload });
+  return [...new Set(files)];
+}
+
+module.exports = { listPrFiles, getPrFileProvider, setPrFileProvider };
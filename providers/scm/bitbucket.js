@@ -0,0 +1,178 @@
+'use strict';
+
+const { hmacSha256Hex, safeEqual, allowUnsigned } = require('./signature');
+
+/**
+ * Bitbucket Cloud. Two gaps versus GitHub are bridged here:
+ *   - repositories are identified by a UUID, so a stable numeric repo ID is
+ *     derived from it (see repoId);
+ *   - push payloads list at most five commits and no files, so the changed
+ *     files come from the diffstat API (BITBUCKET_TOKEN) and are attributed
+ *     to the head commit.
+ * One push can update several branches; each becomes its own internal event.
+ */
+
+const BITBUCKET_API = process.env.BITBUCKET_API_URL || 'https://api.bitbucket.org/2.0';
+const ZERO_SHA      = '0000000000000000000000000000000000000000';
+const TIMEOUT_MS    = 10_000;
+const MAX_PAGES     = 30;
+
+const PR_ACTIONS = {
+  'pullrequest:created':   'opened',
+  'pullrequest:updated':   'synchronize',
+  'pullrequest:fulfilled': 'closed',
+  'pullrequest:rejected':  'closed',
+};
+
+/**
+ * '{3f1c2b7a-…}' → the first 13 hex digits as an integer (52 bits, a safe
+ * integer that fits workspaces.github_repo_id).
+ */
+function repoId(value) {
+  const hex = String(value ?? '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  if (hex.length !== 32) return null;
+  return parseInt(hex.slice(0, 13), 16) || null;
+}
+
+function _repository(repo) {
+  return { id: repoId(repo?.uuid), full_name: repo?.full_name, html_url: repo?.links?.html?.href };
+}
+
+// ─── Diffstat ──────────────────────────────────────────────────────────────────
+
+async function _getJson(url) {
+  const controller = new AbortController();
+  const timer      = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const res = await fetch(url, {
+      signal:  controller.signal,
+      headers: { Accept: 'application/json', Authorization: `Bearer ${process.env.BITBUCKET_TOKEN}` },
+    });
+    if (!res.ok) throw new Error(`Bitbucket HTTP ${res.status}: ${res.statusText}`);
+    return await res.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Paths touched between two commits. Bitbucket's `a..b` spec is "in a, not in b".
+ * @returns {Promise<{ added: string[], modified: string[], removed: string[] }>}
+ */
+async function _diffstat(repoFullName, newHash, oldHash) {
+  const out = { added: [], modified: [], removed: [] };
+  if (!process.env.BITBUCKET_TOKEN) {
+    console.warn(`[Bitbucket] BITBUCKET_TOKEN not set — push to ${repoFullName} has no file list`);
+    return out;
+  }
+
+  const spec = oldHash ? `${newHash}..${oldHash}` : newHash;
+  let url = `${BITBUCKET_API}/repositories/${repoFullName}/diffstat/${spec}?pagelen=500`;
+  for (let page = 0; url && page < MAX_PAGES; page++) {
+    const body = await _getJson(url);
+    for (const entry of body.values ?? []) {
+      if (entry.status === 'added')        out.added.push(entry.new.path);
+      else if (entry.status === 'removed') out.removed.push(entry.old.path);
+      else {
+        out.modified.push(entry.new?.path ?? entry.old.path);
+        if (entry.old?.path && entry.old.path !== entry.new?.path) out.removed.push(entry.old.path); // renames
+      }
+    }
+    url = body.next;
+  }
+  return out;
+}
+
+// ─── Normalisation ─────────────────────────────────────────────────────────────
+
+async function _push(body) {
+  const events = [];
+  for (const change of body.push?.changes ?? []) {
+    const ref = change.new ?? change.old;
+    if (ref?.type !== 'branch') continue; // tags and bookmarks don't feed the engines
+
+    const before = change.old?.target?.hash ?? ZERO_SHA;
+    const after  = change.new?.target?.hash ?? ZERO_SHA;
+
+    // Bitbucket lists newest first; GitHub oldest first
+    const commits = [...(change.commits ?? [])].reverse().map(c => ({
+      id:        c.hash,
+      message:   c.message,
+      timestamp: c.date,
+      author:    { name: c.author?.raw, username: c.author?.user?.nickname ?? null },
+      committer: { username: null },
+      added: [], modified: [], removed: [],
+    }));
+
+    let headCommit = null;
+    if (change.new) {
+      headCommit = commits.find(c => c.id === after);
+      if (!headCommit) {
+        headCommit = { id: after, timestamp: change.new.target?.date, author: { username: null }, committer: { username: null } };
+        commits.push(headCommit);
+      }
+      Object.assign(headCommit, await _diffstat(body.repository?.full_name, after, change.old?.target?.hash));
+    }
+
+    events.push({
+      ref:         `refs/heads/${ref.name}`,
+      before,
+      after,
+      commits,
+      head_commit: headCommit,
+      repository:  _repository(body.repository),
+      pusher:      { name: body.actor?.nickname },
+    });
+  }
+  return events;
+}
+
+function _pullRequest(eventKey, body) {
+  const pr = body.pullrequest ?? {};
+  return {
+    action:       PR_ACTIONS[eventKey] ?? null,
+    number:       pr.id,
+    pull_request: {
+      number:     pr.id,
+      title:      pr.title ?? null,
+      body:       pr.description ?? null,
+      head:       { ref: pr.source?.branch?.name, sha: pr.source?.commit?.hash ?? null },
+      base:       { ref: pr.destination?.branch?.name, sha: pr.destination?.commit?.hash ?? null },
+      merged:     eventKey === 'pullrequest:fulfilled',
+      created_at: pr.created_on ?? null,
+    },
+    repository:   _repository(body.repository),
+    sender:       { login: body.actor?.nickname },
+  };
+}
+
+module.exports = {
+  name: 'bitbucket',
+  secretEnv: 'BITBUCKET_WEBHOOK_SECRET',
+
+  readHeaders(req) {
+    return { event: req.headers['x-event-key'], deliveryId: req.headers['x-request-uuid'] };
+  },
+
+  eventType(event) {
+    if (event === 'repo:push') return 'push';
+    return event in PR_ACTIONS ? 'pull_request' : null;
+  },
+
+  // X-Hub-Signature: sha256=<hmac of raw body>
+  verify(req) {
+    const secret = process.env[this.secretEnv];
+    if (!secret) return allowUnsigned();
+    const sig = req.headers['x-hub-signature'];
+    if (!sig) return false;
+    return safeEqual(sig, 'sha256=' + hmacSha256Hex(secret, req.rawBody));
+  },
+
+  async normalize(eventType, body, event) {
+    return eventType === 'push' ? _push(body) : [_pullRequest(event, body)];
+  },
+
+  repoId,
+
+  repoUrlPattern: /^https:\/\/bitbucket\.org\/[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/,
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+const { hmacSha256Hex, safeEqual, allowUnsigned } = require('./signature');
+
+/**
+ * Gitea / Forgejo. Payloads are close to GitHub's already; this maps the
+ * differing names (pusher.login, "synchronized").
+ */
+
+const EVENTS = { push: 'push', pull_request: 'pull_request', pull_request_sync: 'pull_request' };
+
+function _repository(repo) {
+  return { id: repo?.id, full_name: repo?.full_name, html_url: repo?.html_url, default_branch: repo?.default_branch };
+}
+
+function _push(body) {
+  return {
+    ...body,
+    repository: _repository(body.repository),
+    pusher:     { name: body.pusher?.login ?? body.pusher?.username },
+  };
+}
+
+function _pullRequest(body) {
+  const pr = body.pull_request ?? {};
+  return {
+    action:       body.action === 'synchronized' ? 'synchronize' : body.action,
+    number:       body.number ?? pr.number,
+    pull_request: {
+      number:     pr.number,
+      title:      pr.title ?? null,
+      body:       pr.body ?? null,
+      head:       { ref: pr.head?.ref, sha: pr.head?.sha ?? null },
+      base:       { ref: pr.base?.ref, sha: pr.base?.sha ?? null },
+      merged:     Boolean(pr.merged),
+      created_at: pr.created_at ?? null,
+    },
+    repository:   _repository(body.repository),
+    sender:       { login: body.sender?.login },
+  };
+}
+
+module.exports = {
+  name: 'gitea',
+  secretEnv: 'GITEA_WEBHOOK_SECRET',
+
+  readHeaders(req) {
+    return { event: req.headers['x-gitea-event'], deliveryId: req.headers['x-gitea-delivery'] };
+  },
+
+  eventType(event) {
+    return EVENTS[event] ?? null;
+  },
+
+  // X-Gitea-Signature: hex HMAC-SHA256 of the raw body, no prefix
+  verify(req) {
+    const secret = process.env[this.secretEnv];
+    if (!secret) return allowUnsigned();
+    const sig = req.headers['x-gitea-signature'];
+    if (!sig) return false;
+    return safeEqual(sig, hmacSha256Hex(secret, req.rawBody));
+  },
+
+  async normalize(eventType, body) {
+    return [eventType === 'push' ? _push(body) : _pullRequest(body)];
+  },
+
+  repoId(value) {
+    const id = Number(value);
+    return Number.isSafeInteger(id) && id > 0 ? id : null;
+  },
+
+  repoUrlPattern: /^https?:\/\/[A-Za-z0-9.-]+(:\d+)?(\/[A-Za-z0-9_.-]+){2}$/,
+};
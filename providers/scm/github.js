@@ -0,0 +1,43 @@
+'use strict';
+
+const { hmacSha256Hex, safeEqual, allowUnsigned } = require('./signature');
+
+/**
+ * GitHub — the reference shape. Payloads are passed through unchanged; every
+ * other adapter normalises into this shape.
+ */
+
+const EVENTS = { push: 'push', pull_request: 'pull_request' };
+
+module.exports = {
+  name: 'github',
+  secretEnv: 'GITHUB_WEBHOOK_SECRET',
+
+  readHeaders(req) {
+    return { event: req.headers['x-github-event'], deliveryId: req.headers['x-github-delivery'] };
+  },
+
+  eventType(event) {
+    return EVENTS[event] ?? null;
+  },
+
+  // X-Hub-Signature-256: sha256=<hmac of raw body>
+  verify(req) {
+    const secret = process.env[this.secretEnv];
+    if (!secret) return allowUnsigned();
+    const sig = req.headers['x-hub-signature-256'];
+    if (!sig) return false;
+    return safeEqual(sig, 'sha256=' + hmacSha256Hex(secret, req.rawBody));
+  },
+
+  async normalize(_eventType, body) {
+    return [body];
+  },
+
+  repoId(value) {
+    const id = Number(value);
+    return Number.isSafeInteger(id) && id > 0 ? id : null;
+  },
+
+  repoUrlPattern: /^https:\/\/github\.com\/[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/,
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+const { safeEqual, allowUnsigned } = require('./signature');
+
+/**
+ * GitLab (gitlab.com or self-hosted). Push and merge request hooks are mapped
+ * onto GitHub's push / pull_request shapes. GitLab commits carry the author's
+ * name and email but no username, so member activity comes from the pusher.
+ */
+
+const EVENTS = { 'Push Hook': 'push', 'Merge Request Hook': 'pull_request' };
+
+// object_attributes.action → GitHub pull_request action
+function _prAction(attrs) {
+  switch (attrs.action) {
+    case 'open':   return 'opened';
+    case 'reopen': return 'reopened';
+    case 'close':
+    case 'merge':  return 'closed';
+    case 'update': return attrs.oldrev ? 'synchronize' : 'edited'; // oldrev only when commits were pushed
+    default:       return attrs.action ?? null;
+  }
+}
+
+function _repository(project) {
+  return {
+    id:             project?.id,
+    full_name:      project?.path_with_namespace,
+    html_url:       project?.web_url,
+    default_branch: project?.default_branch,
+  };
+}
+
+function _push(body) {
+  const commits = (body.commits ?? []).map(c => ({
+    id:        c.id,
+    message:   c.message,
+    timestamp: c.timestamp,
+    author:    { name: c.author?.name, email: c.author?.email, username: null },
+    committer: { username: null },
+    added:     c.added ?? [],
+    modified:  c.modified ?? [],
+    removed:   c.removed ?? [],
+  }));
+  return {
+    ref:         body.ref,
+    before:      body.before,
+    after:       body.after,
+    commits,
+    head_commit: commits.find(c => c.id === body.after) ?? null,
+    repository:  _repository(body.project),
+    pusher:      { name: body.user_username },
+  };
+}
+
+function _mergeRequest(body) {
+  const attrs = body.object_attributes ?? {};
+  return {
+    action:       _prAction(attrs),
+    number:       attrs.iid,
+    pull_request: {
+      number:     attrs.iid,
+      title:      attrs.title ?? null,
+      body:       attrs.description ?? null,
+      head:       { ref: attrs.source_branch, sha: attrs.last_commit?.id ?? null },
+      base:       { ref: attrs.target_branch, sha: attrs.diff_refs?.base_sha ?? null },
+      merged:     attrs.action === 'merge' || attrs.state === 'merged',
+      created_at: attrs.created_at ?? null,
+    },
+    repository:   _repository(body.project),
+    sender:       { login: body.user?.username },
+  };
+}
+
+module.exports = {
+  name: 'gitlab',
+  secretEnv: 'GITLAB_WEBHOOK_SECRET',
+
+  readHeaders(req) {
+    return { event: req.headers['x-gitlab-event'], deliveryId: req.headers['x-gitlab-event-uuid'] };
+  },
+
+  eventType(event) {
+    return EVENTS[event] ?? null;
+  },
+
+  // X-Gitlab-Token: the hook's secret token, sent verbatim
+  verify(req) {
+    const secret = process.env[this.secretEnv];
+    if (!secret) return allowUnsigned();
+    return safeEqual(req.headers['x-gitlab-token'], secret);
+  },
+
+  async normalize(eventType, body) {
+    return [eventType === 'push' ? _push(body) : _mergeRequest(body)];
+  },
+
+  repoId(value) {
+    const id = Number(value);
+    return Number.isSafeInteger(id) && id > 0 ? id : null;
+  },
+
+  // Self-hosted instances and nested groups
+  repoUrlPattern: /^https?:\/\/[A-Za-z0-9.-]+(:\d+)?(\/[A-Za-z0-9_.-]+){2,}$/,
+};
@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Source-control host adapters. Each one turns its host's webhook into the
+ * internal event — a GitHub-shaped push or pull_request payload tagged with
+ * `provider` — so the webhook pipeline and engines stay host-agnostic.
+ * Adapters implement:
+ *
+ *   readHeaders(req)                 → { event, deliveryId }
+ *   eventType(event)                 → 'push' | 'pull_request' | null (ignored)
+ *   secretEnv                        → env var holding the webhook secret
+ *   verify(req)                      → boolean (signature / token check)
+ *   normalize(eventType, body, event) → Promise<object[]> internal payloads
+ *   repoId(value)                    → numeric repo identity, or null
+ *   repoUrlPattern                   → RegExp for workspace repo URLs
+ */
+
+const ADAPTERS = {
+  github:    require('./github'),
+  gitlab:    require('./gitlab'),
+  gitea:     require('./gitea'),
+  bitbucket: require('./bitbucket'),
+};
+
+const PROVIDERS = Object.keys(ADAPTERS);
+
+function getAdapter(name) {
+  return Object.hasOwn(ADAPTERS, name) ? ADAPTERS[name] : null;
+}
+
+/**
+ * @returns {Promise<object[]>} one internal payload per branch/PR update
+ */
+async function normalizeEvent(adapter, eventType, body, event) {
+  const payloads = await adapter.normalize(eventType, body ?? {}, event);
+  return payloads.map(p => ({ ...p, provider: adapter.name }));
+}
+
+/**
+ * Logs each provider with no webhook secret configured. Its deliveries go
+ * unverified outside production and are rejected in production.
+ */
+function warnUnsignedProviders() {
+  const prod = process.env.NODE_ENV === 'production';
+  for (const adapter of Object.values(ADAPTERS)) {
+    if (process.env[adapter.secretEnv]) continue;
+    console.warn(`[Webhook] ${adapter.secretEnv} not set — ${adapter.name} deliveries will be ${prod ? 'rejected' : 'accepted unverified'}`);
+  }
+}
+
+module.exports = { PROVIDERS, getAdapter, normalizeEvent, warnUnsignedProviders };
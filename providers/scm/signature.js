@@ -0,0 +1,25 @@
+'use strict';
+
+const crypto = require('crypto');
+
+function hmacSha256Hex(secret, rawBody) {
+  return crypto.createHmac('sha256', secret).update(rawBody ?? '').digest('hex');
+}
+
+/** Constant-time string comparison; false on any length mismatch. */
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a ?? ''));
+  const y = Buffer.from(String(b ?? ''));
+  if (x.length !== y.length) return false;
+  return crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * Whether a delivery may skip verification because the host's secret isn't
+ * configured: allowed in development, refused in production.
+ */
+function allowUnsigned() {
+  return process.env.NODE_ENV !== 'production';
+}
+
+module.exports = { hmacSha256Hex, safeEqual, allowUnsigned };
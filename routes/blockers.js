@@ -0,0 +1,99 @@
+'use strict';
+
+const express  = require('express');
+const { param, body, query }     = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess, actorOf } = require('../middleware/workspaceAccess');
+const service  = require('../services/blocker.service');
+const router   = express.Router({ mergeParams: true });
+
+const TYPES       = ['FILE_CONFLICT_RISK', 'DEPENDENCY_BLOCK', 'INACTIVITY', 'ALIGNMENT_DRIFT'];
+const STATES      = ['open', 'acknowledged', 'snoozed'];
+const RESOLUTIONS = ['fixed', 'wont_fix', 'duplicate', 'not_a_problem'];
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess({ write: 'features:write' }));
+
+// GET /workspace/:workspaceId/blockers?state=&type=&assignee=&includeResolved=
+router.get('/', [
+  query('state').optional().isIn(STATES),
+  query('type').optional().isIn(TYPES),
+  query('assignee').optional().isString().trim().notEmpty(),
+  query('includeResolved').optional().isBoolean().toBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.listBlockers(req.workspace.id, req.query));
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/blockers/:blockerId
+router.get('/:blockerId', [param('blockerId').isUUID()], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.getBlocker(req.workspace.id, req.params.blockerId));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/blockers/:blockerId/acknowledge
+router.post('/:blockerId/acknowledge', [param('blockerId').isUUID()], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.acknowledge(req.workspace.id, req.params.blockerId, { actor: actorOf(req) }));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/blockers/:blockerId/assign — { assignee: username|null }
+router.post('/:blockerId/assign', [
+  param('blockerId').isUUID(),
+  body('assignee').exists().custom(v => v === null || (typeof v === 'string' && v.trim().length > 0))
+    .withMessage('assignee must be a username or null'),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.assign(req.workspace.id, req.params.blockerId, {
+      assignee: req.body.assignee, actor: actorOf(req),
+    }));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/blockers/:blockerId/snooze — { until: ISO8601|null }
+router.post('/:blockerId/snooze', [
+  param('blockerId').isUUID(),
+  body('until').exists().custom(v => v === null || (typeof v === 'string' && !Number.isNaN(Date.parse(v))))
+    .withMessage('until must be an ISO 8601 time or null'),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.snooze(req.workspace.id, req.params.blockerId, {
+      until: req.body.until, actor: actorOf(req),
+    }));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/blockers/:blockerId/resolve — { resolution, reason?, suppressHours? }
+router.post('/:blockerId/resolve', [
+  param('blockerId').isUUID(),
+  body('resolution').isIn(RESOLUTIONS),
+  body('reason').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+  body('suppressHours').optional().isInt({ min: 0, max: 8760 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.resolve(req.workspace.id, req.params.blockerId, {
+      resolution:    req.body.resolution,
+      reason:        req.body.reason,
+      suppressHours: req.body.suppressHours,
+      actor:         actorOf(req),
+    }));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/blockers/:blockerId/comments — { body }
+router.post('/:blockerId/comments', [
+  param('blockerId').isUUID(),
+  body('body').isString().trim().isLength({ min: 1, max: 5000 }),
+], validate, async (req, res, next) => {
+  try {
+    const comment = await service.addComment(req.workspace.id, req.params.blockerId, {
+      body: req.body.body, actor: actorOf(req),
+    });
+    return res.status(201).json(comment);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+'use strict';
+
+const express  = require('express');
+const { param, body }            = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess } = require('../middleware/workspaceAccess');
+const { isValidPattern }         = require('../utils/pathMatcher');
+const service  = require('../services/branchModel.service');
+const router   = express.Router({ mergeParams: true });
+
+// Git ref names: no spaces, control characters, "..", or leading/trailing "/"
+const BRANCH_NAME = /^(?!\/)(?!.*\.\.)(?!.*\/$)[^\s~^:?*[\\\x00-\x1f]{1,255}$/;
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess({ write: 'admin' }));
+
+// GET /workspace/:workspaceId/branch-model
+router.get('/', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.getBranchModel(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// PUT /workspace/:workspaceId/branch-model — { defaultBranch?, releaseBranchPatterns? }
+router.put('/', [
+  body('defaultBranch').optional({ nullable: true }).isString().trim().matches(BRANCH_NAME)
+    .withMessage('defaultBranch must be a valid branch name'),
+  body('releaseBranchPatterns').optional().isArray({ max: 50 }),
+  body('releaseBranchPatterns.*').isString().trim().custom(isValidPattern)
+    .withMessage('invalid branch pattern'),
+], validate, async (req, res, next) => {
+  try {
+    const { defaultBranch, releaseBranchPatterns } = req.body;
+    return res.status(200).json(await service.updateBranchModel(req.workspace.id, { defaultBranch, releaseBranchPatterns }));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+'use strict';
+
+const express  = require('express');
+const { param, query, body }     = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess } = require('../middleware/workspaceAccess');
+const service  = require('../services/delivery.service');
+const router   = express.Router({ mergeParams: true });
+
+const STATUSES = ['processing', 'processed', 'workspace_not_found', 'branch_deleted', 'failed'];
+const EVENTS   = ['push', 'pull_request'];
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess({ read: 'admin' }));
+
+// GET /workspace/:workspaceId/deliveries?branch=&status=&event=&from=&to=&limit=
+router.get('/', [
+  query('branch').optional().isString().trim().notEmpty(),
+  query('status').optional().isIn(STATUSES),
+  query('event').optional().isIn(EVENTS),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.listDeliveries(req.workspace, req.query));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/deliveries/replay — every original delivery in a time range, queued as one job each
+router.post('/replay', [
+  body('from').isISO8601(),
+  body('to').isISO8601(),
+  body('branch').optional().isString().trim().notEmpty(),
+  body('event').optional().isIn(EVENTS),
+  body('status').optional().isIn(STATUSES),
+  body('dryRun').optional().isBoolean().toBoolean(),
+], validate, async (req, res, next) => {
+  try {
+    const result = await service.replayRange(req.workspace, req.body);
+    return res.status(result.dryRun ? 200 : 202).json(result);
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/deliveries/:deliveryId — payload, outcome, jobs and replays
+router.get('/:deliveryId', [
+  param('deliveryId').isString().trim().notEmpty(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.getDelivery(req.workspace, req.params.deliveryId));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/deliveries/:deliveryId/replay
+router.post('/:deliveryId/replay', [
+  param('deliveryId').isString().trim().notEmpty(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.replayDelivery(req.workspace, req.params.deliveryId));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
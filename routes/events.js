@@ -0,0 +1,24 @@
+'use strict';
+
+const express  = require('express');
+const { param, query }           = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess } = require('../middleware/workspaceAccess');
+const eventLog = require('../services/event.service');
+const router   = express.Router({ mergeParams: true });
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess());
+
+// GET /workspace/:workspaceId/events?after=<seq>&limit=&type=
+router.get('/', [
+  query('after').optional().isInt({ min: 0 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  query('type').optional().isString().trim().matches(/^[A-Z_]+$/),
+], validate, async (req, res, next) => {
+  try {
+    const page = await eventLog.listEvents(req.workspace.id, req.query);
+    return res.status(200).json(page);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
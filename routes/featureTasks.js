@@ -0,0 +1,94 @@
+'use strict';
+
+const express  = require('express');
+const { body, param }            = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess } = require('../middleware/workspaceAccess');
+const service = require('../services/featureTask.service');
+const router  = express.Router({ mergeParams: true });
+
+const KINDS = ['task', 'acceptance'];
+
+router.use(param('workspaceId').isUUID(), param('featureId').isUUID(), validate, requireWorkspaceAccess({ write: 'features:write' }));
+
+// ─── Tasks ─────────────────────────────────────────────────────────────────────
+
+// GET /workspace/:workspaceId/features/:featureId/tasks
+router.get('/tasks', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.listTasks(req.workspace.id, req.params.featureId));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/features/:featureId/tasks
+router.post('/tasks', [
+  body('title').isString().trim().isLength({ min: 1, max: 500 }),
+  body('kind').optional().isIn(KINDS),
+  body('milestoneId').optional({ nullable: true }).isInt({ min: 1 }),
+], validate, async (req, res, next) => {
+  try {
+    const result = await service.createTask(req.workspace.id, req.params.featureId, req.body);
+    return res.status(201).json(result);
+  } catch (err) { next(err); }
+});
+
+// PATCH /workspace/:workspaceId/features/:featureId/tasks/:taskId
+router.patch('/tasks/:taskId', [
+  param('taskId').isInt({ min: 1 }),
+  body('title').optional().isString().trim().isLength({ min: 1, max: 500 }),
+  body('kind').optional().isIn(KINDS),
+  body('milestoneId').optional({ nullable: true }).isInt({ min: 1 }),
+  body('done').optional().isBoolean().toBoolean(),
+], validate, async (req, res, next) => {
+  try {
+    const result = await service.updateTask(req.workspace.id, req.params.featureId, req.params.taskId, req.body);
+    return res.status(200).json(result);
+  } catch (err) { next(err); }
+});
+
+// DELETE /workspace/:workspaceId/features/:featureId/tasks/:taskId
+router.delete('/tasks/:taskId', [
+  param('taskId').isInt({ min: 1 }),
+], validate, async (req, res, next) => {
+  try {
+    const result = await service.deleteTask(req.workspace.id, req.params.featureId, req.params.taskId);
+    return res.status(200).json(result);
+  } catch (err) { next(err); }
+});
+
+// ─── Milestones ────────────────────────────────────────────────────────────────
+
+// POST /workspace/:workspaceId/features/:featureId/milestones
+router.post('/milestones', [
+  body('title').isString().trim().isLength({ min: 1, max: 200 }),
+  body('dueDate').optional({ nullable: true }).isISO8601({ strict: true }),
+], validate, async (req, res, next) => {
+  try {
+    const result = await service.createMilestone(req.workspace.id, req.params.featureId, req.body);
+    return res.status(201).json(result);
+  } catch (err) { next(err); }
+});
+
+// PATCH /workspace/:workspaceId/features/:featureId/milestones/:milestoneId
+router.patch('/milestones/:milestoneId', [
+  param('milestoneId').isInt({ min: 1 }),
+  body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('dueDate').optional({ nullable: true }).isISO8601({ strict: true }),
+], validate, async (req, res, next) => {
+  try {
+    const result = await service.updateMilestone(req.workspace.id, req.params.featureId, req.params.milestoneId, req.body);
+    return res.status(200).json(result);
+  } catch (err) { next(err); }
+});
+
+// DELETE /workspace/:workspaceId/features/:featureId/milestones/:milestoneId
+router.delete('/milestones/:milestoneId', [
+  param('milestoneId').isInt({ min: 1 }),
+], validate, async (req, res, next) => {
+  try {
+    const result = await service.deleteMilestone(req.workspace.id, req.params.featureId, req.params.milestoneId);
+    return res.status(200).json(result);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
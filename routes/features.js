@@ -0,0 +1,101 @@
+'use strict';
+
+const express  = require('express');
+const { body, param }            = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess } = require('../middleware/workspaceAccess');
+const { isValidPattern }         = require('../utils/pathMatcher');
+const service = require('../services/feature.service');
+const router  = express.Router({ mergeParams: true });
+
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH'];
+const STATUSES   = ['ACTIVE', 'BLOCKED', 'COMPLETE'];
+
+const patternRules = (optional) => [
+  (optional ? body('pathPatterns').optional() : body('pathPatterns').default([]))
+    .isArray({ max: 100 }),
+  body('pathPatterns.*').custom(isValidPattern).withMessage('invalid glob pattern'),
+];
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess({ write: 'features:write' }));
+
+// GET /workspace/:workspaceId/features
+router.get('/', async (req, res, next) => {
+  try {
+    return res.status(200).json({ features: await service.listFeatures(req.workspace.id) });
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/features/graph
+router.get('/graph', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.getDependencyGraph(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/features
+router.post('/', [
+  body('name').isString().trim().isLength({ min: 1, max: 200 }),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 10000 }),
+  body('ownerUsername').optional().isString().trim().notEmpty(),
+  body('priority').optional().isIn(PRIORITIES),
+  body('status').optional().isIn(STATUSES),
+  ...patternRules(false),
+], validate, async (req, res, next) => {
+  try {
+    const result = await service.createFeature(req.workspace.id, req.body);
+    return res.status(201).json(result);
+  } catch (err) { next(err); }
+});
+
+// PATCH /workspace/:workspaceId/features/:featureId
+router.patch('/:featureId', [
+  param('featureId').isUUID(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 10000 }),
+  body('ownerUsername').optional({ nullable: true }).isString().trim().notEmpty(),
+  body('priority').optional().isIn(PRIORITIES),
+  body('status').optional().isIn(STATUSES),
+  body('completionPercentage').optional().isInt({ min: 0, max: 100 }).toInt(),
+  body('trackPathCoverage').optional().isBoolean().toBoolean(),
+  ...patternRules(true),
+], validate, async (req, res, next) => {
+  try {
+    const result = await service.updateFeature(req.workspace.id, req.params.featureId, req.body);
+    return res.status(200).json(result);
+  } catch (err) { next(err); }
+});
+
+// DELETE /workspace/:workspaceId/features/:featureId
+router.delete('/:featureId', [
+  param('featureId').isUUID(),
+], validate, async (req, res, next) => {
+  try {
+    const result = await service.deleteFeature(req.workspace.id, req.params.featureId);
+    return res.status(200).json(result);
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/features/:featureId/dependencies — { dependsOnFeatureId }
+router.post('/:featureId/dependencies', [
+  param('featureId').isUUID(),
+  body('dependsOnFeatureId').isUUID(),
+], validate, async (req, res, next) => {
+  try {
+    const result = await service.addDependency(req.workspace.id, req.params.featureId, req.body.dependsOnFeatureId);
+    return res.status(201).json(result);
+  } catch (err) { next(err); }
+});
+
+// DELETE /workspace/:workspaceId/features/:featureId/dependencies/:dependsOnFeatureId
+router.delete('/:featureId/dependencies/:dependsOnFeatureId', [
+  param('featureId').isUUID(),
+  param('dependsOnFeatureId').isUUID(),
+], validate, async (req, res, next) => {
+  try {
+    const result = await service.removeDependency(req.workspace.id, req.params.featureId, req.params.dependsOnFeatureId);
+    return res.status(200).json(result);
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+'use strict';
+
+const express  = require('express');
+const { param, query, body }     = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess } = require('../middleware/workspaceAccess');
+const service  = require('../services/health.service');
+const router   = express.Router({ mergeParams: true });
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess({ write: 'admin' }));
+
+// GET /workspace/:workspaceId/health/history?bucket=raw|day|week&from=&to=
+router.get('/history', [
+  query('bucket').optional().isIn(['raw', 'day', 'week']),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+], validate, async (req, res, next) => {
+  try {
+    const history = await service.getHealthHistory(req.workspace.id, req.query);
+    return res.status(200).json(history);
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/health/explain
+router.get('/explain', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.explainHealth(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/health/profile
+router.get('/profile', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.getProfile(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// PATCH /workspace/:workspaceId/health/profile — partial, deep-merged into the stored overrides
+router.patch('/profile', [
+  body().custom(v => typeof v === 'object' && v !== null && !Array.isArray(v)).withMessage('body must be an object'),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.updateProfile(req.workspace.id, req.body));
+  } catch (err) { next(err); }
+});
+
+// DELETE /workspace/:workspaceId/health/profile — back to defaults
+router.delete('/profile', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.resetProfile(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
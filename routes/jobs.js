@@ -0,0 +1,41 @@
+'use strict';
+
+const express  = require('express');
+const { param, query }           = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess } = require('../middleware/workspaceAccess');
+const queue    = require('../jobs/queue');
+const router   = express.Router({ mergeParams: true });
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess({ write: 'admin' }));
+
+// GET /workspace/:workspaceId/jobs?status=&type=&limit=
+router.get('/', [
+  query('status').optional().isIn(['queued', 'running', 'done', 'dead']),
+  query('type').optional().isString().trim().notEmpty(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await queue.listJobs(req.workspace.id, req.query));
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/jobs/:jobId
+router.get('/:jobId', [
+  param('jobId').isInt({ min: 1 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await queue.getJob(req.workspace.id, req.params.jobId));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/jobs/:jobId/retry — dead jobs only
+router.post('/:jobId/retry', [
+  param('jobId').isInt({ min: 1 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await queue.retryJob(req.workspace.id, req.params.jobId));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+'use strict';
+
+const express  = require('express');
+const { param, body, query }     = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess, actorOf } = require('../middleware/workspaceAccess');
+const service  = require('../services/member.service');
+const router   = express.Router({ mergeParams: true });
+
+const username = param('username').isString().trim().notEmpty();
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess({ read: 'admin' }));
+
+// GET /workspace/:workspaceId/members?includeDisabled=
+router.get('/', [
+  query('includeDisabled').optional().isBoolean().toBoolean(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.listMembers(req.workspace.id, req.query));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/members — { githubUsername }; returns the new member's userUid
+router.post('/', [
+  body('githubUsername').isString().trim().notEmpty().matches(/^\S+$/).isLength({ max: 100 }),
+], validate, async (req, res, next) => {
+  try {
+    const member = await service.addMember(req.workspace.id, { githubUsername: req.body.githubUsername, actor: actorOf(req) });
+    return res.status(201).json(member);
+  } catch (err) { next(err); }
+});
+
+// DELETE /workspace/:workspaceId/members/:username — their member tokens are deleted with them
+router.delete('/:username', [username], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.removeMember(req.workspace.id, req.params.username, { actor: actorOf(req) }));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/members/:username/disable
+router.post('/:username/disable', [username], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.disableMember(req.workspace.id, req.params.username, { actor: actorOf(req) }));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/members/:username/enable — returns a fresh userUid
+router.post('/:username/enable', [username], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.enableMember(req.workspace.id, req.params.username, { actor: actorOf(req) }));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/members/:username/rotate-uid — returns a fresh userUid
+router.post('/:username/rotate-uid', [username], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.rotateMemberUid(req.workspace.id, req.params.username, { actor: actorOf(req) }));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
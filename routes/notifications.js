@@ -0,0 +1,121 @@
+'use strict';
+
+const express  = require('express');
+const { param, body, query }     = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess } = require('../middleware/workspaceAccess');
+const { isValidPattern }         = require('../utils/pathMatcher');
+const { EVENT_TYPES }            = require('../engines/notifications');
+const service  = require('../services/notification.service');
+const router   = express.Router({ mergeParams: true });
+
+const FORMATS       = ['json', 'slack'];
+const MODES         = ['immediate', 'hourly', 'daily'];
+const SEVERITIES    = ['LOW', 'MEDIUM', 'HIGH'];
+const BLOCKER_TYPES = ['FILE_CONFLICT_RISK', 'DEPENDENCY_BLOCK', 'INACTIVITY', 'ALIGNMENT_DRIFT'];
+const STATUSES      = ['pending', 'delivered', 'dead'];
+
+const list = (field, optional, rule) => [
+  (optional ? body(field).optional() : body(field).default([])).isArray({ max: 100 }),
+  rule(body(`${field}.*`)),
+];
+
+const subscriptionRules = (optional) => [
+  (optional ? body('name').optional() : body('name')).isString().trim().isLength({ min: 1, max: 200 }),
+  (optional ? body('url').optional() : body('url'))
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }),
+  body('format').optional().isIn(FORMATS),
+  body('mode').optional().isIn(MODES),
+  body('minSeverity').optional({ nullable: true }).isIn(SEVERITIES),
+  body('enabled').optional().isBoolean().toBoolean(),
+  ...list('eventTypes', optional, f => f.isIn(EVENT_TYPES)),
+  ...list('blockerTypes', optional, f => f.isIn(BLOCKER_TYPES)),
+  ...list('pathPatterns', optional, f => f.custom(isValidPattern).withMessage('invalid glob pattern')),
+  ...list('members', optional, f => f.isString().trim().notEmpty()),
+];
+
+const secretRule = body('secret').optional().isString().isLength({ min: 16, max: 200 });
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess({ read: 'admin' }));
+
+// GET /workspace/:workspaceId/notifications/subscriptions
+router.get('/subscriptions', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.listSubscriptions(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/notifications/subscriptions — returns the signing secret once
+router.post('/subscriptions', [...subscriptionRules(false), secretRule], validate, async (req, res, next) => {
+  try {
+    return res.status(201).json(await service.createSubscription(req.workspace.id, req.body));
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/notifications/subscriptions/:subscriptionId
+router.get('/subscriptions/:subscriptionId', [param('subscriptionId').isUUID()], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.getSubscription(req.workspace.id, req.params.subscriptionId));
+  } catch (err) { next(err); }
+});
+
+// PATCH /workspace/:workspaceId/notifications/subscriptions/:subscriptionId
+router.patch('/subscriptions/:subscriptionId', [
+  param('subscriptionId').isUUID(),
+  ...subscriptionRules(true),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.updateSubscription(req.workspace.id, req.params.subscriptionId, req.body));
+  } catch (err) { next(err); }
+});
+
+// DELETE /workspace/:workspaceId/notifications/subscriptions/:subscriptionId
+router.delete('/subscriptions/:subscriptionId', [param('subscriptionId').isUUID()], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.deleteSubscription(req.workspace.id, req.params.subscriptionId));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/notifications/subscriptions/:subscriptionId/rotate-secret — { secret? }
+router.post('/subscriptions/:subscriptionId/rotate-secret', [
+  param('subscriptionId').isUUID(),
+  secretRule,
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.rotateSecret(req.workspace.id, req.params.subscriptionId, req.body.secret));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/notifications/subscriptions/:subscriptionId/test
+router.post('/subscriptions/:subscriptionId/test', [param('subscriptionId').isUUID()], validate, async (req, res, next) => {
+  try {
+    return res.status(202).json(await service.sendTest(req.workspace, req.params.subscriptionId));
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/notifications/deliveries?subscriptionId=&status=&limit=
+router.get('/deliveries', [
+  query('subscriptionId').optional().isUUID(),
+  query('status').optional().isIn(STATUSES),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.listDeliveries(req.workspace.id, req.query));
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/notifications/deliveries/:deliveryId
+router.get('/deliveries/:deliveryId', [param('deliveryId').isInt({ min: 1 })], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.getDelivery(req.workspace.id, req.params.deliveryId));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/notifications/deliveries/:deliveryId/retry
+router.post('/deliveries/:deliveryId/retry', [param('deliveryId').isInt({ min: 1 })], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.retryDelivery(req.workspace.id, req.params.deliveryId));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
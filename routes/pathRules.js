@@ -0,0 +1,48 @@
+'use strict';
+
+const express  = require('express');
+const { param, body }            = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess } = require('../middleware/workspaceAccess');
+const service  = require('../services/pathRule.service');
+const router   = express.Router({ mergeParams: true });
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess({ write: 'admin' }));
+
+// GET /workspace/:workspaceId/path-rules
+router.get('/', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.getRules(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// PUT /workspace/:workspaceId/path-rules — the rules file as text/plain, or JSON { "source": "…" }
+router.put('/', express.text({ limit: '64kb' }), [
+  body().custom((v, { req }) => typeof req.body === 'string' || typeof req.body?.source === 'string')
+    .withMessage('send the rules as text/plain or as { "source": "…" }'),
+], validate, async (req, res, next) => {
+  try {
+    const source = typeof req.body === 'string' ? req.body : req.body.source;
+    return res.status(200).json(await service.replaceRules(req.workspace.id, source));
+  } catch (err) { next(err); }
+});
+
+// DELETE /workspace/:workspaceId/path-rules
+router.delete('/', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.deleteRules(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/path-rules/check — { paths: [...], severity? }
+router.post('/check', [
+  body('paths').isArray({ min: 1, max: 500 }),
+  body('paths.*').isString().trim().notEmpty(),
+  body('severity').optional().isIn(['LOW', 'MEDIUM', 'HIGH']),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.checkPaths(req.workspace.id, req.body.paths, req.body.severity));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+'use strict';
+
+const express  = require('express');
+const { param, body }            = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess } = require('../middleware/workspaceAccess');
+const service  = require('../services/requirement.service');
+const router   = express.Router({ mergeParams: true });
+
+const KINDS = ['feature', 'commit', 'pr', 'branch'];
+
+// Per kind, what a valid target looks like
+const TARGETS = {
+  feature: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+  commit:  (v) => /^[0-9a-f]{7,40}$/i.test(v),
+  pr:      (v) => /^[1-9]\d{0,9}$/.test(v),
+  branch:  (v) => v.length > 0 && v.length <= 255 && !/\s/.test(v),
+};
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess({ write: 'features:write' }));
+
+// GET /workspace/:workspaceId/requirements
+router.get('/', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.listRequirements(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/requirements/coverage
+router.get('/coverage', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.getCoverage(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/requirements/:requirementId/links — { kind, target }
+router.post('/:requirementId/links', [
+  param('requirementId').isString().toUpperCase(),
+  body('kind').isIn(KINDS),
+  body('target').customSanitizer(v => String(v ?? '').trim())
+    .custom((v, { req }) => TARGETS[req.body.kind]?.(v) ?? false)
+    .withMessage('target does not match kind'),
+], validate, async (req, res, next) => {
+  try {
+    const link = await service.addLink(req.workspace.id, req.params.requirementId, req.body);
+    return res.status(201).json(link);
+  } catch (err) { next(err); }
+});
+
+// DELETE /workspace/:workspaceId/requirements/:requirementId/links/:linkId
+router.delete('/:requirementId/links/:linkId', [
+  param('requirementId').isString().toUpperCase(),
+  param('linkId').isInt({ min: 1 }),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.deleteLink(req.workspace.id, req.params.requirementId, req.params.linkId));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
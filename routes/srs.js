@@ -0,0 +1,101 @@
+'use strict';
+
+const express  = require('express');
+const { param, query, body }     = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess, actorOf } = require('../middleware/workspaceAccess');
+const { checkRateLimit, RATE_LIMIT_MAX_CALLS } = require('../engines/alignmentEngine');
+const service  = require('../services/srs.service');
+const router   = express.Router({ mergeParams: true });
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess({ write: 'features:write' }));
+
+// PUT /workspace/:workspaceId/srs — { srs }; records a new version, earlier ones are kept
+router.put('/', [
+  body('srs').isString().trim().notEmpty(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.updateSrs(req.workspace.id, { srs: req.body.srs, actor: actorOf(req) }));
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/srs/versions
+router.get('/versions', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.listSrsVersions(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/srs/versions/:version
+router.get('/versions/:version', [
+  param('version').isInt({ min: 1 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.getSrsVersion(req.workspace.id, req.params.version));
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/srs/requirements
+router.get('/requirements', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.getRequirements(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/srs/drafts — propose features from the SRS
+router.post('/drafts', async (req, res, next) => {
+  if (!checkRateLimit(req.workspace.id)) {
+    return res.status(429).json({ error: 'Rate limit exceeded', message: `Max ${RATE_LIMIT_MAX_CALLS} AI calls per minute per workspace` });
+  }
+  try {
+    return res.status(201).json(await service.createDraft(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/srs/drafts?status=
+router.get('/drafts', [
+  query('status').optional().isIn(['draft', 'accepted', 'discarded']),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.listDrafts(req.workspace.id, req.query));
+  } catch (err) { next(err); }
+});
+
+// GET /workspace/:workspaceId/srs/drafts/:draftId
+router.get('/drafts/:draftId', [
+  param('draftId').isUUID(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.getDraft(req.workspace.id, req.params.draftId));
+  } catch (err) { next(err); }
+});
+
+// PUT /workspace/:workspaceId/srs/drafts/:draftId — { features: [...] }, the edited proposal
+router.put('/drafts/:draftId', [
+  param('draftId').isUUID(),
+  body('features').isArray({ min: 1 }),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.updateDraft(req.workspace.id, req.params.draftId, req.body));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/srs/drafts/:draftId/accept
+router.post('/drafts/:draftId/accept', [
+  param('draftId').isUUID(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.acceptDraft(req.workspace.id, req.params.draftId));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/srs/drafts/:draftId/discard
+router.post('/drafts/:draftId/discard', [
+  param('draftId').isUUID(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.discardDraft(req.workspace.id, req.params.draftId));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
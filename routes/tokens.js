@@ -0,0 +1,55 @@
+'use strict';
+
+const express  = require('express');
+const { param, body, query }     = require('express-validator');
+const { validate }               = require('../middleware/validate');
+const { requireWorkspaceAccess } = require('../middleware/workspaceAccess');
+const service  = require('../services/token.service');
+const router   = express.Router({ mergeParams: true });
+
+router.use(param('workspaceId').isUUID(), validate, requireWorkspaceAccess({ read: 'admin' }));
+
+// GET /workspace/:workspaceId/tokens?includeRevoked=
+router.get('/', [
+  query('includeRevoked').optional().isBoolean().toBoolean(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.listTokens(req.workspace.id, req.query));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/tokens — { name, scopes, memberUsername?, expiresInDays? }; returns the token once
+router.post('/', [
+  body('name').isString().trim().isLength({ min: 1, max: 200 }),
+  body('scopes').isArray({ min: 1, max: service.SCOPES.length }),
+  body('scopes.*').isIn(service.SCOPES),
+  body('memberUsername').optional().isString().trim().notEmpty(),
+  body('expiresInDays').optional().isInt({ min: 1, max: 3650 }).toInt(),
+], validate, async (req, res, next) => {
+  try {
+    return res.status(201).json(await service.createToken(req.workspace.id, req.body));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/tokens/dashboard-key/rotate — replaces the legacy x-dashboard-key
+router.post('/dashboard-key/rotate', async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.rotateDashboardKey(req.workspace.id));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/:workspaceId/tokens/:tokenId/rotate — revokes it and returns its replacement once
+router.post('/:tokenId/rotate', [param('tokenId').isUUID()], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.rotateToken(req.workspace.id, req.params.tokenId));
+  } catch (err) { next(err); }
+});
+
+// DELETE /workspace/:workspaceId/tokens/:tokenId — revokes; the row stays for the record
+router.delete('/:tokenId', [param('tokenId').isUUID()], validate, async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.revokeToken(req.workspace.id, req.params.tokenId));
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -1,15 +1,16 @@
 'use strict';
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param } = require('express-validator');
+const { validate }    = require('../middleware/validate');
+const { requireWorkspaceAccess, actorOf } = require('../middleware/workspaceAccess');
+const { PROVIDERS, getAdapter } = require('../providers/scm');
+const { isAllowedRemote }       = require('../engines/mergeCheck');
+const { MAX_MEMBERS } = require('../services/member.service');
 const service = require('../services/workspace.service');
 const router  = express.Router();
 
-function validate(req, res, next) {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) return res.status(400).json({ error: 'VALIDATION_FAILED', fields: errors.array() });
-  next();
-}
+const adapterFor = (req) => getAdapter(req.body.provider ?? 'github');
 
 // POST /workspace/create
 router.post('/create', [
@@ -17,10 +18,17 @@ router.post('/create', [
   body('projectTitle').isString().trim().isLength({ min: 3, max: 100 }),
   body('projectDescription').isString().trim().isLength({ min: 10, max: 1000 }),
   body('srsDocument').isString().trim().notEmpty(),
+  body('provider').optional().isIn(PROVIDERS),
   body('githubRepoUrl').isString().trim()
-    .matches(/^https:\/\/github\.com\/[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/),
-  body('githubRepoId').isInt({ min: 1 }).withMessage('githubRepoId must be a positive integer'),
-  body('githubUsers').isArray({ min: 1, max: 20 }),
+    .custom((url, { req }) => !adapterFor(req) || adapterFor(req).repoUrlPattern.test(url))
+    .withMessage('githubRepoUrl is not a repository URL for this provider'),
+  body('githubRepoId')
+    .custom((id, { req }) => !adapterFor(req) || adapterFor(req).repoId(id) !== null)
+    .withMessage('githubRepoId must be a positive integer (Bitbucket: the repository UUID)'),
+  body('mirrorRemote').optional({ nullable: true }).isString().trim().isLength({ min: 1, max: 1000 })
+    .custom(isAllowedRemote)
+    .withMessage('mirrorRemote must be an https or ssh git URL, or a path under GIT_MIRROR_LOCAL_ROOTS'),
+  body('githubUsers').isArray({ min: 1, max: MAX_MEMBERS }),
   body('githubUsers.*').isString().trim().notEmpty().matches(/^\S+$/),
 ], validate, async (req, res, next) => {
   try {
@@ -30,7 +38,51 @@ router.post('/create', [
   } catch (err) { next(err); }
 });
 
-// POST /workspace/join
+// GET /workspace/:workspaceId/dashboard
+router.get('/:workspaceId/dashboard', [param('workspaceId').isUUID()], validate, requireWorkspaceAccess(),
+  async (req, res, next) => {
+    try {
+      return res.status(200).json(await service.buildDashboard(req.workspace));
+    } catch (err) { next(err); }
+  });
+
+// GET /workspace/:workspaceId/me — the join view, for a token bound to a member
+router.get('/:workspaceId/me', [param('workspaceId').isUUID()], validate, requireWorkspaceAccess(),
+  async (req, res, next) => {
+    try {
+      if (!req.principal.userId) {
+        const err = new Error('Credential is not bound to a member.'); err.status = 403; throw err;
+      }
+      return res.status(200).json(await service.getMemberView(req.workspace.id, req.principal.userId));
+    } catch (err) { next(err); }
+  });
+
+// PATCH /workspace/:workspaceId — { workspaceName?, projectTitle?, projectDescription?,
+//                                   activityWindowHours?, inactivityThresholdHours? }
+router.patch('/:workspaceId', [
+  param('workspaceId').isUUID(),
+  body('workspaceName').optional().isString().trim().isLength({ min: 3, max: 100 }),
+  body('projectTitle').optional().isString().trim().isLength({ min: 3, max: 100 }),
+  body('projectDescription').optional().isString().trim().isLength({ min: 10, max: 1000 }),
+  body('activityWindowHours').optional().isInt({ min: 1, max: 8760 }).toInt(),
+  body('inactivityThresholdHours').optional().isInt({ min: 1, max: 8760 }).toInt(),
+], validate, requireWorkspaceAccess({ write: 'admin' }), async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.updateWorkspace(req.workspace, req.body, { actor: actorOf(req) }));
+  } catch (err) { next(err); }
+});
+
+// DELETE /workspace/:workspaceId — { confirm: <workspace name> }; irreversible
+router.delete('/:workspaceId', [
+  param('workspaceId').isUUID(),
+  body('confirm').isString(),
+], validate, requireWorkspaceAccess({ write: 'admin' }), async (req, res, next) => {
+  try {
+    return res.status(200).json(await service.deleteWorkspace(req.workspace, req.body));
+  } catch (err) { next(err); }
+});
+
+// POST /workspace/join — legacy; prefer GET /workspace/:workspaceId/me with a member token
 router.post('/join', [
   body('userUid').isString().trim().isUUID(4),
 ], validate, async (req, res, next) => {
@@ -40,7 +92,7 @@ router.post('/join', [
   } catch (err) { next(err); }
 });
 
-// POST /workspace/dashboard
+// POST /workspace/dashboard — legacy; prefer GET /workspace/:workspaceId/dashboard
 router.post('/dashboard', [
   body('dashboardAccessKey').isString().trim().isUUID(4),
 ], validate, async (req, res, next) => {
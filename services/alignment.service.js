@@ -0,0 +1,167 @@
+'use strict';
+
+const pool           = require('../db/pool');
+const wsManager      = require('../websocket/wsManager');
+const { upsertBlocker, logBlockerEvents, AUTO_RESOLVE_SET } = require('../engines/blockerService');
+const { recalculate }   = require('../engines/healthEngine');
+
+const HISTORY_DEFAULT_LIMIT = 50;
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+function _notFound(message) {
+  const err = new Error(message); err.status = 404; return err;
+}
+
+/**
+ * Blocker reference for an alignment subject — one active ALIGNMENT_DRIFT
+ * blocker per feature/PR (or feature/commit) pair.
+ */
+function alignmentReference({ featureId, prNumber, commitHash }) {
+  const parts = [];
+  if (featureId)  parts.push(`feature:${featureId}`);
+  if (prNumber)   parts.push(`pr:${prNumber}`);
+  else if (commitHash) parts.push(`commit:${commitHash}`);
+  return parts.join('|') || null;
+}
+
+/**
+ * Pure function — null when the run passes.
+ */
+function classifyDrift({ alignment_score, drift_detected, regression_risk }) {
+  if (regression_risk === 'High' || (drift_detected && alignment_score < 40)) return 'HIGH';
+  if (drift_detected) return 'MEDIUM';
+  return null;
+}
+
+/**
+ * Ensures the workspace exists and, when given, that the feature belongs to it.
+ * @returns {Promise<{ workspace: object, feature: object|null }>}
+ */
+async function resolveSubject(workspaceId, featureId) {
+  const ws = await pool.query('SELECT id, srs FROM workspaces WHERE id = $1', [workspaceId]);
+  if (ws.rowCount === 0) throw _notFound('Workspace not found.');
+  if (!featureId) return { workspace: ws.rows[0], feature: null };
+
+  const f = await pool.query(
+    'SELECT id, name, description FROM features WHERE workspace_id = $1 AND id = $2',
+    [workspaceId, featureId]
+  );
+  if (f.rowCount === 0) throw _notFound('Feature not found.');
+  return { workspace: ws.rows[0], feature: f.rows[0] };
+}
+
+// ─── Record Run ────────────────────────────────────────────────────────────────
+
+/**
+ * Stores one alignment run and reconciles its ALIGNMENT_DRIFT blocker:
+ * drift or High risk → upsert, passing run → resolve. Fallback results say
+ * nothing about alignment, so they never touch blockers.
+ */
+async function recordAlignmentRun(workspaceId, subject, result, meta) {
+  const { featureId = null, prNumber = null, commitHash = null } = subject;
+  const referenceId = alignmentReference(subject);
+
+  const client = await pool.connect();
+  let runId;
+  let blockerEvent = null;
+  try {
+    await client.query('BEGIN');
+
+    const run = await client.query(
+      `INSERT INTO alignment_runs (workspace_id, feature_id, pr_number, commit_hash, alignment_score,
+                                   drift_detected, regression_risk, explanation, model, used_fallback, duration_ms)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING id`,
+      [workspaceId, featureId, prNumber, commitHash, result.alignment_score, result.drift_detected,
+       result.regression_risk, result.explanation, meta.model, meta.used_fallback, meta.duration_ms]
+    );
+    runId = run.rows[0].id;
+
+    if (referenceId && !meta.used_fallback) {
+      const severity = classifyDrift(result);
+      if (severity) {
+        const outcome = await upsertBlocker(client, {
+          workspaceId,
+          type:        'ALIGNMENT_DRIFT',
+          referenceId,
+          severity,
+          description: `Alignment drift (${referenceId}): score ${result.alignment_score}, `
+                     + `${result.regression_risk} regression risk — ${result.explanation}`,
+          actor:       'engine:alignment',
+        });
+        if (outcome === 'created' || outcome === 'updated') blockerEvent = { outcome, severity };
+      } else {
+        const resolved = await client.query(
+          `UPDATE blockers SET ${AUTO_RESOLVE_SET}
+           WHERE workspace_id = $1 AND type = 'ALIGNMENT_DRIFT' AND reference_id = $2 AND resolved = false
+           RETURNING id`,
+          [workspaceId, referenceId]
+        );
+        await logBlockerEvents(client, resolved.rows.map(r => r.id), {
+          action: 'resolved', actor: 'engine:alignment', detail: { resolution: 'auto', runId },
+        });
+        if (resolved.rowCount > 0) blockerEvent = { outcome: 'resolved', severity: null };
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (blockerEvent) {
+    const EVENT = { created: 'BLOCKER_CREATED', updated: 'BLOCKER_UPDATED', resolved: 'BLOCKER_RESOLVED' };
+    wsManager.broadcastToWorkspace(workspaceId, {
+      type:        EVENT[blockerEvent.outcome],
+      blockerType: 'ALIGNMENT_DRIFT',
+      referenceId,
+      featureId,
+      prNumber,
+      severity:    blockerEvent.severity,
+      score:       result.alignment_score,
+    });
+    await recalculate(workspaceId);
+  }
+
+  return { runId, referenceId, blocker: blockerEvent };
+}
+
+// ─── History ───────────────────────────────────────────────────────────────────
+
+/**
+ * Runs newest-first plus a small trend summary over the returned window.
+ */
+async function getAlignmentHistory(workspaceId, { featureId, prNumber, limit = HISTORY_DEFAULT_LIMIT } = {}) {
+  const params  = [workspaceId];
+  const filters = ['workspace_id = $1'];
+  if (featureId) { params.push(featureId); filters.push(`feature_id = $${params.length}`); }
+  if (prNumber)  { params.push(prNumber);  filters.push(`pr_number = $${params.length}`); }
+  params.push(limit);
+
+  const r = await pool.query(
+    `SELECT id, feature_id, pr_number, commit_hash, alignment_score, drift_detected, regression_risk,
+            explanation, model, used_fallback, duration_ms, created_at
+     FROM alignment_runs
+     WHERE ${filters.join(' AND ')}
+     ORDER BY created_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  // Fallback scores are placeholders — keep them in the list, out of the trend
+  const scored = r.rows.filter(row => !row.used_fallback);
+  const trend  = scored.length === 0 ? null : {
+    runs:         scored.length,
+    latestScore:  scored[0].alignment_score,
+    averageScore: Math.round(scored.reduce((sum, row) => sum + row.alignment_score, 0) / scored.length),
+    change:       scored[0].alignment_score - scored[scored.length - 1].alignment_score,
+    driftRuns:    scored.filter(row => row.drift_detected).length,
+  };
+
+  return { runs: r.rows, trend };
+}
+
+module.exports = { recordAlignmentRun, getAlignmentHistory, resolveSubject, alignmentReference, classifyDrift };
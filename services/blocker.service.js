@@ -0,0 +1,219 @@
+'use strict';
+
+const pool      = require('../db/pool');
+const wsManager = require('../websocket/wsManager');
+const { recalculate }      = require('../engines/healthEngine');
+const { logBlockerEvents } = require('../engines/blockerService');
+
+/**
+ * Manual blocker lifecycle. Active blockers move between
+ *   open → acknowledged → snoozed (until a time)
+ * and leave through resolve. Every change is written to blocker_events.
+ *
+ * Resolving as wont_fix, duplicate or not_a_problem suppresses the reference
+ * for the workspace's activity window by default, so the engine that raised it
+ * doesn't re-open it on its next run; `fixed` doesn't suppress.
+ */
+
+const LIST_DEFAULT_LIMIT = 100;
+const SUPPRESSING        = new Set(['wont_fix', 'duplicate', 'not_a_problem']);
+
+const BLOCKER_COLUMNS = `
+  b.id, b.type, b.reference_id, b.description, b.severity, b.resolved,
+  CASE WHEN b.state = 'snoozed' AND b.snoozed_until <= NOW() THEN 'open' ELSE b.state END AS state,
+  b.assignee_uid, u.github_username AS assignee_username, b.snoozed_until,
+  b.resolution, b.resolution_reason, b.resolved_by, b.resolved_at, b.suppressed_until,
+  b.created_at, b.updated_at`;
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+function _error(status, message, code) {
+  const err = new Error(message); err.status = status; if (code) err.code = code; return err;
+}
+
+async function _getBlocker(db, workspaceId, blockerId) {
+  const r = await db.query(
+    `SELECT ${BLOCKER_COLUMNS}
+     FROM blockers b LEFT JOIN users u ON u.id = b.assignee_uid
+     WHERE b.workspace_id = $1 AND b.id = $2`,
+    [workspaceId, blockerId]
+  );
+  if (r.rowCount === 0) throw _error(404, 'Blocker not found.');
+  return r.rows[0];
+}
+
+/**
+ * Runs `change(client, blocker)` on a locked, still-active blocker, logs the
+ * event it returns, then broadcasts. Health is recalculated when the change
+ * can move the score.
+ */
+async function _transition(workspaceId, blockerId, actor, change, { affectsHealth = false } = {}) {
+  const client = await pool.connect();
+  let event;
+  try {
+    await client.query('BEGIN');
+    const locked = await client.query(
+      'SELECT id FROM blockers WHERE workspace_id = $1 AND id = $2 FOR UPDATE',
+      [workspaceId, blockerId]
+    );
+    if (locked.rowCount === 0) throw _error(404, 'Blocker not found.');
+    const blocker = await _getBlocker(client, workspaceId, blockerId);
+    if (blocker.resolved) throw _error(409, 'Blocker is already resolved.', 'BLOCKER_RESOLVED');
+
+    event = await change(client, blocker);
+    await client.query('UPDATE blockers SET updated_at = NOW() WHERE id = $1', [blockerId]);
+    await logBlockerEvents(client, [blockerId], { ...event, actor });
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const blocker = await _getBlocker(pool, workspaceId, blockerId);
+  wsManager.broadcastToWorkspace(workspaceId, {
+    type:        event.action === 'resolved' ? 'BLOCKER_RESOLVED' : 'BLOCKER_UPDATED',
+    blockerId,
+    blockerType: blocker.type,
+    referenceId: blocker.reference_id,
+    severity:    blocker.severity,
+    assignee:    blocker.assignee_username,
+    action:      event.action,
+    actor,
+  });
+  if (affectsHealth) await recalculate(workspaceId);
+  return blocker;
+}
+
+// ─── Inspection ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} [filters]  { state, type, assignee, includeResolved, limit }
+ */
+async function listBlockers(workspaceId, { state, type, assignee, includeResolved = false, limit = LIST_DEFAULT_LIMIT } = {}) {
+  const params  = [workspaceId];
+  const filters = ['b.workspace_id = $1'];
+  if (!includeResolved) filters.push('b.resolved = false');
+  if (type)     { params.push(type);     filters.push(`b.type = $${params.length}`); }
+  if (assignee) { params.push(assignee.toLowerCase()); filters.push(`u.github_username = $${params.length}`); }
+  params.push(limit);
+
+  const r = await pool.query(
+    `SELECT * FROM (
+       SELECT ${BLOCKER_COLUMNS}
+       FROM blockers b LEFT JOIN users u ON u.id = b.assignee_uid
+       WHERE ${filters.join(' AND ')}
+     ) x
+     ${state ? `WHERE x.state = $${params.length + 1}` : ''}
+     ORDER BY x.resolved, CASE x.severity WHEN 'HIGH' THEN 0 WHEN 'MEDIUM' THEN 1 ELSE 2 END, x.created_at DESC
+     LIMIT $${params.length}`,
+    state ? [...params, state] : params
+  );
+  return { blockers: r.rows };
+}
+
+/**
+ * One blocker with its full audit trail, comments included, oldest first.
+ */
+async function getBlocker(workspaceId, blockerId) {
+  const blocker = await _getBlocker(pool, workspaceId, blockerId);
+  const events  = await pool.query(
+    'SELECT id, action, actor, detail, created_at FROM blocker_events WHERE blocker_id = $1 ORDER BY id',
+    [blockerId]
+  );
+  return { ...blocker, events: events.rows };
+}
+
+// ─── Lifecycle ─────────────────────────────────────────────────────────────────
+
+async function acknowledge(workspaceId, blockerId, { actor }) {
+  return _transition(workspaceId, blockerId, actor, async (client, blocker) => {
+    if (blocker.state === 'acknowledged') throw _error(409, 'Blocker is already acknowledged.', 'NO_CHANGE');
+    await client.query(
+      `UPDATE blockers SET state = 'acknowledged', snoozed_until = NULL WHERE id = $1`,
+      [blockerId]
+    );
+    return { action: 'acknowledged', detail: { from: blocker.state } };
+  }, { affectsHealth: true });
+}
+
+/**
+ * `assignee` is a member's github username; null unassigns.
+ */
+async function assign(workspaceId, blockerId, { assignee, actor }) {
+  return _transition(workspaceId, blockerId, actor, async (client, blocker) => {
+    const username = assignee === null ? null : assignee.trim().toLowerCase();
+    let assigneeId = null;
+    if (username !== null) {
+      const u = await client.query(
+        'SELECT id FROM users WHERE workspace_id = $1 AND github_username = $2 LIMIT 1',
+        [workspaceId, username]
+      );
+      if (u.rowCount === 0) throw _error(404, `Member "${assignee}" not found in workspace.`);
+      assigneeId = u.rows[0].id;
+    }
+    await client.query('UPDATE blockers SET assignee_uid = $2 WHERE id = $1', [blockerId, assigneeId]);
+    return { action: 'assigned', detail: { from: blocker.assignee_username, to: username } };
+  });
+}
+
+/**
+ * Snoozes until `until`; null ends a snooze early. A snoozed blocker stays
+ * active but out of the health penalty.
+ */
+async function snooze(workspaceId, blockerId, { until, actor }) {
+  return _transition(workspaceId, blockerId, actor, async (client, blocker) => {
+    if (until === null) {
+      if (blocker.state !== 'snoozed') throw _error(409, 'Blocker is not snoozed.', 'NO_CHANGE');
+      await client.query(`UPDATE blockers SET state = 'open', snoozed_until = NULL WHERE id = $1`, [blockerId]);
+      return { action: 'unsnoozed', detail: { was: blocker.snoozed_until } };
+    }
+    if (new Date(until) <= new Date()) throw _error(400, 'until must be in the future.', 'INVALID_SNOOZE');
+    await client.query(`UPDATE blockers SET state = 'snoozed', snoozed_until = $2 WHERE id = $1`, [blockerId, until]);
+    return { action: 'snoozed', detail: { from: blocker.state, until } };
+  }, { affectsHealth: true });
+}
+
+/**
+ * @param {{ resolution: string, reason?: string, suppressHours?: number, actor: string }} input
+ *        suppressHours defaults to the activity window for suppressing resolutions
+ */
+async function resolve(workspaceId, blockerId, { resolution, reason = null, suppressHours, actor }) {
+  return _transition(workspaceId, blockerId, actor, async (client) => {
+    let hours = suppressHours;
+    if (hours === undefined) {
+      const ws = await client.query('SELECT activity_window_hours FROM workspaces WHERE id = $1', [workspaceId]);
+      hours = SUPPRESSING.has(resolution) ? ws.rows[0].activity_window_hours : 0;
+    }
+    const r = await client.query(
+      `UPDATE blockers SET resolved = true, resolution = $2, resolution_reason = $3, resolved_by = $4,
+                           resolved_at = NOW(),
+                           suppressed_until = CASE WHEN $5::int > 0 THEN NOW() + ($5 || ' hours')::INTERVAL END
+       WHERE id = $1
+       RETURNING suppressed_until`,
+      [blockerId, resolution, reason, actor, hours]
+    );
+    return { action: 'resolved', detail: { resolution, reason, suppressedUntil: r.rows[0].suppressed_until } };
+  }, { affectsHealth: true });
+}
+
+/**
+ * Comments are allowed on resolved blockers too — they're part of the record.
+ */
+async function addComment(workspaceId, blockerId, { body, actor }) {
+  await _getBlocker(pool, workspaceId, blockerId);
+  const r = await pool.query(
+    `INSERT INTO blocker_events (blocker_id, action, actor, detail)
+     VALUES ($1, 'commented', $2, $3)
+     RETURNING id, action, actor, detail, created_at`,
+    [blockerId, actor, JSON.stringify({ body })]
+  );
+  wsManager.broadcastToWorkspace(workspaceId, {
+    type: 'BLOCKER_UPDATED', blockerId, action: 'commented', actor,
+  });
+  return r.rows[0];
+}
+
+module.exports = { listBlockers, getBlocker, acknowledge, assign, snooze, resolve, addComment };
@@ -0,0 +1,31 @@
+'use strict';
+
+const pool           = require('../db/pool');
+const { enqueueJob } = require('../jobs/queue');
+const { loadBranchModel } = require('../engines/branchModel');
+
+async function getBranchModel(workspaceId) {
+  return loadBranchModel(workspaceId);
+}
+
+/**
+ * Replaces the workspace's trunk and release patterns. Fields left undefined
+ * keep their value; a null defaultBranch falls back to main/master until the
+ * next webhook reports the repository default. Overlaps are re-evaluated
+ * through the queue so the new trunk applies immediately.
+ */
+async function updateBranchModel(workspaceId, { defaultBranch, releaseBranchPatterns }) {
+  const current = await loadBranchModel(workspaceId);
+  await pool.query(
+    'UPDATE workspaces SET default_branch = $2, release_branch_patterns = $3 WHERE id = $1',
+    [
+      workspaceId,
+      defaultBranch === undefined ? current.defaultBranch : defaultBranch,
+      releaseBranchPatterns ?? current.releaseBranchPatterns,
+    ]
+  );
+  const jobId = await enqueueJob(pool, { workspaceId, type: 'engine.conflict', payload: { rescan: true } });
+  return { ...(await loadBranchModel(workspaceId)), rescanJobId: jobId };
+}
+
+module.exports = { getBranchModel, updateBranchModel };
@@ -0,0 +1,224 @@
+'use strict';
+
+const crypto = require('crypto');
+const pool   = require('../db/pool');
+const { processDelivery } = require('./webhook.service');
+const { enqueueJob }      = require('../jobs/queue');
+
+const LIST_DEFAULT_LIMIT  = 50;
+const REPLAY_RANGE_MAX    = 500;
+const RETENTION_DAYS      = parseInt(process.env.WEBHOOK_PAYLOAD_RETENTION_DAYS) || 14;
+const RETENTION_EVERY_MS  = 60 * 60_000;
+
+let _retentionTimer = null;
+
+/**
+ * Deliveries belong to a workspace once the webhook resolved it. Deliveries
+ * that never got that far (failed early, repo not linked yet) are matched by
+ * the workspace's provider and repo ID so they can still be inspected and
+ * replayed; repo IDs are only unique per provider.
+ */
+const SCOPE = '(d.workspace_id = $1 OR (d.workspace_id IS NULL AND d.provider = $2 AND d.repo_id = $3))';
+
+const LIST_COLUMNS = `d.delivery_id, d.event_type, d.repo_id, d.branch_name, d.commit_hash, d.status, d.error,
+                      d.replay_of, d.duration_ms, d.processed_at, (d.payload IS NOT NULL) AS has_payload`;
+
+function _error(status, message, code) {
+  const err = new Error(message); err.status = status; if (code) err.code = code; return err;
+}
+
+function _scopeParams(workspace) {
+  return [workspace.id, workspace.provider, workspace.github_repo_id];
+}
+
+// ─── Inspection ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} workspace  row from requireWorkspaceAccess
+ * @param {object} [filters]  { branch, status, event, from, to, limit }
+ */
+async function listDeliveries(workspace, { branch, status, event, from, to, limit = LIST_DEFAULT_LIMIT } = {}) {
+  const params  = _scopeParams(workspace);
+  const filters = [SCOPE];
+  if (branch) { params.push(branch); filters.push(`d.branch_name = $${params.length}`); }
+  if (status) { params.push(status); filters.push(`d.status = $${params.length}`); }
+  if (event)  { params.push(event);  filters.push(`d.event_type = $${params.length}`); }
+  if (from)   { params.push(from);   filters.push(`d.processed_at >= $${params.length}`); }
+  if (to)     { params.push(to);     filters.push(`d.processed_at <= $${params.length}`); }
+  params.push(limit);
+
+  const r = await pool.query(
+    `SELECT ${LIST_COLUMNS} FROM webhook_deliveries d
+     WHERE ${filters.join(' AND ')}
+     ORDER BY d.processed_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return { deliveries: r.rows };
+}
+
+/**
+ * One delivery with its stored payload, the jobs it enqueued and its replays.
+ */
+async function getDelivery(workspace, deliveryId) {
+  const r = await pool.query(
+    `SELECT ${LIST_COLUMNS}, d.payload FROM webhook_deliveries d
+     WHERE d.delivery_id = $4 AND ${SCOPE}`,
+    [..._scopeParams(workspace), deliveryId]
+  );
+  if (r.rowCount === 0) throw _error(404, 'Delivery not found.');
+
+  const [jobs, replays] = await Promise.all([
+    pool.query(
+      `SELECT id, type, status, attempts, last_error, created_at, finished_at
+       FROM jobs WHERE workspace_id = $1 AND delivery_id = $2 ORDER BY id`,
+      [workspace.id, deliveryId]
+    ),
+    pool.query(
+      `SELECT delivery_id, status, error, processed_at FROM webhook_deliveries
+       WHERE replay_of = $1 ORDER BY processed_at`,
+      [deliveryId]
+    ),
+  ]);
+
+  return { ...r.rows[0], jobs: jobs.rows, replays: replays.rows };
+}
+
+// ─── Replay ────────────────────────────────────────────────────────────────────
+
+/**
+ * Re-runs a stored delivery through the webhook pipeline under a fresh
+ * `replay-<uuid>` delivery ID, so the idempotency gate passes without being
+ * weakened for real deliveries. The original's receipt time is passed along so
+ * older activity never overwrites newer file or member state.
+ */
+async function _replayRow(row) {
+  const replayId = `replay-${crypto.randomUUID()}`;
+  const { httpStatus, body } = await processDelivery(row.event_type, replayId, row.payload, {
+    replayOf:   row.delivery_id,
+    receivedAt: row.processed_at,
+  });
+  return { deliveryId: row.delivery_id, replayId, ok: httpStatus < 400, httpStatus, result: body };
+}
+
+async function replayDelivery(workspace, deliveryId) {
+  const r = await pool.query(
+    `SELECT d.delivery_id, d.event_type, d.payload, d.replay_of, d.processed_at FROM webhook_deliveries d
+     WHERE d.delivery_id = $4 AND ${SCOPE}`,
+    [..._scopeParams(workspace), deliveryId]
+  );
+  const row = r.rows[0];
+  if (!row) throw _error(404, 'Delivery not found.');
+  if (row.replay_of) throw _error(409, `This is a replay; replay ${row.replay_of} instead.`, 'NOT_REPLAYABLE');
+  if (!row.payload) throw _error(409, 'Delivery payload is no longer retained.', 'PAYLOAD_EXPIRED');
+  if (!row.event_type) throw _error(409, 'Delivery has no recorded event type.', 'NOT_REPLAYABLE');
+
+  return _replayRow(row);
+}
+
+/**
+ * Queues a replay of every original delivery (never earlier replays) received
+ * in [from, to], one job each in receipt order. A workspace's jobs run one at
+ * a time, oldest first, so per-branch state converges in the order the host
+ * sent it. With dryRun only the selection is returned.
+ */
+async function replayRange(workspace, { from, to, branch, event, status, dryRun = false }) {
+  const params  = [..._scopeParams(workspace), from, to];
+  const filters = [SCOPE, 'd.processed_at >= $4', 'd.processed_at <= $5', 'd.replay_of IS NULL',
+                   'd.payload IS NOT NULL', 'd.event_type IS NOT NULL'];
+  if (branch) { params.push(branch); filters.push(`d.branch_name = $${params.length}`); }
+  if (event)  { params.push(event);  filters.push(`d.event_type = $${params.length}`); }
+  if (status) { params.push(status); filters.push(`d.status = $${params.length}`); }
+
+  const r = await pool.query(
+    `SELECT d.delivery_id FROM webhook_deliveries d
+     WHERE ${filters.join(' AND ')}
+     ORDER BY d.processed_at
+     LIMIT ${REPLAY_RANGE_MAX + 1}`,
+    params
+  );
+  if (r.rows.length > REPLAY_RANGE_MAX) {
+    throw _error(400, `Range matches more than ${REPLAY_RANGE_MAX} deliveries; narrow it.`, 'RANGE_TOO_LARGE');
+  }
+
+  const selected = r.rows.map(row => row.delivery_id);
+  if (dryRun) return { dryRun: true, count: selected.length, deliveryIds: selected };
+
+  const client = await pool.connect();
+  const jobs   = [];
+  try {
+    await client.query('BEGIN');
+    for (const deliveryId of selected) {
+      const jobId = await enqueueJob(client, {
+        workspaceId: workspace.id, type: 'delivery.replay', payload: { deliveryId }, deliveryId,
+      });
+      jobs.push({ deliveryId, jobId });
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return { dryRun: false, count: jobs.length, jobs };
+}
+
+/**
+ * Job side of replayRange. A delivery whose payload was purged while queued is
+ * skipped; a replay the pipeline failed (5xx) throws so the job is retried.
+ */
+async function runQueuedReplay(deliveryId) {
+  const r = await pool.query(
+    `SELECT delivery_id, event_type, payload, processed_at FROM webhook_deliveries
+     WHERE delivery_id = $1 AND replay_of IS NULL`,
+    [deliveryId]
+  );
+  const row = r.rows[0];
+  if (!row?.payload || !row.event_type) {
+    console.warn(`[Deliveries] Skipping replay of ${deliveryId}: payload no longer retained`);
+    return null;
+  }
+
+  const result = await _replayRow(row);
+  if (result.httpStatus >= 500) throw new Error(`Replay ${result.replayId} of ${deliveryId} failed; see that delivery's error.`);
+  return result;
+}
+
+// ─── Retention ─────────────────────────────────────────────────────────────────
+
+/**
+ * Drops raw payloads past the retention window. The delivery rows stay — they
+ * are the idempotency log.
+ * @returns {Promise<number>} payloads purged
+ */
+async function purgeExpiredPayloads() {
+  const r = await pool.query(
+    `UPDATE webhook_deliveries SET payload = NULL
+     WHERE payload IS NOT NULL AND processed_at < NOW() - ($1 || ' days')::INTERVAL`,
+    [RETENTION_DAYS]
+  );
+  if (r.rowCount > 0) console.log(`[Deliveries] Purged ${r.rowCount} payloads older than ${RETENTION_DAYS}d`);
+  return r.rowCount;
+}
+
+function _purge() {
+  purgeExpiredPayloads().catch(err => console.error('[Deliveries] Payload purge failed:', err.message));
+}
+
+function startPayloadRetention() {
+  if (_retentionTimer) return;
+  _retentionTimer = setInterval(_purge, RETENTION_EVERY_MS);
+  _retentionTimer.unref();
+  setImmediate(_purge);
+}
+
+function stopPayloadRetention() {
+  clearInterval(_retentionTimer);
+  _retentionTimer = null;
+}
+
+module.exports = {
+  listDeliveries, getDelivery, replayDelivery, replayRange, runQueuedReplay,
+  purgeExpiredPayloads, startPayloadRetention, stopPayloadRetention,
+};
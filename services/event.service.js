@@ -0,0 +1,150 @@
+'use strict';
+
+const pool = require('../db/pool');
+
+const PAGE_DEFAULT        = 100;
+const RETENTION_DAYS      = parseInt(process.env.EVENT_LOG_RETENTION_DAYS)     || 14;
+const RETENTION_MAX_COUNT = parseInt(process.env.EVENT_LOG_MAX_PER_WORKSPACE)  || 10_000;
+const RETENTION_EVERY_MS  = 60 * 60_000;
+
+let _retentionTimer = null;
+
+function _error(status, message, code) {
+  const err = new Error(message); err.status = status; if (code) err.code = code; return err;
+}
+
+/**
+ * Appends one event to the workspace's durable log. The sequence number comes
+ * from the workspace's row in workspace_event_counters, bumped in the same
+ * statement: the row lock orders concurrent appends so sequences never repeat,
+ * without locking the workspaces row other transactions hold FOR UPDATE.
+ * @returns {Promise<object>} the event in wire format ({ ...payload, seq, ts })
+ */
+async function appendEvent(workspaceId, payload) {
+  const r = await pool.query(
+    `WITH s AS (
+       INSERT INTO workspace_event_counters (workspace_id, last_seq) VALUES ($1, 1)
+       ON CONFLICT (workspace_id) DO UPDATE SET last_seq = workspace_event_counters.last_seq + 1
+       RETURNING last_seq
+     )
+     INSERT INTO workspace_events (workspace_id, seq, type, payload)
+     SELECT $1, last_seq, $2, $3 FROM s
+     RETURNING seq, type, payload, created_at`,
+    [workspaceId, payload.type ?? 'UNKNOWN', JSON.stringify(payload)]
+  );
+  return toMessage(r.rows[0]);
+}
+
+async function getEvent(workspaceId, seq) {
+  const r = await pool.query(
+    'SELECT seq, type, payload, created_at FROM workspace_events WHERE workspace_id = $1 AND seq = $2',
+    [workspaceId, seq]
+  );
+  return r.rowCount === 0 ? null : toMessage(r.rows[0]);
+}
+
+/**
+ * @returns {Promise<{ latestSeq: number, purgedThrough: number }>}
+ */
+async function _counter(workspaceId) {
+  const r = await pool.query(
+    'SELECT last_seq, purged_through FROM workspace_event_counters WHERE workspace_id = $1',
+    [workspaceId]
+  );
+  return {
+    latestSeq:     parseInt(r.rows[0]?.last_seq ?? 0, 10),
+    purgedThrough: parseInt(r.rows[0]?.purged_through ?? 0, 10),
+  };
+}
+
+/**
+ * Events with seq > after, oldest first; without `after`, from the oldest
+ * retained. Resuming from a seq whose successors were already purged is a 409
+ * EVENT_GAP — the caller has to reload state instead of resuming.
+ * @returns {Promise<{ events: object[], nextAfter: number|null, latestSeq: number }>}
+ *          nextAfter is set when more events remain beyond this page
+ */
+async function listEvents(workspaceId, { after, limit = PAGE_DEFAULT, type } = {}) {
+  const { latestSeq, purgedThrough } = await _counter(workspaceId);
+  if (after !== undefined && after < purgedThrough) {
+    const err = _error(409,
+      `Events up to seq ${purgedThrough} have been purged; reload state and resume from seq ${latestSeq}.`, 'EVENT_GAP');
+    err.purgedThrough = purgedThrough;
+    err.latestSeq     = latestSeq;
+    throw err;
+  }
+
+  const params  = [workspaceId, after ?? purgedThrough];
+  let   filter  = '';
+  if (type) { params.push(type); filter = `AND type = $${params.length}`; }
+  params.push(limit + 1);
+
+  const r = await pool.query(
+    `SELECT seq, type, payload, created_at FROM workspace_events
+     WHERE workspace_id = $1 AND seq > $2 ${filter}
+     ORDER BY seq
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const hasMore = r.rows.length > limit;
+  const events  = r.rows.slice(0, limit).map(toMessage);
+  return {
+    events,
+    nextAfter: hasMore ? events[events.length - 1].seq : null,
+    latestSeq,
+  };
+}
+
+function toMessage(row) {
+  return { ...row.payload, seq: parseInt(row.seq, 10), ts: row.created_at };
+}
+
+// ─── Retention ─────────────────────────────────────────────────────────────────
+
+/**
+ * Drops events past the retention window and all but the newest
+ * RETENTION_MAX_COUNT per workspace, and records how far each log was purged
+ * so resuming callers get EVENT_GAP rather than a silent hole.
+ * @returns {Promise<number>} events purged
+ */
+async function purgeExpiredEvents() {
+  const r = await pool.query(
+    `WITH gone AS (
+       DELETE FROM workspace_events e
+       USING workspace_event_counters c
+       WHERE e.workspace_id = c.workspace_id
+         AND (e.created_at < NOW() - ($1 || ' days')::INTERVAL OR e.seq <= c.last_seq - $2)
+       RETURNING e.workspace_id, e.seq
+     ), floors AS (
+       UPDATE workspace_event_counters c SET purged_through = GREATEST(c.purged_through, g.seq)
+       FROM (SELECT workspace_id, MAX(seq) AS seq FROM gone GROUP BY workspace_id) g
+       WHERE c.workspace_id = g.workspace_id
+     )
+     SELECT COUNT(*)::int AS purged FROM gone`,
+    [RETENTION_DAYS, RETENTION_MAX_COUNT]
+  );
+  const purged = r.rows[0].purged;
+  if (purged > 0) console.log(`[EventLog] Purged ${purged} events past retention`);
+  return purged;
+}
+
+function _purge() {
+  purgeExpiredEvents().catch(err => console.error('[EventLog] Event purge failed:', err.message));
+}
+
+function startEventRetention() {
+  if (_retentionTimer) return;
+  _retentionTimer = setInterval(_purge, RETENTION_EVERY_MS);
+  _retentionTimer.unref();
+  setImmediate(_purge);
+}
+
+function stopEventRetention() {
+  clearInterval(_retentionTimer);
+  _retentionTimer = null;
+}
+
+module.exports = {
+  appendEvent, getEvent, listEvents, purgeExpiredEvents, startEventRetention, stopEventRetention,
+};
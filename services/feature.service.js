@@ -0,0 +1,257 @@
+'use strict';
+
+const pool = require('../db/pool');
+const { wouldCreateCycle, analyzeGraph, loadGraph } = require('../engines/dependencyGraph');
+const { refreshCompletion } = require('../engines/featureProgress');
+const { logBlockerEvents, AUTO_RESOLVE_SET } = require('../engines/blockerService');
+
+const FEATURE_COLUMNS = `
+  f.id, f.name, f.description, f.owner_uid, u.github_username AS owner_username,
+  f.priority, f.status, f.completion_percentage, f.completion_source, f.completion_detail,
+  f.track_path_coverage, f.path_patterns, f.created_at`;
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+function _notFound(message) {
+  const err = new Error(message); err.status = 404; return err;
+}
+
+function _conflict(message, code) {
+  const err = new Error(message); err.status = 409; err.code = code; return err;
+}
+
+function _normalizePatterns(patterns) {
+  return [...new Set((patterns ?? []).map(p => p.trim()).filter(Boolean))];
+}
+
+/**
+ * Resolves a github username to the users.id of a member of this workspace.
+ * null clears the owner; an unknown username is a 404.
+ */
+async function _resolveOwnerId(workspaceId, ownerUsername) {
+  if (ownerUsername === null) return null;
+  const r = await pool.query(
+    'SELECT id FROM users WHERE workspace_id = $1 AND github_username = $2 LIMIT 1',
+    [workspaceId, ownerUsername.trim().toLowerCase()]
+  );
+  if (r.rowCount === 0) throw _notFound(`Member "${ownerUsername}" not found in workspace.`);
+  return r.rows[0].id;
+}
+
+async function _getFeature(workspaceId, featureId) {
+  const r = await pool.query(
+    `SELECT ${FEATURE_COLUMNS}
+     FROM features f LEFT JOIN users u ON u.id = f.owner_uid
+     WHERE f.workspace_id = $1 AND f.id = $2`,
+    [workspaceId, featureId]
+  );
+  if (r.rowCount === 0) throw _notFound('Feature not found.');
+  return r.rows[0];
+}
+
+// ─── Feature CRUD ──────────────────────────────────────────────────────────────
+
+async function listFeatures(workspaceId) {
+  const r = await pool.query(
+    `SELECT ${FEATURE_COLUMNS}
+     FROM features f LEFT JOIN users u ON u.id = f.owner_uid
+     WHERE f.workspace_id = $1
+     ORDER BY f.created_at`,
+    [workspaceId]
+  );
+  return r.rows;
+}
+
+async function createFeature(workspaceId, payload) {
+  const { name, description, ownerUsername, priority, status, pathPatterns } = payload;
+
+  const ownerId = ownerUsername === undefined ? null : await _resolveOwnerId(workspaceId, ownerUsername);
+
+  const r = await pool.query(
+    `INSERT INTO features (workspace_id, name, description, owner_uid, priority, status, path_patterns)
+     VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING id`,
+    [workspaceId, name.trim(), description ?? null, ownerId,
+     priority ?? 'MEDIUM', status ?? 'ACTIVE', _normalizePatterns(pathPatterns)]
+  );
+  return _getFeature(workspaceId, r.rows[0].id);
+}
+
+/**
+ * Partial update — only keys present in `changes` are written. A completion
+ * percentage can only be set on features without evidence (tasks, linked PRs,
+ * path coverage); evidence-tracked ones are a 409.
+ */
+async function updateFeature(workspaceId, featureId, changes) {
+  const sets   = [];
+  const params = [workspaceId, featureId];
+  const set    = (column, value) => { params.push(value); sets.push(`${column} = $${params.length}`); };
+
+  if (changes.name        !== undefined) set('name', changes.name.trim());
+  if (changes.description !== undefined) set('description', changes.description);
+  if (changes.priority    !== undefined) set('priority', changes.priority);
+  if (changes.status      !== undefined) set('status', changes.status);
+  if (changes.completionPercentage !== undefined) {
+    const current = await _getFeature(workspaceId, featureId);
+    if (current.completion_source === 'evidence') {
+      throw _conflict(
+        'Completion is computed from this feature\'s evidence and can\'t be set by hand.', 'COMPLETION_FROM_EVIDENCE'
+      );
+    }
+    set('completion_percentage', changes.completionPercentage);
+    set('completion_source', 'manual');
+  }
+  if (changes.trackPathCoverage !== undefined) set('track_path_coverage', changes.trackPathCoverage);
+  if (changes.pathPatterns !== undefined) set('path_patterns', _normalizePatterns(changes.pathPatterns));
+  if (changes.ownerUsername !== undefined) set('owner_uid', await _resolveOwnerId(workspaceId, changes.ownerUsername));
+
+  if (sets.length > 0) {
+    const r = await pool.query(
+      `UPDATE features SET ${sets.join(', ')} WHERE workspace_id = $1 AND id = $2`,
+      params
+    );
+    if (r.rowCount === 0) throw _notFound('Feature not found.');
+  }
+  if (changes.pathPatterns !== undefined || changes.trackPathCoverage !== undefined) {
+    await refreshCompletion(workspaceId, [featureId]);
+  }
+  return _getFeature(workspaceId, featureId);
+}
+
+async function deleteFeature(workspaceId, featureId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const r = await client.query(
+      'DELETE FROM features WHERE workspace_id = $1 AND id = $2',
+      [workspaceId, featureId]
+    );
+    if (r.rowCount === 0) throw _notFound('Feature not found.');
+
+    // Blockers and requirement links reference features by TEXT id, so there is no FK cascade
+    const resolved = await client.query(
+      `UPDATE blockers SET ${AUTO_RESOLVE_SET}
+       WHERE workspace_id = $1 AND type = 'DEPENDENCY_BLOCK' AND reference_id = $2 AND resolved = false
+       RETURNING id`,
+      [workspaceId, featureId]
+    );
+    await logBlockerEvents(client, resolved.rows.map(r => r.id), {
+      action: 'resolved', actor: 'api', detail: { resolution: 'auto', reason: 'feature deleted' },
+    });
+    await client.query(
+      `DELETE FROM requirement_links WHERE workspace_id = $1 AND kind = 'feature' AND target = $2`,
+      [workspaceId, featureId]
+    );
+
+    await client.query('COMMIT');
+    return { deleted: true, featureId };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ─── Dependencies ──────────────────────────────────────────────────────────────
+
+/**
+ * Adds featureId → dependsOnId. Edits are serialised per workspace (row lock)
+ * so two concurrent inserts can't close a cycle between them.
+ */
+async function addDependency(workspaceId, featureId, dependsOnId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM workspaces WHERE id = $1 FOR UPDATE', [workspaceId]);
+
+    const { features, edges } = await loadGraph(workspaceId, client);
+    const names = new Map(features.map(f => [f.id, f.name]));
+    if (!names.has(featureId))   throw _notFound('Feature not found.');
+    if (!names.has(dependsOnId)) throw _notFound('Dependency feature not found.');
+
+    if (edges.some(e => e.feature_id === featureId && e.depends_on_feature_id === dependsOnId)) {
+      throw _conflict('Dependency already exists.', 'DEPENDENCY_EXISTS');
+    }
+    if (wouldCreateCycle(edges, featureId, dependsOnId)) {
+      throw _conflict(
+        `"${names.get(featureId)}" depending on "${names.get(dependsOnId)}" would create a cycle.`,
+        'DEPENDENCY_CYCLE'
+      );
+    }
+
+    const r = await client.query(
+      `INSERT INTO feature_dependencies (feature_id, depends_on_feature_id) VALUES ($1, $2)
+       RETURNING id, feature_id, depends_on_feature_id`,
+      [featureId, dependsOnId]
+    );
+
+    await client.query('COMMIT');
+    return r.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Removes an edge. A BLOCKED feature left with no incomplete dependencies is
+ * unblocked right away rather than on its next commit.
+ */
+async function removeDependency(workspaceId, featureId, dependsOnId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const r = await client.query(
+      `DELETE FROM feature_dependencies fd
+       USING features f
+       WHERE f.id = fd.feature_id AND f.workspace_id = $1
+         AND fd.feature_id = $2 AND fd.depends_on_feature_id = $3`,
+      [workspaceId, featureId, dependsOnId]
+    );
+    if (r.rowCount === 0) throw _notFound('Dependency not found.');
+
+    const unblocked = await client.query(
+      `UPDATE features f SET status = 'ACTIVE'
+       WHERE f.id = $2 AND f.workspace_id = $1 AND f.status = 'BLOCKED'
+         AND NOT EXISTS (
+           SELECT 1 FROM feature_dependencies fd
+           JOIN features f2 ON f2.id = fd.depends_on_feature_id
+           WHERE fd.feature_id = f.id AND f2.status != 'COMPLETE'
+         )`,
+      [workspaceId, featureId]
+    );
+    if (unblocked.rowCount > 0) {
+      const resolved = await client.query(
+        `UPDATE blockers SET ${AUTO_RESOLVE_SET}
+         WHERE workspace_id = $1 AND type = 'DEPENDENCY_BLOCK' AND reference_id = $2 AND resolved = false
+         RETURNING id`,
+        [workspaceId, featureId]
+      );
+      await logBlockerEvents(client, resolved.rows.map(r => r.id), {
+        action: 'resolved', actor: 'api', detail: { resolution: 'auto', reason: 'dependency removed' },
+      });
+    }
+
+    await client.query('COMMIT');
+    return { deleted: true, featureId, dependsOnFeatureId: dependsOnId, unblocked: unblocked.rowCount > 0 };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getDependencyGraph(workspaceId) {
+  const { features, edges } = await loadGraph(workspaceId);
+  return analyzeGraph(features, edges);
+}
+
+module.exports = {
+  listFeatures, createFeature, updateFeature, deleteFeature,
+  addDependency, removeDependency, getDependencyGraph,
+};
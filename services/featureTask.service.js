@@ -0,0 +1,157 @@
+'use strict';
+
+const pool = require('../db/pool');
+const { refreshCompletion } = require('../engines/featureProgress');
+
+const TASK_COLUMNS      = 'id, feature_id, milestone_id, title, kind, done, done_at, done_by, created_at';
+const MILESTONE_COLUMNS = 'id, feature_id, title, due_date, created_at';
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+function _notFound(message) {
+  const err = new Error(message); err.status = 404; return err;
+}
+
+async function _assertFeature(workspaceId, featureId) {
+  const r = await pool.query('SELECT 1 FROM features WHERE workspace_id = $1 AND id = $2', [workspaceId, featureId]);
+  if (r.rowCount === 0) throw _notFound('Feature not found.');
+}
+
+async function _assertMilestone(featureId, milestoneId) {
+  if (milestoneId === null || milestoneId === undefined) return;
+  const r = await pool.query('SELECT 1 FROM feature_milestones WHERE feature_id = $1 AND id = $2', [featureId, milestoneId]);
+  if (r.rowCount === 0) throw _notFound('Milestone not found.');
+}
+
+/**
+ * Recomputes the feature after a checklist change and returns its completion.
+ */
+async function _completion(workspaceId, featureId) {
+  await refreshCompletion(workspaceId, [featureId]);
+  const r = await pool.query(
+    `SELECT status, completion_percentage, completion_source, completion_detail
+     FROM features WHERE id = $1`,
+    [featureId]
+  );
+  const f = r.rows[0];
+  return {
+    status:               f.status,
+    completionPercentage: f.completion_percentage,
+    completionSource:     f.completion_source,
+    completionDetail:     f.completion_detail,
+  };
+}
+
+// ─── Checklist ─────────────────────────────────────────────────────────────────
+
+/**
+ * Tasks plus milestones with their own done/total.
+ */
+async function listTasks(workspaceId, featureId) {
+  await _assertFeature(workspaceId, featureId);
+  const [tasks, milestones] = await Promise.all([
+    pool.query(`SELECT ${TASK_COLUMNS} FROM feature_tasks WHERE feature_id = $1 ORDER BY id`, [featureId]),
+    pool.query(`SELECT ${MILESTONE_COLUMNS} FROM feature_milestones WHERE feature_id = $1 ORDER BY due_date NULLS LAST, id`, [featureId]),
+  ]);
+
+  return {
+    tasks:      tasks.rows,
+    milestones: milestones.rows.map(m => {
+      const own = tasks.rows.filter(t => t.milestone_id === m.id);
+      return { ...m, total: own.length, done: own.filter(t => t.done).length };
+    }),
+  };
+}
+
+async function createTask(workspaceId, featureId, { title, kind, milestoneId }) {
+  await _assertFeature(workspaceId, featureId);
+  await _assertMilestone(featureId, milestoneId);
+  const r = await pool.query(
+    `INSERT INTO feature_tasks (feature_id, milestone_id, title, kind)
+     VALUES ($1,$2,$3,$4) RETURNING ${TASK_COLUMNS}`,
+    [featureId, milestoneId ?? null, title.trim(), kind ?? 'task']
+  );
+  return { task: r.rows[0], feature: await _completion(workspaceId, featureId) };
+}
+
+/**
+ * Partial update — only keys present in `changes` are written.
+ */
+async function updateTask(workspaceId, featureId, taskId, changes) {
+  await _assertFeature(workspaceId, featureId);
+  if (changes.milestoneId !== undefined) await _assertMilestone(featureId, changes.milestoneId);
+
+  const sets   = [];
+  const params = [featureId, taskId];
+  const set    = (column, value) => { params.push(value); sets.push(`${column} = $${params.length}`); };
+
+  if (changes.title       !== undefined) set('title', changes.title.trim());
+  if (changes.kind        !== undefined) set('kind', changes.kind);
+  if (changes.milestoneId !== undefined) set('milestone_id', changes.milestoneId);
+  if (changes.done        !== undefined) {
+    set('done', changes.done);
+    sets.push(changes.done ? `done_at = COALESCE(done_at, NOW()), done_by = COALESCE(done_by, 'api')`
+                           : 'done_at = NULL, done_by = NULL');
+  }
+
+  const r = await pool.query(
+    sets.length > 0
+      ? `UPDATE feature_tasks SET ${sets.join(', ')} WHERE feature_id = $1 AND id = $2 RETURNING ${TASK_COLUMNS}`
+      : `SELECT ${TASK_COLUMNS} FROM feature_tasks WHERE feature_id = $1 AND id = $2`,
+    params
+  );
+  if (r.rowCount === 0) throw _notFound('Task not found.');
+  return { task: r.rows[0], feature: await _completion(workspaceId, featureId) };
+}
+
+async function deleteTask(workspaceId, featureId, taskId) {
+  await _assertFeature(workspaceId, featureId);
+  const r = await pool.query('DELETE FROM feature_tasks WHERE feature_id = $1 AND id = $2', [featureId, taskId]);
+  if (r.rowCount === 0) throw _notFound('Task not found.');
+  return { deleted: true, taskId, feature: await _completion(workspaceId, featureId) };
+}
+
+// ─── Milestones ────────────────────────────────────────────────────────────────
+
+async function createMilestone(workspaceId, featureId, { title, dueDate }) {
+  await _assertFeature(workspaceId, featureId);
+  const r = await pool.query(
+    `INSERT INTO feature_milestones (feature_id, title, due_date) VALUES ($1,$2,$3) RETURNING ${MILESTONE_COLUMNS}`,
+    [featureId, title.trim(), dueDate ?? null]
+  );
+  return r.rows[0];
+}
+
+async function updateMilestone(workspaceId, featureId, milestoneId, changes) {
+  await _assertFeature(workspaceId, featureId);
+  const sets   = [];
+  const params = [featureId, milestoneId];
+  const set    = (column, value) => { params.push(value); sets.push(`${column} = $${params.length}`); };
+
+  if (changes.title   !== undefined) set('title', changes.title.trim());
+  if (changes.dueDate !== undefined) set('due_date', changes.dueDate);
+
+  const r = await pool.query(
+    sets.length > 0
+      ? `UPDATE feature_milestones SET ${sets.join(', ')} WHERE feature_id = $1 AND id = $2 RETURNING ${MILESTONE_COLUMNS}`
+      : `SELECT ${MILESTONE_COLUMNS} FROM feature_milestones WHERE feature_id = $1 AND id = $2`,
+    params
+  );
+  if (r.rowCount === 0) throw _notFound('Milestone not found.');
+  return r.rows[0];
+}
+
+/**
+ * Its tasks stay on the feature, unassigned.
+ */
+async function deleteMilestone(workspaceId, featureId, milestoneId) {
+  await _assertFeature(workspaceId, featureId);
+  const r = await pool.query('DELETE FROM feature_milestones WHERE feature_id = $1 AND id = $2', [featureId, milestoneId]);
+  if (r.rowCount === 0) throw _notFound('Milestone not found.');
+  return { deleted: true, milestoneId };
+}
+
+module.exports = {
+  listTasks, createTask, updateTask, deleteTask,
+  createMilestone, updateMilestone, deleteMilestone,
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+const pool = require('../db/pool');
+const { recalculate, explain } = require('../engines/healthEngine');
+const { DEFAULT_PROFILE, mergeProfile, validateProfile, loadProfile } = require('../engines/healthProfile');
+
+const DEFAULT_RANGE_DAYS = 30;
+const RAW_LIMIT          = 2000;
+
+function _toNumber(v, digits = 2) {
+  return v === null || v === undefined ? null : Number(parseFloat(v).toFixed(digits));
+}
+
+// ─── History ───────────────────────────────────────────────────────────────────
+
+/**
+ * Health time series. bucket 'raw' returns every snapshot, the newest
+ * RAW_LIMIT when the range holds more (`truncated`); 'day' / 'week'
+ * downsample to one point per period (average, min, max and closing score,
+ * with averaged inputs).
+ */
+async function getHealthHistory(workspaceId, { bucket = 'day', from, to } = {}) {
+  const rangeFrom = from ? new Date(from) : new Date(Date.now() - DEFAULT_RANGE_DAYS * 86_400_000);
+  const rangeTo   = to   ? new Date(to)   : new Date();
+
+  if (bucket === 'raw') {
+    const r = await pool.query(
+      `SELECT score, risk_level, feature_completion_avg, blocker_count, conflict_count, inactive_members, created_at
+       FROM health_snapshots
+       WHERE workspace_id = $1 AND created_at BETWEEN $2 AND $3
+       ORDER BY created_at DESC
+       LIMIT ${RAW_LIMIT + 1}`,
+      [workspaceId, rangeFrom, rangeTo]
+    );
+    const truncated = r.rows.length > RAW_LIMIT;
+    const rows      = r.rows.slice(0, RAW_LIMIT).reverse();
+    return {
+      bucket, from: rangeFrom, to: rangeTo, truncated,
+      points: rows.map(row => ({
+        at:                   row.created_at,
+        score:                row.score,
+        riskLevel:            row.risk_level,
+        featureCompletionAvg: _toNumber(row.feature_completion_avg),
+        blockerCount:         row.blocker_count,
+        conflictCount:        row.conflict_count,
+        inactiveMembers:      row.inactive_members,
+      })),
+    };
+  }
+
+  const r = await pool.query(
+    `SELECT date_trunc($4, created_at)                          AS period,
+            COUNT(*)                                            AS samples,
+            AVG(score)                                          AS avg_score,
+            MIN(score)                                          AS min_score,
+            MAX(score)                                          AS max_score,
+            (ARRAY_AGG(score ORDER BY created_at DESC))[1]      AS close_score,
+            AVG(feature_completion_avg)                         AS feature_completion_avg,
+            AVG(blocker_count)                                  AS blocker_count,
+            AVG(conflict_count)                                 AS conflict_count,
+            AVG(inactive_members)                               AS inactive_members
+     FROM health_snapshots
+     WHERE workspace_id = $1 AND created_at BETWEEN $2 AND $3
+     GROUP BY period
+     ORDER BY period`,
+    [workspaceId, rangeFrom, rangeTo, bucket]
+  );
+
+  return {
+    bucket, from: rangeFrom, to: rangeTo,
+    points: r.rows.map(row => ({
+      at:                   row.period,
+      samples:              parseInt(row.samples, 10),
+      score:                Math.round(parseFloat(row.avg_score)),
+      minScore:             row.min_score,
+      maxScore:             row.max_score,
+      closeScore:           row.close_score,
+      featureCompletionAvg: _toNumber(row.feature_completion_avg),
+      blockerCount:         _toNumber(row.blocker_count, 1),
+      conflictCount:        _toNumber(row.conflict_count, 1),
+      inactiveMembers:      _toNumber(row.inactive_members, 1),
+    })),
+  };
+}
+
+// ─── Deltas ────────────────────────────────────────────────────────────────────
+
+/**
+ * Change in score versus the latest snapshot at least 24h / 7d old.
+ * null when the workspace has no snapshot that old yet.
+ */
+async function getHealthDeltas(workspaceId, currentScore) {
+  const r = await pool.query(
+    `SELECT
+       (SELECT score FROM health_snapshots
+        WHERE workspace_id = $1 AND created_at <= NOW() - INTERVAL '24 hours'
+        ORDER BY created_at DESC LIMIT 1) AS day_ago,
+       (SELECT score FROM health_snapshots
+        WHERE workspace_id = $1 AND created_at <= NOW() - INTERVAL '7 days'
+        ORDER BY created_at DESC LIMIT 1) AS week_ago`,
+    [workspaceId]
+  );
+  const { day_ago, week_ago } = r.rows[0];
+  return {
+    delta24h: day_ago  === null ? null : currentScore - day_ago,
+    delta7d:  week_ago === null ? null : currentScore - week_ago,
+  };
+}
+
+// ─── Scoring Profile ───────────────────────────────────────────────────────────
+
+async function getProfile(workspaceId) {
+  const { profile, overrides, updatedAt } = await loadProfile(workspaceId);
+  return { profile, overrides, defaults: DEFAULT_PROFILE, updatedAt };
+}
+
+/**
+ * Merges `changes` into the stored overrides, validates the resulting profile
+ * and rescores the workspace under it.
+ */
+async function updateProfile(workspaceId, changes) {
+  const { overrides } = await loadProfile(workspaceId);
+  const nextOverrides = mergeProfile(overrides, changes);
+  const errors        = validateProfile(mergeProfile(DEFAULT_PROFILE, nextOverrides));
+  if (errors.length) {
+    const err = new Error(errors.join('; ')); err.status = 400; err.code = 'INVALID_PROFILE'; throw err;
+  }
+
+  await pool.query(
+    `INSERT INTO health_profiles (workspace_id, profile, updated_at) VALUES ($1, $2, NOW())
+     ON CONFLICT (workspace_id) DO UPDATE SET profile = EXCLUDED.profile, updated_at = NOW()`,
+    [workspaceId, JSON.stringify(nextOverrides)]
+  );
+  await recalculate(workspaceId);
+  return getProfile(workspaceId);
+}
+
+async function resetProfile(workspaceId) {
+  await pool.query('DELETE FROM health_profiles WHERE workspace_id = $1', [workspaceId]);
+  await recalculate(workspaceId);
+  return getProfile(workspaceId);
+}
+
+async function explainHealth(workspaceId) {
+  return explain(workspaceId);
+}
+
+module.exports = { getHealthHistory, getHealthDeltas, getProfile, updateProfile, resetProfile, explainHealth };
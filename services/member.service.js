@@ -0,0 +1,210 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const pool           = require('../db/pool');
+const wsManager      = require('../websocket/wsManager');
+const { recalculate }                        = require('../engines/healthEngine');
+const { AUTO_RESOLVE_SET, logBlockerEvents } = require('../engines/blockerService');
+
+/**
+ * Workspace membership after creation. A member's user_uid is their
+ * credential (?userUid= on the socket, the legacy join), so it is returned
+ * only when issued: on add, enable and rotate-uid.
+ *
+ * Disabling keeps the member, their history and their seat but locks them out
+ * (user_uid and member tokens) and drops them from activity and inactivity.
+ * Removing deletes them; their tokens go with them and features and blockers
+ * they owned become unassigned.
+ */
+
+const MAX_MEMBERS = parseInt(process.env.MAX_WORKSPACE_MEMBERS) || 20;
+
+const MEMBER_COLUMNS = 'id, github_username, last_active, last_commit_at, disabled_at, created_at';
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+function _error(status, message, code) {
+  const err = new Error(message); err.status = status; if (code) err.code = code; return err;
+}
+
+async function _lockMember(client, workspaceId, username) {
+  const r = await client.query(
+    `SELECT ${MEMBER_COLUMNS}, user_uid FROM users
+     WHERE workspace_id = $1 AND github_username = $2 FOR UPDATE`,
+    [workspaceId, username.trim().toLowerCase()]
+  );
+  if (r.rowCount === 0) throw _error(404, `Member "${username}" not found in workspace.`);
+  return r.rows[0];
+}
+
+/**
+ * Resolves the member's open INACTIVITY blocker; they are no longer counted.
+ * @returns {Promise<string[]>} resolved blocker ids
+ */
+async function _resolveInactivity(client, workspaceId, memberId, actor) {
+  const r = await client.query(
+    `UPDATE blockers SET ${AUTO_RESOLVE_SET}
+     WHERE workspace_id = $1 AND type = 'INACTIVITY' AND resolved = false AND reference_id = $2
+     RETURNING id`,
+    [workspaceId, memberId]
+  );
+  const ids = r.rows.map(row => row.id);
+  await logBlockerEvents(client, ids, { action: 'resolved', actor, detail: { resolution: 'auto' } });
+  return ids;
+}
+
+async function _tokenIds(client, memberId) {
+  const r = await client.query('SELECT id FROM api_tokens WHERE user_id = $1 AND revoked_at IS NULL', [memberId]);
+  return r.rows.map(row => row.id);
+}
+
+/**
+ * Runs `change(client, member)` on the locked member, then closes the
+ * credentials it returns and broadcasts. Health is recalculated when the
+ * change resolved an INACTIVITY blocker or altered who is counted.
+ * @returns {Promise<object>} what change returned as `result`
+ */
+async function _change(workspaceId, username, action, actor, change) {
+  const client = await pool.connect();
+  let outcome;
+  let member;
+  try {
+    await client.query('BEGIN');
+    member  = await _lockMember(client, workspaceId, username);
+    outcome = await change(client, member);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (outcome.closeCredentials) {
+    wsManager.disconnectUser(member.user_uid);
+    for (const tokenId of outcome.tokenIds ?? []) wsManager.disconnectToken(tokenId);
+  }
+  for (const blockerId of outcome.resolvedBlockers ?? []) {
+    wsManager.broadcastToWorkspace(workspaceId, {
+      type: 'BLOCKER_RESOLVED', blockerId, blockerType: 'INACTIVITY', referenceId: member.id,
+      githubUsername: member.github_username, action: 'resolved', actor,
+    });
+  }
+  wsManager.broadcastToWorkspace(workspaceId, {
+    type: 'MEMBER_UPDATED', action, githubUsername: member.github_username, actor,
+  });
+  if (outcome.affectsHealth) await recalculate(workspaceId);
+  return outcome.result;
+}
+
+// ─── Members ───────────────────────────────────────────────────────────────────
+
+async function listMembers(workspaceId, { includeDisabled = true } = {}) {
+  const r = await pool.query(
+    `SELECT ${MEMBER_COLUMNS} FROM users
+     WHERE workspace_id = $1 AND ($2 OR disabled_at IS NULL)
+     ORDER BY github_username`,
+    [workspaceId, includeDisabled]
+  );
+  return { members: r.rows, limit: MAX_MEMBERS };
+}
+
+/**
+ * Adds a member and issues their user_uid. Disabled members keep their seat
+ * toward MAX_MEMBERS.
+ */
+async function addMember(workspaceId, { githubUsername, actor }) {
+  const username = githubUsername.trim().toLowerCase();
+  const client   = await pool.connect();
+  let member;
+  try {
+    await client.query('BEGIN');
+    // Serialises adds per workspace so the cap holds
+    await client.query('SELECT id FROM workspaces WHERE id = $1 FOR UPDATE', [workspaceId]);
+    const count = await client.query('SELECT COUNT(*)::int AS n FROM users WHERE workspace_id = $1', [workspaceId]);
+    if (count.rows[0].n >= MAX_MEMBERS) {
+      throw _error(409, `Workspace already has the maximum of ${MAX_MEMBERS} members.`, 'MEMBER_LIMIT');
+    }
+
+    const r = await client.query(
+      `INSERT INTO users (id, workspace_id, github_username, user_uid) VALUES ($1,$2,$3,$4)
+       ON CONFLICT (workspace_id, github_username) DO NOTHING
+       RETURNING ${MEMBER_COLUMNS}, user_uid`,
+      [uuidv4(), workspaceId, username, uuidv4()]
+    );
+    if (r.rowCount === 0) throw _error(409, `"${username}" is already a member.`, 'MEMBER_EXISTS');
+    member = r.rows[0];
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  wsManager.broadcastToWorkspace(workspaceId, { type: 'MEMBER_UPDATED', action: 'added', githubUsername: username, actor });
+  return member;
+}
+
+async function removeMember(workspaceId, username, { actor }) {
+  return _change(workspaceId, username, 'removed', actor, async (client, member) => {
+    const resolvedBlockers = await _resolveInactivity(client, workspaceId, member.id, actor);
+    const tokenIds         = await _tokenIds(client, member.id);
+    await client.query('DELETE FROM users WHERE id = $1', [member.id]);
+    return {
+      closeCredentials: true, tokenIds, resolvedBlockers, affectsHealth: true,
+      result: { removed: true, githubUsername: member.github_username, revokedTokens: tokenIds.length },
+    };
+  });
+}
+
+/**
+ * Locks the member out without deleting them. Their tokens stay unrevoked but
+ * are refused while the member is disabled.
+ */
+async function disableMember(workspaceId, username, { actor }) {
+  return _change(workspaceId, username, 'disabled', actor, async (client, member) => {
+    if (member.disabled_at) throw _error(409, `Member "${member.github_username}" is already disabled.`, 'MEMBER_DISABLED');
+    const resolvedBlockers = await _resolveInactivity(client, workspaceId, member.id, actor);
+    const tokenIds         = await _tokenIds(client, member.id);
+    const r = await client.query(
+      `UPDATE users SET disabled_at = NOW() WHERE id = $1 RETURNING ${MEMBER_COLUMNS}`,
+      [member.id]
+    );
+    return { closeCredentials: true, tokenIds, resolvedBlockers, affectsHealth: true, result: r.rows[0] };
+  });
+}
+
+/**
+ * Re-enables a disabled member with a fresh user_uid; the one they had before
+ * being disabled stays dead.
+ */
+async function enableMember(workspaceId, username, { actor }) {
+  return _change(workspaceId, username, 'enabled', actor, async (client, member) => {
+    if (!member.disabled_at) throw _error(409, `Member "${member.github_username}" is not disabled.`, 'MEMBER_ACTIVE');
+    const r = await client.query(
+      `UPDATE users SET disabled_at = NULL, user_uid = $2 WHERE id = $1 RETURNING ${MEMBER_COLUMNS}, user_uid`,
+      [member.id, uuidv4()]
+    );
+    return { affectsHealth: true, result: r.rows[0] };
+  });
+}
+
+/**
+ * Issues a fresh user_uid, e.g. after a leaked join link; the old one stops
+ * working immediately.
+ */
+async function rotateMemberUid(workspaceId, username, { actor }) {
+  return _change(workspaceId, username, 'uid_rotated', actor, async (client, member) => {
+    if (member.disabled_at) throw _error(409, `Member "${member.github_username}" is disabled.`, 'MEMBER_DISABLED');
+    const r = await client.query(
+      `UPDATE users SET user_uid = $2 WHERE id = $1 RETURNING ${MEMBER_COLUMNS}, user_uid`,
+      [member.id, uuidv4()]
+    );
+    return { closeCredentials: true, result: r.rows[0] };
+  });
+}
+
+module.exports = {
+  MAX_MEMBERS, listMembers, addMember, removeMember, disableMember, enableMember, rotateMemberUid,
+};
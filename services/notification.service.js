@@ -0,0 +1,512 @@
+'use strict';
+
+const crypto = require('crypto');
+const http   = require('http');
+const https  = require('https');
+const pool   = require('../db/pool');
+const { listEvents }    = require('./event.service');
+const { backoffMs }     = require('../jobs/queue');
+const { hmacSha256Hex } = require('../providers/scm/signature');
+const { assertPublicHost, guardedLookup } = require('../utils/netGuard');
+const { matchesSubscription, formatEvent, formatDigest, formatTest } = require('../engines/notifications');
+
+const NOTIFY_EVERY_MS    = parseInt(process.env.NOTIFY_INTERVAL_MS)           || 5_000;
+const SEND_TIMEOUT_MS    = parseInt(process.env.NOTIFY_TIMEOUT_MS)            || 10_000;
+const RETENTION_DAYS     = parseInt(process.env.NOTIFY_LOG_RETENTION_DAYS)    || 14;
+const PURGE_EVERY_MS     = 60 * 60_000;
+const LEASE_MS           = SEND_TIMEOUT_MS * 3;   // a sender that vanishes mid-attempt releases the row
+const SEND_BATCH         = 20;
+const EVENT_PAGE         = 500;
+const DIGEST_MAX_EVENTS  = 500;
+const LIST_DEFAULT_LIMIT = 50;
+
+let _timer     = null;
+let _running   = false;
+let _lastPurge = 0;
+
+/**
+ * Outbound notifications.
+ *
+ * Each subscription keeps a cursor into the workspace event log. The notifier
+ * tick reads past the cursor, turns matching events into delivery rows — one
+ * per event, or one per period in hourly/daily digest mode — and advances the
+ * cursor in the same transaction, so nothing is dispatched twice or lost across
+ * restarts. Deliveries are POSTed with an HMAC-SHA256 signature over
+ * `<timestamp>.<body>` and retried with the job queue's backoff; 4xx answers
+ * other than 408/429 are final.
+ *
+ * Endpoints must resolve to public addresses (utils/netGuard.js), checked when
+ * the URL is saved and again on every connect. Redirects are not followed and
+ * only the response status is recorded, never the body.
+ *
+ * Delivery runs outside the job queue on purpose: a failing endpoint would
+ * otherwise hold up its workspace's engine jobs behind its retries.
+ */
+
+const SUBSCRIPTION_COLUMNS = `id, workspace_id, name, url, format, event_types, min_severity, blocker_types,
+                              path_patterns, members, mode, enabled, cursor_seq, next_digest_at,
+                              created_at, updated_at`;
+
+const DELIVERY_COLUMNS = `id, subscription_id, kind, event_type, event_seqs, status, attempts, max_attempts,
+                          next_attempt_at, response_status, last_error, created_at, updated_at, delivered_at`;
+
+// Next digest boundary for a mode, on UTC hour/day edges
+const NEXT_DIGEST = (mode) => `CASE ${mode}
+  WHEN 'hourly' THEN date_trunc('hour', NOW()) + INTERVAL '1 hour'
+  WHEN 'daily'  THEN date_trunc('day',  NOW()) + INTERVAL '1 day'
+END`;
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+function _error(status, message, code) {
+  const err = new Error(message); err.status = status; if (code) err.code = code; return err;
+}
+
+/**
+ * 400 unless the URL's host resolves to public addresses only.
+ */
+async function _checkUrl(url) {
+  try {
+    await assertPublicHost(new URL(url).hostname);
+  } catch (err) {
+    const message = err.code === 'NON_PUBLIC_ADDRESS' ? err.message : `Cannot resolve ${url}: ${err.message}`;
+    throw _error(400, message, 'URL_NOT_ALLOWED');
+  }
+}
+
+function _newSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const _lower = (list) => [...new Set(list.map(v => v.trim().toLowerCase()))];
+
+async function _getSubscription(workspaceId, subscriptionId) {
+  const r = await pool.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS} FROM notification_subscriptions WHERE workspace_id = $1 AND id = $2`,
+    [workspaceId, subscriptionId]
+  );
+  if (r.rowCount === 0) throw _error(404, 'Subscription not found.');
+  return r.rows[0];
+}
+
+// ─── Subscriptions ─────────────────────────────────────────────────────────────
+
+async function listSubscriptions(workspaceId) {
+  const r = await pool.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS}, d.pending, d.dead, d.last_delivered_at
+     FROM notification_subscriptions s
+     CROSS JOIN LATERAL (
+       SELECT COUNT(*) FILTER (WHERE n.status = 'pending') AS pending,
+              COUNT(*) FILTER (WHERE n.status = 'dead')    AS dead,
+              MAX(n.delivered_at)                          AS last_delivered_at
+       FROM notification_deliveries n WHERE n.subscription_id = s.id
+     ) d
+     WHERE s.workspace_id = $1
+     ORDER BY s.created_at`,
+    [workspaceId]
+  );
+  return {
+    subscriptions: r.rows.map(s => ({ ...s, pending: parseInt(s.pending, 10), dead: parseInt(s.dead, 10) })),
+  };
+}
+
+async function getSubscription(workspaceId, subscriptionId) {
+  return _getSubscription(workspaceId, subscriptionId);
+}
+
+/**
+ * Starts at the head of the event log — history is not replayed. The secret is
+ * only returned here and by rotateSecret.
+ */
+async function createSubscription(workspaceId, input) {
+  await _checkUrl(input.url);
+  const secret = input.secret ?? _newSecret();
+  const mode   = input.mode ?? 'immediate';
+  const r = await pool.query(
+    `INSERT INTO notification_subscriptions
+       (workspace_id, name, url, format, secret, event_types, min_severity, blocker_types, path_patterns,
+        members, mode, enabled, cursor_seq, next_digest_at)
+     SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11::text, $12, COALESCE(c.last_seq, 0), ${NEXT_DIGEST('$11::text')}
+     FROM workspaces w LEFT JOIN workspace_event_counters c ON c.workspace_id = w.id
+     WHERE w.id = $1
+     RETURNING id`,
+    [
+      workspaceId, input.name.trim(), input.url, input.format ?? 'json', secret,
+      input.eventTypes ?? [], input.minSeverity ?? null, input.blockerTypes ?? [],
+      input.pathPatterns ?? [], _lower(input.members ?? []), mode, input.enabled ?? true,
+    ]
+  );
+  return { ...(await _getSubscription(workspaceId, r.rows[0].id)), secret };
+}
+
+/**
+ * Re-enabling moves the cursor to the head of the log, so a long-disabled
+ * subscription doesn't flood its endpoint with what it missed.
+ */
+async function updateSubscription(workspaceId, subscriptionId, changes) {
+  const sets   = [];
+  const params = [workspaceId, subscriptionId];
+  const set    = (column, value) => { params.push(value); sets.push(`${column} = $${params.length}`); };
+  if (changes.url !== undefined) await _checkUrl(changes.url);
+
+  if (changes.name         !== undefined) set('name', changes.name.trim());
+  if (changes.url          !== undefined) set('url', changes.url);
+  if (changes.format       !== undefined) set('format', changes.format);
+  if (changes.eventTypes   !== undefined) set('event_types', changes.eventTypes);
+  if (changes.minSeverity  !== undefined) set('min_severity', changes.minSeverity);
+  if (changes.blockerTypes !== undefined) set('blocker_types', changes.blockerTypes);
+  if (changes.pathPatterns !== undefined) set('path_patterns', changes.pathPatterns);
+  if (changes.members      !== undefined) set('members', _lower(changes.members));
+  if (changes.mode !== undefined) {
+    set('mode', changes.mode);
+    sets.push(`next_digest_at = ${NEXT_DIGEST(`$${params.length}::text`)}`);
+  }
+  if (changes.enabled !== undefined) {
+    set('enabled', changes.enabled);
+    if (changes.enabled) {
+      sets.push(`cursor_seq = CASE WHEN enabled THEN cursor_seq
+                 ELSE COALESCE((SELECT last_seq FROM workspace_event_counters WHERE workspace_id = $1), 0) END`);
+    }
+  }
+
+  if (sets.length > 0) {
+    const r = await pool.query(
+      `UPDATE notification_subscriptions SET ${sets.join(', ')}, updated_at = NOW()
+       WHERE workspace_id = $1 AND id = $2`,
+      params
+    );
+    if (r.rowCount === 0) throw _error(404, 'Subscription not found.');
+  }
+  return _getSubscription(workspaceId, subscriptionId);
+}
+
+async function deleteSubscription(workspaceId, subscriptionId) {
+  const r = await pool.query(
+    'DELETE FROM notification_subscriptions WHERE workspace_id = $1 AND id = $2',
+    [workspaceId, subscriptionId]
+  );
+  if (r.rowCount === 0) throw _error(404, 'Subscription not found.');
+  return { deleted: true, subscriptionId };
+}
+
+/**
+ * Pending deliveries are signed with the new secret when they go out.
+ */
+async function rotateSecret(workspaceId, subscriptionId, secret = _newSecret()) {
+  const r = await pool.query(
+    `UPDATE notification_subscriptions SET secret = $3, updated_at = NOW()
+     WHERE workspace_id = $1 AND id = $2`,
+    [workspaceId, subscriptionId, secret]
+  );
+  if (r.rowCount === 0) throw _error(404, 'Subscription not found.');
+  return { ...(await _getSubscription(workspaceId, subscriptionId)), secret };
+}
+
+/**
+ * Queues a test delivery; it goes out on the next notifier tick.
+ */
+async function sendTest(workspace, subscriptionId) {
+  const sub = await _getSubscription(workspace.id, subscriptionId);
+  const r = await pool.query(
+    `INSERT INTO notification_deliveries (subscription_id, workspace_id, kind, body)
+     VALUES ($1, $2, 'test', $3) RETURNING ${DELIVERY_COLUMNS}`,
+    [sub.id, workspace.id, JSON.stringify(formatTest(sub.format, workspace))]
+  );
+  return r.rows[0];
+}
+
+// ─── Delivery Log ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} [filters]  { subscriptionId, status, limit }
+ */
+async function listDeliveries(workspaceId, { subscriptionId, status, limit = LIST_DEFAULT_LIMIT } = {}) {
+  const params  = [workspaceId];
+  const filters = ['workspace_id = $1'];
+  if (subscriptionId) { params.push(subscriptionId); filters.push(`subscription_id = $${params.length}`); }
+  if (status)         { params.push(status);         filters.push(`status = $${params.length}`); }
+  params.push(limit);
+
+  const r = await pool.query(
+    `SELECT ${DELIVERY_COLUMNS} FROM notification_deliveries
+     WHERE ${filters.join(' AND ')}
+     ORDER BY id DESC LIMIT $${params.length}`,
+    params
+  );
+  return { deliveries: r.rows };
+}
+
+async function getDelivery(workspaceId, deliveryId) {
+  const r = await pool.query(
+    `SELECT ${DELIVERY_COLUMNS}, body FROM notification_deliveries WHERE workspace_id = $1 AND id = $2`,
+    [workspaceId, deliveryId]
+  );
+  if (r.rowCount === 0) throw _error(404, 'Delivery not found.');
+  return r.rows[0];
+}
+
+/**
+ * Puts a dead delivery back in line with a fresh attempt budget.
+ */
+async function retryDelivery(workspaceId, deliveryId) {
+  const r = await pool.query(
+    `UPDATE notification_deliveries
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+     WHERE workspace_id = $1 AND id = $2 AND status = 'dead'`,
+    [workspaceId, deliveryId]
+  );
+  if (r.rowCount === 0) {
+    await getDelivery(workspaceId, deliveryId); // 404 if missing
+    throw _error(409, 'Only dead deliveries can be retried.', 'DELIVERY_NOT_DEAD');
+  }
+  return getDelivery(workspaceId, deliveryId);
+}
+
+// ─── Dispatch ──────────────────────────────────────────────────────────────────
+
+/**
+ * Turns events past one subscription's cursor into delivery rows. Immediate
+ * mode takes one page per tick; a due digest drains the log up to now.
+ * @returns {Promise<number>} deliveries created
+ */
+async function _dispatchSubscription(subscriptionId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const r = await client.query(
+      `SELECT s.*, w.title AS workspace_title
+       FROM notification_subscriptions s JOIN workspaces w ON w.id = s.workspace_id
+       WHERE s.id = $1 AND s.enabled AND (s.mode = 'immediate' OR s.next_digest_at <= NOW())
+       FOR UPDATE OF s SKIP LOCKED`,
+      [subscriptionId]
+    );
+    const sub = r.rows[0];
+    if (!sub) { await client.query('ROLLBACK'); return 0; } // another instance has it, or no longer due
+
+    const workspace = { id: sub.workspace_id, title: sub.workspace_title };
+    const digest    = sub.mode !== 'immediate';
+    const matched   = [];
+    let total       = 0;
+    let cursor      = parseInt(sub.cursor_seq, 10);
+
+    for (;;) {
+      const page = await listEvents(sub.workspace_id, { after: cursor, limit: EVENT_PAGE });
+      for (const event of page.events) {
+        if (!matchesSubscription(sub, event)) continue;
+        total++;
+        matched.push(event);
+        if (matched.length > DIGEST_MAX_EVENTS) matched.shift();
+      }
+      if (page.events.length) cursor = page.events[page.events.length - 1].seq;
+      if (!digest || page.nextAfter === null) break;
+    }
+
+    let created = 0;
+    if (!digest && matched.length) {
+      const c = await client.query(
+        `INSERT INTO notification_deliveries (subscription_id, workspace_id, kind, event_type, event_seqs, body)
+         SELECT $1, $2, 'event', x.type, ARRAY[x.seq], x.body
+         FROM UNNEST($3::text[], $4::bigint[], $5::jsonb[]) AS x(type, seq, body)`,
+        [sub.id, sub.workspace_id, matched.map(e => e.type), matched.map(e => e.seq),
+         matched.map(e => JSON.stringify(formatEvent(sub.format, workspace, e)))]
+      );
+      created = c.rowCount;
+    } else if (digest && total > 0) {
+      await client.query(
+        `INSERT INTO notification_deliveries (subscription_id, workspace_id, kind, event_seqs, body)
+         VALUES ($1, $2, 'digest', $3, $4)`,
+        [sub.id, sub.workspace_id, matched.map(e => e.seq),
+         JSON.stringify(formatDigest(sub.format, workspace, { mode: sub.mode, events: matched, total }))]
+      );
+      created = 1;
+    }
+
+    await client.query(
+      `UPDATE notification_subscriptions
+       SET cursor_seq = $2, next_digest_at = ${NEXT_DIGEST('mode')}
+       WHERE id = $1`,
+      [sub.id, cursor]
+    );
+    await client.query('COMMIT');
+    return created;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function dispatchEvents() {
+  const due = await pool.query(
+    `SELECT s.id FROM notification_subscriptions s
+     LEFT JOIN workspace_event_counters c ON c.workspace_id = s.workspace_id
+     WHERE s.enabled
+       AND ((s.mode = 'immediate' AND c.last_seq > s.cursor_seq)
+         OR (s.mode <> 'immediate' AND s.next_digest_at <= NOW()))`
+  );
+  let created = 0;
+  for (const { id } of due.rows) {
+    try {
+      created += await _dispatchSubscription(id);
+    } catch (err) {
+      console.error(`[Notifier] Dispatch failed subscription=${id}:`, err.message);
+    }
+  }
+  return created;
+}
+
+// ─── Sending ───────────────────────────────────────────────────────────────────
+
+/**
+ * POSTs without following redirects, dialling only public addresses.
+ * @returns {Promise<number>} the response status; the body is discarded
+ */
+function _send(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const req = (target.protocol === 'https:' ? https : http).request(target, {
+      method:  'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup:  guardedLookup,
+    }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    const timer = setTimeout(() => req.destroy(new Error(`timed out after ${SEND_TIMEOUT_MS}ms`)), SEND_TIMEOUT_MS);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * @returns {{ ok: boolean, final: boolean, status: number|null, error: string|null }}
+ */
+async function _post(delivery) {
+  const body      = JSON.stringify(delivery.body);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  try {
+    // IP literals skip guardedLookup
+    await assertPublicHost(new URL(delivery.url).hostname);
+    const status = await _send(delivery.url, body, {
+      'Content-Type':             'application/json',
+      'X-Notification-Id':        String(delivery.id),
+      'X-Notification-Event':     delivery.event_type ?? delivery.kind,
+      'X-Notification-Timestamp': timestamp,
+      'X-Notification-Signature': 'sha256=' + hmacSha256Hex(delivery.secret, `${timestamp}.${body}`),
+    });
+    if (status >= 200 && status < 300) return { ok: true, final: true, status, error: null };
+    const redirect = status >= 300 && status < 400;
+    return {
+      ok:     false,
+      final:  redirect || (status >= 400 && status < 500 && status !== 408 && status !== 429),
+      status,
+      error:  redirect ? `HTTP ${status}: redirects are not followed` : `HTTP ${status}`,
+    };
+  } catch (err) {
+    return { ok: false, final: err.code === 'NON_PUBLIC_ADDRESS', status: null, error: err.message };
+  }
+}
+
+/**
+ * Claims due deliveries of enabled subscriptions and POSTs them. The claim
+ * pushes next_attempt_at out by a lease, so a crashed sender's rows come back.
+ * @returns {Promise<number>} deliveries attempted
+ */
+async function sendDue() {
+  const claimed = await pool.query(
+    `UPDATE notification_deliveries d
+     SET attempts = d.attempts + 1, next_attempt_at = NOW() + ($1 || ' milliseconds')::INTERVAL, updated_at = NOW()
+     FROM notification_subscriptions s
+     WHERE s.id = d.subscription_id
+       AND d.id IN (
+         SELECT n.id FROM notification_deliveries n
+         JOIN notification_subscriptions ns ON ns.id = n.subscription_id AND ns.enabled
+         WHERE n.status = 'pending' AND n.next_attempt_at <= NOW()
+         ORDER BY n.next_attempt_at, n.id
+         FOR UPDATE OF n SKIP LOCKED
+         LIMIT $2
+       )
+     RETURNING d.id, d.kind, d.event_type, d.body, d.attempts, d.max_attempts, s.url, s.secret`,
+    [LEASE_MS, SEND_BATCH]
+  );
+
+  for (const delivery of claimed.rows) {
+    const result = await _post(delivery);
+    if (result.ok) {
+      await pool.query(
+        `UPDATE notification_deliveries
+         SET status = 'delivered', response_status = $2, last_error = NULL, delivered_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [delivery.id, result.status]
+      );
+      continue;
+    }
+
+    const dead = result.final || delivery.attempts >= delivery.max_attempts;
+    await pool.query(
+      `UPDATE notification_deliveries
+       SET status = $2, response_status = $3, last_error = $4,
+           next_attempt_at = NOW() + ($5 || ' milliseconds')::INTERVAL, updated_at = NOW()
+       WHERE id = $1`,
+      [delivery.id, dead ? 'dead' : 'pending', result.status, result.error, dead ? 0 : backoffMs(delivery.attempts)]
+    );
+    const level = dead ? 'error' : 'warn';
+    console[level](`[Notifier] Delivery ${delivery.id} attempt=${delivery.attempts}/${delivery.max_attempts} failed → ${dead ? 'dead' : 'retry'}:`, result.error);
+  }
+  return claimed.rowCount;
+}
+
+// ─── Scheduler ─────────────────────────────────────────────────────────────────
+
+/**
+ * Drops delivered and dead log rows past the retention window.
+ * @returns {Promise<number>} rows purged
+ */
+async function purgeDeliveryLog() {
+  const r = await pool.query(
+    `DELETE FROM notification_deliveries
+     WHERE status <> 'pending' AND updated_at < NOW() - ($1 || ' days')::INTERVAL`,
+    [RETENTION_DAYS]
+  );
+  if (r.rowCount > 0) console.log(`[Notifier] Purged ${r.rowCount} deliveries older than ${RETENTION_DAYS}d`);
+  return r.rowCount;
+}
+
+async function runNotifier() {
+  if (_running) return;
+  _running = true;
+  try {
+    const created = await dispatchEvents();
+    const sent    = await sendDue();
+    if (created > 0 || sent > 0) console.log(`[Notifier] Dispatched ${created}, attempted ${sent}`);
+    if (Date.now() - _lastPurge > PURGE_EVERY_MS) {
+      _lastPurge = Date.now();
+      await purgeDeliveryLog();
+    }
+  } catch (err) {
+    console.error('[Notifier] Tick error:', err.message);
+  } finally {
+    _running = false;
+  }
+}
+
+function startNotifier() {
+  if (_timer) return;
+  _timer = setInterval(runNotifier, NOTIFY_EVERY_MS);
+  _timer.unref();
+  setImmediate(runNotifier);
+  console.log(`[Notifier] Started — every ${NOTIFY_EVERY_MS / 1000}s`);
+}
+
+function stopNotifier() {
+  clearInterval(_timer);
+  _timer = null;
+}
+
+module.exports = {
+  listSubscriptions, getSubscription, createSubscription, updateSubscription, deleteSubscription,
+  rotateSecret, sendTest, listDeliveries, getDelivery, retryDelivery,
+  dispatchEvents, sendDue, purgeDeliveryLog, runNotifier, startNotifier, stopNotifier,
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+// ─── Config ────────────────────────────────────────────────────────────────────
+const OLLAMA_URL          = process.env.OLLAMA_URL    || 'http://localhost:11434/api/generate';
+const OLLAMA_MODEL        = process.env.OLLAMA_MODEL  || 'deepseek-hackathon';
+const TIMEOUT_MS          = 15_000;
+const MAX_RETRIES         = 1;
+const RETRY_DELAY_MS      = 1_500;
+
+// ─── Logger ───────────────────────────────────────────────────────────────────
+const log = {
+  info  : (msg, meta = {}) => console.log (JSON.stringify({ level: 'INFO',  msg, ...meta, ts: new Date().toISOString() })),
+  warn  : (msg, meta = {}) => console.warn(JSON.stringify({ level: 'WARN',  msg, ...meta, ts: new Date().toISOString() })),
+  error : (msg, meta = {}) => console.error(JSON.stringify({ level: 'ERROR', msg, ...meta, ts: new Date().toISOString() })),
+};
+
+// ─── JSON Extraction ───────────────────────────────────────────────────────────
+
+/**
+ * Tolerant JSON extraction from model output: raw JSON, fenced JSON, or the
+ * first {...} block. `validateShape` normalises the object or throws.
+ * @returns {object|null}
+ */
+function parseJsonResponse(raw, validateShape) {
+  if (!raw || typeof raw !== 'string') return null;
+  try { return validateShape(JSON.parse(raw)); } catch (_) {}
+  try { return validateShape(JSON.parse(raw.replace(/^```(?:json)?\s*/im,'').replace(/\s*```$/m,'').trim())); } catch (_) {}
+  const m = raw.match(/\{[\s\S]*?\}/);
+  if (m) { try { return validateShape(JSON.parse(m[0])); } catch (_) {} }
+  return null;
+}
+
+// ─── Ollama Caller ─────────────────────────────────────────────────────────────
+async function callOllamaOnce(prompt, { timeoutMs = TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timer      = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(OLLAMA_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal: controller.signal,
+      body: JSON.stringify({ model: OLLAMA_MODEL, prompt, stream: false }),
+    });
+    if (!res.ok) throw new Error(`Ollama HTTP ${res.status}: ${res.statusText}`);
+    const data = await res.json();
+    return data?.response ?? '';
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function callOllamaWithRetry(prompt, options) {
+  let lastError;
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    if (attempt > 0) {
+      log.warn('Retrying Ollama call', { attempt });
+      await new Promise(r => setTimeout(r, RETRY_DELAY_MS));
+    }
+    try { return await callOllamaOnce(prompt, options); }
+    catch (err) {
+      lastError = err;
+      const isTransient = err.name === 'AbortError' || err.message.startsWith('fetch');
+      log.warn('Ollama call failed', { attempt, error: err.message, isTransient });
+      if (!isTransient) break;
+    }
+  }
+  throw lastError;
+}
+
+module.exports = { OLLAMA_MODEL, log, callOllamaWithRetry, parseJsonResponse };
@@ -0,0 +1,59 @@
+'use strict';
+
+const pool           = require('../db/pool');
+const { enqueueJob } = require('../jobs/queue');
+const { parseRules, applyRules, describeRule, loadRules } = require('../engines/pathRules');
+
+async function getRules(workspaceId) {
+  const { source, rules, updatedAt } = await loadRules(workspaceId);
+  return { source, rules, updatedAt };
+}
+
+/**
+ * Re-evaluates every current overlap under the new rules, through the queue so
+ * it serialises with push-triggered runs.
+ */
+function _rescan(workspaceId) {
+  return enqueueJob(pool, { workspaceId, type: 'engine.conflict', payload: { rescan: true } });
+}
+
+/**
+ * Replaces the workspace's rules with a new upload.
+ */
+async function replaceRules(workspaceId, source) {
+  const { rules, errors } = parseRules(source);
+  if (errors.length) {
+    const err = new Error(errors.join('; ')); err.status = 400; err.code = 'INVALID_RULES'; throw err;
+  }
+
+  await pool.query(
+    `INSERT INTO path_rules (workspace_id, source, rules, updated_at) VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (workspace_id) DO UPDATE SET source = EXCLUDED.source, rules = EXCLUDED.rules, updated_at = NOW()`,
+    [workspaceId, source, JSON.stringify(rules)]
+  );
+  const jobId = await _rescan(workspaceId);
+  return { ...(await getRules(workspaceId)), rescanJobId: jobId };
+}
+
+async function deleteRules(workspaceId) {
+  await pool.query('DELETE FROM path_rules WHERE workspace_id = $1', [workspaceId]);
+  const jobId = await _rescan(workspaceId);
+  return { ...(await getRules(workspaceId)), rescanJobId: jobId };
+}
+
+/**
+ * Dry run — which rule each path hits and what a conflict of the given
+ * severity would become.
+ */
+async function checkPaths(workspaceId, paths, severity = 'MEDIUM') {
+  const { rules } = await loadRules(workspaceId);
+  return {
+    severity,
+    results: paths.map(filePath => {
+      const { severity: adjusted, rule } = applyRules(severity, filePath, rules);
+      return { path: filePath, ignored: rule?.ignore ?? false, severity: adjusted, rule: rule ? describeRule(rule) : null };
+    }),
+  };
+}
+
+module.exports = { getRules, replaceRules, deleteRules, checkPaths };
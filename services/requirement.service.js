@@ -0,0 +1,81 @@
+'use strict';
+
+const pool = require('../db/pool');
+const { linkRequirements, loadRequirements, buildCoverage, loadFeatureFacts } = require('../engines/traceability');
+
+const LINK_COLUMNS = 'id, requirement_id, kind, target, source, created_at';
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+function _notFound(message) {
+  const err = new Error(message); err.status = 404; return err;
+}
+
+async function _requirements(workspaceId) {
+  const requirements = await loadRequirements(workspaceId);
+  if (!requirements) throw _notFound('Workspace not found.');
+  return requirements;
+}
+
+async function _links(workspaceId) {
+  const r = await pool.query(
+    `SELECT ${LINK_COLUMNS} FROM requirement_links WHERE workspace_id = $1 ORDER BY id`,
+    [workspaceId]
+  );
+  return r.rows;
+}
+
+// ─── Requirements ──────────────────────────────────────────────────────────────
+
+/**
+ * The SRS items with their links.
+ */
+async function listRequirements(workspaceId) {
+  const [requirements, links] = await Promise.all([_requirements(workspaceId), _links(workspaceId)]);
+  return {
+    requirements: requirements.map(req => ({ ...req, links: links.filter(l => l.requirement_id === req.id) })),
+  };
+}
+
+async function getCoverage(workspaceId) {
+  const [requirements, links, features] = await Promise.all([
+    _requirements(workspaceId), _links(workspaceId), loadFeatureFacts(workspaceId),
+  ]);
+  return buildCoverage(requirements, links, features);
+}
+
+// ─── Links ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Links one requirement to one target. Features must belong to the workspace;
+ * commits, PRs and branches are taken as given, like webhook references.
+ * @param {{ kind: 'feature'|'commit'|'pr'|'branch', target: string }} link
+ */
+async function addLink(workspaceId, requirementId, { kind, target }) {
+  const requirements = await _requirements(workspaceId);
+  if (!requirements.some(r => r.id === requirementId)) throw _notFound(`Requirement ${requirementId} not found in the SRS.`);
+
+  if (kind === 'feature') {
+    const f = await pool.query('SELECT 1 FROM features WHERE workspace_id = $1 AND id = $2', [workspaceId, target]);
+    if (f.rowCount === 0) throw _notFound('Feature not found.');
+  }
+
+  await linkRequirements(pool, workspaceId, [requirementId], { kind, target, source: 'manual' });
+  const r = await pool.query(
+    `SELECT ${LINK_COLUMNS} FROM requirement_links
+     WHERE workspace_id = $1 AND requirement_id = $2 AND kind = $3 AND target = $4`,
+    [workspaceId, requirementId, kind, String(target)]
+  );
+  return r.rows[0];
+}
+
+async function deleteLink(workspaceId, requirementId, linkId) {
+  const r = await pool.query(
+    'DELETE FROM requirement_links WHERE workspace_id = $1 AND requirement_id = $2 AND id = $3',
+    [workspaceId, requirementId, linkId]
+  );
+  if (r.rowCount === 0) throw _notFound('Link not found.');
+  return { deleted: true, linkId };
+}
+
+module.exports = { listRequirements, getCoverage, addLink, deleteLink };
@@ -0,0 +1,306 @@
+'use strict';
+
+const pool      = require('../db/pool');
+const wsManager = require('../websocket/wsManager');
+const { proposeFeatures, normalizeProposal } = require('../engines/srsEngine');
+const { wouldCreateCycle }   = require('../engines/dependencyGraph');
+const { linkRequirements, loadRequirements, numberRequirements } = require('../engines/traceability');
+
+const VERSION_COLUMNS = 'version, created_by, created_at, char_length(srs) AS length';
+const DRAFT_COLUMNS = `id, workspace_id, status, source, model, requirements, proposal, problems, edited,
+                       result, created_at, updated_at, resolved_at`;
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+function _error(status, message, code) {
+  const err = new Error(message); err.status = status; if (code) err.code = code; return err;
+}
+
+async function _loadWorkspace(workspaceId) {
+  const r = await pool.query('SELECT id, title, description, srs FROM workspaces WHERE id = $1', [workspaceId]);
+  if (r.rowCount === 0) throw _error(404, 'Workspace not found.');
+  return r.rows[0];
+}
+
+async function _lockOpenDraft(client, workspaceId, draftId) {
+  const r = await client.query(
+    `SELECT ${DRAFT_COLUMNS} FROM srs_drafts WHERE workspace_id = $1 AND id = $2 FOR UPDATE`,
+    [workspaceId, draftId]
+  );
+  const draft = r.rows[0];
+  if (!draft) throw _error(404, 'Draft not found.');
+  if (draft.status !== 'draft') throw _error(409, `Draft is already ${draft.status}.`, 'DRAFT_CLOSED');
+  return draft;
+}
+
+// ─── Requirements ──────────────────────────────────────────────────────────────
+
+async function getRequirements(workspaceId) {
+  await _loadWorkspace(workspaceId);
+  return { requirements: await loadRequirements(workspaceId) };
+}
+
+// ─── Drafts ────────────────────────────────────────────────────────────────────
+
+/**
+ * Proposes features from the SRS and stores them as the workspace's open
+ * draft; a previous open draft is discarded.
+ */
+async function createDraft(workspaceId) {
+  const workspace    = await _loadWorkspace(workspaceId);
+  const requirements = await loadRequirements(workspaceId);
+  if (requirements.length === 0) throw _error(400, 'The SRS has no requirements to propose from.', 'EMPTY_SRS');
+
+  const { proposal, meta } = await proposeFeatures({ workspaceId, workspace, requirements });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE srs_drafts SET status = 'discarded', resolved_at = NOW(), updated_at = NOW()
+       WHERE workspace_id = $1 AND status = 'draft'`,
+      [workspaceId]
+    );
+    const r = await client.query(
+      `INSERT INTO srs_drafts (workspace_id, source, model, requirements, proposal, problems)
+       VALUES ($1,$2,$3,$4,$5,$6) RETURNING ${DRAFT_COLUMNS}`,
+      [workspaceId, meta.source, meta.model, JSON.stringify(requirements), JSON.stringify(proposal),
+       JSON.stringify(meta.problems)]
+    );
+    await client.query('COMMIT');
+    return { ...r.rows[0], meta: { used_fallback: meta.used_fallback, duration_ms: meta.duration_ms } };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function listDrafts(workspaceId, { status } = {}) {
+  const r = await pool.query(
+    `SELECT id, status, source, model, edited, jsonb_array_length(proposal->'features') AS feature_count,
+            created_at, updated_at, resolved_at
+     FROM srs_drafts
+     WHERE workspace_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC`,
+    [workspaceId, status ?? null]
+  );
+  return { drafts: r.rows };
+}
+
+async function getDraft(workspaceId, draftId) {
+  const r = await pool.query(
+    `SELECT ${DRAFT_COLUMNS} FROM srs_drafts WHERE workspace_id = $1 AND id = $2`,
+    [workspaceId, draftId]
+  );
+  if (r.rowCount === 0) throw _error(404, 'Draft not found.');
+  return r.rows[0];
+}
+
+/**
+ * Replaces the proposal with the lead's edited version. Unlike a model answer
+ * an edit is not silently repaired — any problem is a 400.
+ */
+async function updateDraft(workspaceId, draftId, edited) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const draft = await _lockOpenDraft(client, workspaceId, draftId);
+
+    const { proposal, problems } = normalizeProposal(edited, draft.requirements.map(r => r.id));
+    if (problems.length) throw _error(400, problems.join('; '), 'INVALID_DRAFT');
+
+    const r = await client.query(
+      `UPDATE srs_drafts SET proposal = $2, problems = '[]', edited = true, updated_at = NOW()
+       WHERE id = $1 RETURNING ${DRAFT_COLUMNS}`,
+      [draftId, JSON.stringify(proposal)]
+    );
+    await client.query('COMMIT');
+    return r.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Creates the proposed features, their dependencies and their requirement
+ * links in one transaction. A proposed feature whose name matches an existing
+ * feature reuses it, so accepting twice or re-ingesting a revised SRS doesn't
+ * duplicate work. Dependencies that would close a cycle with the existing
+ * graph abort the accept with 409 DEPENDENCY_CYCLE.
+ */
+async function acceptDraft(workspaceId, draftId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM workspaces WHERE id = $1 FOR UPDATE', [workspaceId]);
+    const draft = await _lockOpenDraft(client, workspaceId, draftId);
+
+    const existing = await client.query('SELECT id, name FROM features WHERE workspace_id = $1', [workspaceId]);
+    const byName   = new Map(existing.rows.map(f => [f.name.toLowerCase(), f.id]));
+    const created  = [];
+    const reused   = [];
+    const idFor    = new Map(); // proposed name → feature id
+
+    for (const f of draft.proposal.features) {
+      const found = byName.get(f.name.toLowerCase());
+      if (found) { idFor.set(f.name, found); reused.push(found); continue; }
+
+      const description = [f.description, f.requirements.length ? `Requirements: ${f.requirements.join(', ')}` : '']
+        .filter(Boolean).join('\n\n');
+      const r = await client.query(
+        `INSERT INTO features (workspace_id, name, description, priority)
+         VALUES ($1,$2,$3,$4) RETURNING id`,
+        [workspaceId, f.name, description || null, f.priority]
+      );
+      idFor.set(f.name, r.rows[0].id);
+      byName.set(f.name.toLowerCase(), r.rows[0].id);
+      created.push(r.rows[0].id);
+    }
+
+    for (const f of draft.proposal.features) {
+      await linkRequirements(client, workspaceId, f.requirements, {
+        kind: 'feature', target: idFor.get(f.name), source: 'srs_draft',
+      });
+    }
+
+    const edgesResult = await client.query(
+      `SELECT fd.feature_id, fd.depends_on_feature_id
+       FROM feature_dependencies fd JOIN features f ON f.id = fd.feature_id
+       WHERE f.workspace_id = $1`,
+      [workspaceId]
+    );
+    const edges = edgesResult.rows;
+    let added = 0;
+    for (const f of draft.proposal.features) {
+      for (const dep of f.dependsOn) {
+        const [from, to] = [idFor.get(f.name), idFor.get(dep)];
+        if (edges.some(e => e.feature_id === from && e.depends_on_feature_id === to)) continue;
+        if (wouldCreateCycle(edges, from, to)) {
+          throw _error(409, `"${f.name}" depending on "${dep}" would create a cycle with existing dependencies.`,
+                       'DEPENDENCY_CYCLE');
+        }
+        await client.query(
+          'INSERT INTO feature_dependencies (feature_id, depends_on_feature_id) VALUES ($1, $2)',
+          [from, to]
+        );
+        edges.push({ feature_id: from, depends_on_feature_id: to });
+        added++;
+      }
+    }
+
+    const result = { createdFeatureIds: created, reusedFeatureIds: reused, dependenciesAdded: added };
+    const r = await client.query(
+      `UPDATE srs_drafts SET status = 'accepted', result = $2, resolved_at = NOW(), updated_at = NOW()
+       WHERE id = $1 RETURNING ${DRAFT_COLUMNS}`,
+      [draftId, JSON.stringify(result)]
+    );
+    await client.query('COMMIT');
+    return r.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function discardDraft(workspaceId, draftId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await _lockOpenDraft(client, workspaceId, draftId);
+    const r = await client.query(
+      `UPDATE srs_drafts SET status = 'discarded', resolved_at = NOW(), updated_at = NOW()
+       WHERE id = $1 RETURNING ${DRAFT_COLUMNS}`,
+      [draftId]
+    );
+    await client.query('COMMIT');
+    return r.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ─── Versions ──────────────────────────────────────────────────────────────────
+
+/**
+ * Replaces the workspace SRS and records it as the next version; earlier
+ * versions are kept. Requirements are numbered against the previous version so
+ * existing requirement links keep their targets. An unchanged document records
+ * nothing. Open drafts keep the requirements they were proposed from.
+ */
+async function updateSrs(workspaceId, { srs, actor }) {
+  const client = await pool.connect();
+  let version;
+  let requirements;
+  try {
+    await client.query('BEGIN');
+    const ws = await client.query('SELECT srs FROM workspaces WHERE id = $1 FOR UPDATE', [workspaceId]);
+    if (ws.rowCount === 0) throw _error(404, 'Workspace not found.');
+    if (ws.rows[0].srs === srs) {
+      await client.query('ROLLBACK');
+      return { ...(await _latestVersion(pool, workspaceId)), changed: false };
+    }
+
+    requirements = await numberRequirements(client, workspaceId, srs);
+    await client.query('UPDATE workspaces SET srs = $2 WHERE id = $1', [workspaceId, srs]);
+    const r = await client.query(
+      `INSERT INTO srs_versions (workspace_id, version, srs, created_by, requirements)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4 FROM srs_versions WHERE workspace_id = $1
+       RETURNING ${VERSION_COLUMNS}`,
+      [workspaceId, srs, actor, JSON.stringify(requirements)]
+    );
+    version = r.rows[0];
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  wsManager.broadcastToWorkspace(workspaceId, { type: 'SRS_UPDATED', version: version.version, actor });
+  return { ...version, changed: true, requirements: requirements.length };
+}
+
+async function _latestVersion(db, workspaceId) {
+  const r = await db.query(
+    `SELECT ${VERSION_COLUMNS} FROM srs_versions WHERE workspace_id = $1 ORDER BY version DESC LIMIT 1`,
+    [workspaceId]
+  );
+  return r.rows[0] ?? null;
+}
+
+/**
+ * Version metadata, newest first; fetch a version for its text.
+ */
+async function listSrsVersions(workspaceId) {
+  await _loadWorkspace(workspaceId);
+  const r = await pool.query(
+    `SELECT ${VERSION_COLUMNS} FROM srs_versions WHERE workspace_id = $1 ORDER BY version DESC`,
+    [workspaceId]
+  );
+  return { current: r.rows[0]?.version ?? null, versions: r.rows };
+}
+
+async function getSrsVersion(workspaceId, version) {
+  const r = await pool.query(
+    `SELECT ${VERSION_COLUMNS}, srs, requirements FROM srs_versions WHERE workspace_id = $1 AND version = $2`,
+    [workspaceId, version]
+  );
+  if (r.rowCount === 0) throw _error(404, 'SRS version not found.');
+  return r.rows[0];
+}
+
+module.exports = {
+  getRequirements, createDraft, listDrafts, getDraft, updateDraft, acceptDraft, discardDraft,
+  updateSrs, listSrsVersions, getSrsVersion,
+};
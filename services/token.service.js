@@ -0,0 +1,206 @@
+'use strict';
+
+const crypto    = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const pool      = require('../db/pool');
+const wsManager = require('../websocket/wsManager');
+
+/**
+ * Scoped API tokens. A token is `pat_` + 43 base64url characters; only its
+ * sha256 is stored, so it is shown once, at issue or rotation.
+ *
+ * Scopes:
+ *   dashboard:read  reads under /workspace/:id and the event stream
+ *   features:write  features, tasks, SRS drafts, requirement links, blockers
+ *   admin           everything, including tokens, notifications, webhook
+ *                   deliveries and workspace config
+ *   ingest          POST /ai/alignment
+ */
+
+const SCOPES       = ['dashboard:read', 'features:write', 'admin', 'ingest'];
+const TOKEN_PREFIX = 'pat_';
+const TOUCH_EVERY  = '1 minute';   // last_used_at granularity, so reads don't each cost a write
+
+// What each scope grants besides itself
+const IMPLIES = {
+  'admin':          SCOPES,
+  'features:write': ['dashboard:read'],
+};
+
+const TOKEN_COLUMNS = `t.id, t.workspace_id, t.name, t.token_prefix, t.scopes, u.github_username AS member_username,
+                       t.expires_at, t.last_used_at, t.revoked_at, t.rotated_to, t.created_at`;
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+function _error(status, message, code) {
+  const err = new Error(message); err.status = status; if (code) err.code = code; return err;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Pure — whether granted scopes cover `needed`.
+ */
+function hasScope(granted, needed) {
+  return granted.some(s => s === needed || (IMPLIES[s] ?? []).includes(needed));
+}
+
+async function _getToken(db, workspaceId, tokenId) {
+  const r = await db.query(
+    `SELECT ${TOKEN_COLUMNS} FROM api_tokens t LEFT JOIN users u ON u.id = t.user_id
+     WHERE t.workspace_id = $1 AND t.id = $2`,
+    [workspaceId, tokenId]
+  );
+  if (r.rowCount === 0) throw _error(404, 'Token not found.');
+  return r.rows[0];
+}
+
+/**
+ * @param {import('pg').PoolClient|import('pg').Pool} db
+ * @returns {Promise<{ id: string, token: string }>}
+ */
+async function issueToken(db, workspaceId, { name, scopes, userId = null, expiresAt = null }) {
+  const id    = uuidv4();
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  await db.query(
+    `INSERT INTO api_tokens (id, workspace_id, user_id, name, token_prefix, token_hash, scopes, expires_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+    [id, workspaceId, userId, name, token.slice(0, 12), hashToken(token), [...new Set(scopes)], expiresAt]
+  );
+  return { id, token };
+}
+
+// ─── Authentication ────────────────────────────────────────────────────────────
+
+/**
+ * Resolves a presented token to its row, or null when unknown, revoked or
+ * expired.
+ */
+async function authenticateToken(token) {
+  if (!token.startsWith(TOKEN_PREFIX)) return null;
+  const r = await pool.query(
+    `SELECT t.id, t.workspace_id, t.user_id, t.scopes, t.expires_at, t.revoked_at, t.last_used_at,
+            u.github_username AS member_username, u.disabled_at AS member_disabled_at
+     FROM api_tokens t LEFT JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = $1`,
+    [hashToken(token)]
+  );
+  const row = r.rows[0];
+  if (!row || row.revoked_at || (row.expires_at && row.expires_at <= new Date())) return null;
+  if (row.member_disabled_at) return null;
+
+  pool.query(
+    `UPDATE api_tokens SET last_used_at = NOW()
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '${TOUCH_EVERY}')`,
+    [row.id]
+  ).catch(err => console.error('[Tokens] last_used_at update failed:', err.message));
+
+  return row;
+}
+
+// ─── Management ────────────────────────────────────────────────────────────────
+
+async function listTokens(workspaceId, { includeRevoked = false } = {}) {
+  const r = await pool.query(
+    `SELECT ${TOKEN_COLUMNS} FROM api_tokens t LEFT JOIN users u ON u.id = t.user_id
+     WHERE t.workspace_id = $1 AND ($2 OR t.revoked_at IS NULL)
+     ORDER BY t.created_at`,
+    [workspaceId, includeRevoked]
+  );
+  return { tokens: r.rows };
+}
+
+/**
+ * @param {{ name: string, scopes: string[], memberUsername?: string, expiresInDays?: number }} input
+ *        memberUsername binds the token to a member (it dies with them)
+ */
+async function createToken(workspaceId, { name, scopes, memberUsername, expiresInDays }) {
+  let userId = null;
+  if (memberUsername !== undefined) {
+    const u = await pool.query(
+      'SELECT id FROM users WHERE workspace_id = $1 AND github_username = $2 LIMIT 1',
+      [workspaceId, memberUsername.trim().toLowerCase()]
+    );
+    if (u.rowCount === 0) throw _error(404, `Member "${memberUsername}" not found in workspace.`);
+    userId = u.rows[0].id;
+  }
+  const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 86_400_000) : null;
+  const { id, token } = await issueToken(pool, workspaceId, { name: name.trim(), scopes, userId, expiresAt });
+  return { ...(await _getToken(pool, workspaceId, id)), token };
+}
+
+/**
+ * Issues a replacement with the same name, scopes, member and lifetime, and
+ * revokes the old token at once.
+ */
+async function rotateToken(workspaceId, tokenId) {
+  const client = await pool.connect();
+  let issued;
+  try {
+    await client.query('BEGIN');
+    const r = await client.query(
+      `SELECT id, user_id, name, scopes, expires_at, created_at, revoked_at FROM api_tokens
+       WHERE workspace_id = $1 AND id = $2 FOR UPDATE`,
+      [workspaceId, tokenId]
+    );
+    const old = r.rows[0];
+    if (!old) throw _error(404, 'Token not found.');
+    if (old.revoked_at) throw _error(409, 'Token is revoked.', 'TOKEN_REVOKED');
+
+    const lifetime = old.expires_at ? old.expires_at - old.created_at : null;
+    issued = await issueToken(client, workspaceId, {
+      name: old.name, scopes: old.scopes, userId: old.user_id,
+      expiresAt: lifetime ? new Date(Date.now() + lifetime) : null,
+    });
+    await client.query(
+      'UPDATE api_tokens SET revoked_at = NOW(), rotated_to = $2 WHERE id = $1',
+      [tokenId, issued.id]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  wsManager.disconnectToken(tokenId);
+  return { ...(await _getToken(pool, workspaceId, issued.id)), token: issued.token };
+}
+
+async function revokeToken(workspaceId, tokenId) {
+  const r = await pool.query(
+    'UPDATE api_tokens SET revoked_at = NOW() WHERE workspace_id = $1 AND id = $2 AND revoked_at IS NULL',
+    [workspaceId, tokenId]
+  );
+  if (r.rowCount === 0) {
+    await _getToken(pool, workspaceId, tokenId); // 404 if missing
+    throw _error(409, 'Token is already revoked.', 'TOKEN_REVOKED');
+  }
+  wsManager.disconnectToken(tokenId);
+  return _getToken(pool, workspaceId, tokenId);
+}
+
+/**
+ * Replaces the legacy dashboard key and closes viewer sockets that used it.
+ */
+async function rotateDashboardKey(workspaceId) {
+  const key = uuidv4();
+  const r = await pool.query(
+    `UPDATE workspaces w SET dashboard_key = $2
+     FROM (SELECT dashboard_key FROM workspaces WHERE id = $1 FOR UPDATE) old
+     WHERE w.id = $1
+     RETURNING old.dashboard_key AS previous`,
+    [workspaceId, key]
+  );
+  if (r.rowCount === 0) throw _error(404, 'Workspace not found.');
+  wsManager.disconnectDashboardKey(r.rows[0].previous);
+  return { dashboardAccessKey: key };
+}
+
+module.exports = {
+  SCOPES, hashToken, hasScope, issueToken, authenticateToken,
+  listTokens, createToken, rotateToken, revokeToken, rotateDashboardKey,
+};
@@ -0,0 +1,472 @@
+'use strict';
+
+const pool           = require('../db/pool');
+const { enqueueJob } = require('../jobs/queue');
+const { loadBranchModel, isTrunk, isDefaultBranch } = require('../engines/branchModel');
+const { parseTaskRefs } = require('../engines/featureProgress');
+const { parseRequirementRefs, linkRequirements } = require('../engines/traceability');
+
+const ZERO_SHA   = '0000000000000000000000000000000000000000';
+const PR_ACTIONS = new Set(['opened', 'synchronize', 'reopened', 'closed']);
+
+/**
+ * Webhook processing pipeline, independent of HTTP so stored deliveries can be
+ * replayed through exactly the same code. Each processor returns
+ * { httpStatus, body } and records the outcome on the webhook_deliveries row.
+ */
+
+// ─── Delivery Log ──────────────────────────────────────────────────────────────
+
+/**
+ * Idempotency gate — claims the delivery ID inside the caller's transaction.
+ * A delivery that previously failed may be claimed again (GitHub redeliveries
+ * reuse the ID). Returns false for duplicates. Only originals keep the raw
+ * payload; a replay points at its original through replay_of.
+ */
+function _storedPayload(payload, replayOf) {
+  return replayOf ? null : JSON.stringify(payload);
+}
+
+async function _claimDelivery(client, { deliveryId, provider, eventType, repoId, branch, commitHash, payload, replayOf }) {
+  const r = await client.query(
+    `INSERT INTO webhook_deliveries (delivery_id, provider, event_type, repo_id, branch_name, commit_hash, payload, replay_of,
+                                     status)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'processing')
+     ON CONFLICT (delivery_id) DO UPDATE
+       SET status = 'processing', error = NULL, payload = EXCLUDED.payload, processed_at = NOW()
+       WHERE webhook_deliveries.status = 'failed'
+     RETURNING delivery_id`,
+    [deliveryId, provider, eventType, repoId, branch, commitHash, _storedPayload(payload, replayOf), replayOf ?? null]
+  );
+  return r.rowCount > 0;
+}
+
+async function _finishDelivery(client, deliveryId, { status, workspaceId = null, startTime }) {
+  await client.query(
+    'UPDATE webhook_deliveries SET status = $2, workspace_id = $3, duration_ms = $4 WHERE delivery_id = $1',
+    [deliveryId, status, workspaceId, Date.now() - startTime]
+  );
+}
+
+/**
+ * Runs after ROLLBACK, outside the failed transaction, so the payload is kept
+ * for replay once the cause is fixed.
+ */
+async function _recordFailure(delivery, err, startTime) {
+  try {
+    await pool.query(
+      `INSERT INTO webhook_deliveries (delivery_id, provider, event_type, repo_id, branch_name, commit_hash, payload,
+                                       replay_of, status, error, duration_ms)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'failed',$9,$10)
+       ON CONFLICT (delivery_id) DO UPDATE SET status = 'failed', error = EXCLUDED.error, duration_ms = EXCLUDED.duration_ms`,
+      [delivery.deliveryId, delivery.provider, delivery.eventType, delivery.repoId, delivery.branch, delivery.commitHash,
+       _storedPayload(delivery.payload, delivery.replayOf), delivery.replayOf ?? null,
+       String(err.message).slice(0, 2000), Date.now() - startTime]
+    );
+  } catch (logErr) {
+    console.error('[Webhook] Could not record failed delivery:', logErr.message);
+  }
+}
+
+// ─── Member Attribution ────────────────────────────────────────────────────────
+
+function toLogin(value) {
+  const login = String(value ?? '').trim().toLowerCase();
+  return login || null;
+}
+
+/**
+ * Folds a push's commits into per-login activity: latest commit timestamp seen
+ * as author or committer and, for authors, their most recent commit. The pusher
+ * is active as of when the push was received. Logins that aren't workspace
+ * members simply don't match.
+ */
+async function recordMemberActivity(client, workspaceId, commits, pusherLogin, receivedAt) {
+  const byLogin = new Map(); // login → { activeAt, commit }
+  const entry   = (login) => {
+    if (!byLogin.has(login)) byLogin.set(login, { activeAt: null, commit: null });
+    return byLogin.get(login);
+  };
+
+  for (const commit of commits) {
+    const at = new Date(commit.timestamp ?? receivedAt);
+    if (isNaN(at)) continue;
+
+    for (const login of [toLogin(commit.author?.username), toLogin(commit.committer?.username)]) {
+      if (!login) continue;
+      const e = entry(login);
+      if (!e.activeAt || at > e.activeAt) e.activeAt = at;
+    }
+
+    const author = toLogin(commit.author?.username);
+    if (author) {
+      const e = entry(author);
+      if (!e.commit || at >= e.commit.at) {
+        e.commit = { hash: commit.id, message: String(commit.message ?? '').split('\n')[0].slice(0, 500), at };
+      }
+    }
+  }
+  if (pusherLogin) entry(pusherLogin).activeAt = receivedAt;
+
+  if (byLogin.size === 0) return;
+
+  const rows = [...byLogin.entries()];
+  await client.query(
+    `UPDATE users u SET
+       last_active         = GREATEST(u.last_active, LEAST(v.active_at, NOW())),
+       last_commit_hash    = CASE WHEN v.newer THEN v.hash               ELSE u.last_commit_hash    END,
+       last_commit_message = CASE WHEN v.newer THEN v.message            ELSE u.last_commit_message END,
+       last_commit_at      = CASE WHEN v.newer THEN LEAST(v.at, NOW())   ELSE u.last_commit_at      END
+     FROM (
+       SELECT x.*, (x.hash IS NOT NULL AND (uu.last_commit_at IS NULL OR x.at >= uu.last_commit_at)) AS newer
+       FROM UNNEST($2::text[], $3::timestamptz[], $4::text[], $5::text[], $6::timestamptz[])
+              AS x(login, active_at, hash, message, at)
+       JOIN users uu ON uu.workspace_id = $1 AND uu.github_username = x.login
+     ) v
+     WHERE u.workspace_id = $1 AND u.github_username = v.login`,
+    [
+      workspaceId,
+      rows.map(([login]) => login),
+      rows.map(([, e]) => e.activeAt?.toISOString() ?? null),
+      rows.map(([, e]) => e.commit?.hash ?? null),
+      rows.map(([, e]) => e.commit?.message || null),
+      rows.map(([, e]) => e.commit?.at.toISOString() ?? null),
+    ]
+  );
+}
+
+// ─── Branch Model ──────────────────────────────────────────────────────────────
+
+/**
+ * Adopts the repository's default branch as trunk the first time a webhook
+ * reports one; an explicitly configured trunk is never overwritten.
+ */
+async function _learnDefaultBranch(client, workspaceId, repository) {
+  const defaultBranch = repository?.default_branch;
+  if (!defaultBranch) return;
+  await client.query(
+    'UPDATE workspaces SET default_branch = $2 WHERE id = $1 AND default_branch IS NULL',
+    [workspaceId, defaultBranch]
+  );
+}
+
+/**
+ * For pushes to a trunk-like branch: file_activity rows of other branches whose
+ * last commit arrived in this push are merged work — deleted, and reported so
+ * the owning features can be completed when the target is the default branch.
+ * @returns {Promise<{ files: string[], branches: string[], intoDefault: boolean }>}
+ */
+async function _absorbMergedWork(client, workspaceId, branch, commits) {
+  const none  = { files: [], branches: [], intoDefault: false };
+  const ids   = commits.map(c => c.id).filter(Boolean);
+  if (ids.length === 0) return none;
+
+  const model = await loadBranchModel(workspaceId, client);
+  if (!isTrunk(branch, model)) return none;
+
+  const r = await client.query(
+    `DELETE FROM file_activity
+     WHERE workspace_id = $1 AND branch_name <> $2 AND last_commit_hash = ANY($3::text[])
+     RETURNING branch_name, file_path`,
+    [workspaceId, branch, ids]
+  );
+  return {
+    files:       [...new Set(r.rows.map(row => row.file_path))],
+    branches:    [...new Set(r.rows.map(row => row.branch_name))],
+    intoDefault: isDefaultBranch(branch, model),
+  };
+}
+
+// ─── Push ──────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object}  payload   internal push payload (GitHub-shaped, see providers/scm)
+ * @param {object}  [opts]
+ * @param {string}  [opts.replayOf]    original delivery ID when replaying
+ * @param {Date}    [opts.receivedAt]  when the original delivery arrived (replays)
+ */
+async function processPush(deliveryId, payload, { replayOf = null, receivedAt = new Date() } = {}) {
+  const startTime = Date.now();
+
+  // 4. Payload validation
+  const { ref, after, before, commits, repository, head_commit } = payload;
+  if (!ref || !after || !repository?.id || !repository?.full_name) {
+    return { httpStatus: 400, body: { error: 'Invalid payload structure' } };
+  }
+
+  const branch     = ref.replace('refs/heads/', '');
+  const commitHash = after;
+  const repoId     = repository.id;
+  const provider   = payload.provider ?? 'github';
+  const delivery   = { deliveryId, provider, eventType: 'push', repoId, branch, commitHash, payload, replayOf };
+
+  // 5. Classify push type
+  const isDeletedBranch = after  === ZERO_SHA;
+  const isNewBranch     = before === ZERO_SHA;
+  const isEmpty         = !commits || commits.length === 0;
+  const isForcePush     = !isNewBranch && !isDeletedBranch && isEmpty;
+
+  const client = await pool.connect();
+  let workspaceId;
+  let modifiedFiles = [];
+  const jobIds      = [];
+
+  try {
+    await client.query('BEGIN');
+
+    // 5a. Idempotency gate — claim delivery ID; skip if already processed
+    if (!(await _claimDelivery(client, delivery))) {
+      await client.query('COMMIT');
+      return { httpStatus: 200, body: { status: 'duplicate', deliveryId } };
+    }
+
+    // 5b. Resolve workspace by host and repo ID (rename-proof)
+    const wsResult = await client.query(
+      'SELECT id FROM workspaces WHERE provider = $1 AND github_repo_id = $2 LIMIT 1',
+      [provider, repoId]
+    );
+    if (wsResult.rowCount === 0) {
+      await _finishDelivery(client, deliveryId, { status: 'workspace_not_found', startTime });
+      await client.query('COMMIT');
+      return { httpStatus: 200, body: { status: 'workspace_not_found', repoId } };
+    }
+    workspaceId = wsResult.rows[0].id;
+    await _learnDefaultBranch(client, workspaceId, repository);
+
+    // 5c. Deleted branch — wipe file_activity, no engine run needed
+    if (isDeletedBranch) {
+      await client.query(
+        'DELETE FROM file_activity WHERE workspace_id = $1 AND branch_name = $2',
+        [workspaceId, branch]
+      );
+      await _finishDelivery(client, deliveryId, { status: 'branch_deleted', workspaceId, startTime });
+      await client.query('COMMIT');
+      return { httpStatus: 200, body: { status: 'branch_deleted', branch } };
+    }
+
+    // 5d. Extract modified files, attributing each to the last commit that touched it
+    const pusherLogin = toLogin(payload.pusher?.name ?? payload.sender?.login);
+    const fileMap     = new Map(); // file_path → { hash, author, committer }
+    const sourceCommits = !isEmpty ? commits : (isForcePush && head_commit ? [head_commit] : []);
+    for (const commit of sourceCommits) {
+      const touch = {
+        hash:      commit.id ?? commitHash,
+        author:    toLogin(commit.author?.username),
+        committer: toLogin(commit.committer?.username),
+      };
+      for (const f of [...(commit.added ?? []), ...(commit.modified ?? []), ...(commit.removed ?? [])]) {
+        fileMap.set(f, touch);
+      }
+    }
+    modifiedFiles = [...fileMap.keys()];
+
+    // 5d'. Tasks ticked from commit messages (`closes-task: 42`)
+    const taskRefs = sourceCommits.flatMap(commit =>
+      parseTaskRefs(commit.message).map(taskId => ({ taskId, commit: commit.id ?? commitHash }))
+    );
+
+    // 5d''. Requirement references (REQ-12) in commit messages and the branch name
+    for (const commit of sourceCommits) {
+      await linkRequirements(client, workspaceId, parseRequirementRefs(commit.message), {
+        kind: 'commit', target: commit.id ?? commitHash, source: 'commit_message',
+      });
+    }
+    await linkRequirements(client, workspaceId, parseRequirementRefs(branch), {
+      kind: 'branch', target: branch, source: 'branch_name',
+    });
+
+    // 5e. Batch upsert file_activity — a replay never overwrites newer activity
+    if (modifiedFiles.length > 0) {
+      const values = [];
+      const params = [];
+      let p = 1;
+      for (const [filePath, touch] of fileMap) {
+        values.push(`(gen_random_uuid(), $${p++}, $${p++}, $${p++}, $${p++}, $${p++}, $${p++}, $${p++}, LEAST($${p++}::timestamptz, NOW()))`);
+        params.push(workspaceId, branch, filePath, touch.hash, touch.author, touch.committer, pusherLogin, receivedAt);
+      }
+      await client.query(
+        `INSERT INTO file_activity (id, workspace_id, branch_name, file_path, last_commit_hash,
+                                    author_login, committer_login, pusher_login, updated_at)
+         VALUES ${values.join(', ')}
+         ON CONFLICT (workspace_id, branch_name, file_path)
+         DO UPDATE SET last_commit_hash = EXCLUDED.last_commit_hash,
+                       author_login     = EXCLUDED.author_login,
+                       committer_login  = EXCLUDED.committer_login,
+                       pusher_login     = EXCLUDED.pusher_login,
+                       updated_at       = EXCLUDED.updated_at
+         WHERE file_activity.updated_at <= EXCLUDED.updated_at`,
+        params
+      );
+    }
+
+    // 5e'. Member activity — last_active and last commit from real commits
+    await recordMemberActivity(client, workspaceId, sourceCommits, pusherLogin, receivedAt);
+
+    // 5e''. Trunk push carrying a feature branch's latest commit on a file: that
+    //       work has merged, so it stops counting as feature-branch activity
+    const merged = await _absorbMergedWork(client, workspaceId, branch, sourceCommits);
+
+    // 5e'''. Enqueue downstream engines in the same transaction — durable and
+    //        retried by the job workers, serialised per workspace
+    const jobPayload = { modifiedFiles: [...new Set([...modifiedFiles, ...merged.files])], branch, commitHash };
+    if (jobPayload.modifiedFiles.length > 0) {
+      jobIds.push(await enqueueJob(client, { workspaceId, type: 'engine.conflict', payload: jobPayload, deliveryId }));
+    }
+    if (jobPayload.modifiedFiles.length > 0 || taskRefs.length > 0) {
+      jobIds.push(await enqueueJob(client, { workspaceId, type: 'engine.feature', payload: { ...jobPayload, taskRefs }, deliveryId }));
+    }
+    if (merged.intoDefault && merged.files.length > 0) {
+      jobIds.push(await enqueueJob(client, {
+        workspaceId,
+        type:    'feature.merged',
+        payload: { files: merged.files, sourceBranches: merged.branches, targetBranch: branch, commitHash },
+        deliveryId,
+      }));
+    }
+
+    // 5f. Record outcome and processing duration
+    await _finishDelivery(client, deliveryId, { status: 'processed', workspaceId, startTime });
+
+    await client.query('COMMIT');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Webhook] Transaction error:', err.message);
+    await _recordFailure(delivery, err, startTime);
+    return { httpStatus: 500, body: { error: 'Internal server error' } };
+  } finally {
+    client.release();
+  }
+
+  // 6. Respond — engines run from the job queue
+  return { httpStatus: 200, body: { status: 'processing', deliveryId, jobIds } };
+}
+
+// ─── Pull Request ──────────────────────────────────────────────────────────────
+
+function prStatusFor(action, pr) {
+  if (action !== 'closed') return 'open';
+  return pr.merged ? 'merged' : 'closed';
+}
+
+async function processPullRequest(deliveryId, payload, { replayOf = null } = {}) {
+  const startTime = Date.now();
+
+  // 4. Payload validation
+  const { action, number, pull_request: pr, repository } = payload;
+  if (!action || !pr || !repository?.id || !repository?.full_name) {
+    return { httpStatus: 400, body: { error: 'Invalid payload structure' } };
+  }
+  if (!PR_ACTIONS.has(action)) {
+    return { httpStatus: 200, body: { status: 'ignored', reason: 'unsupported_action', action } };
+  }
+
+  const prNumber     = number ?? pr.number;
+  const sourceBranch = pr.head?.ref;
+  const targetBranch = pr.base?.ref;
+  const headSha      = pr.head?.sha ?? null;
+  const repoId       = repository.id;
+  const provider     = payload.provider ?? 'github';
+  const status       = prStatusFor(action, pr);
+
+  if (!prNumber || !sourceBranch || !targetBranch) {
+    return { httpStatus: 400, body: { error: 'Invalid payload structure' } };
+  }
+
+  const delivery = {
+    deliveryId, provider, eventType: 'pull_request', repoId, branch: sourceBranch, commitHash: headSha, payload, replayOf,
+  };
+
+  const client = await pool.connect();
+  let workspaceId;
+  let jobId;
+
+  try {
+    await client.query('BEGIN');
+
+    // 5a. Idempotency gate
+    if (!(await _claimDelivery(client, delivery))) {
+      await client.query('COMMIT');
+      return { httpStatus: 200, body: { status: 'duplicate', deliveryId } };
+    }
+
+    // 5b. Resolve workspace by repo ID
+    const wsResult = await client.query(
+      'SELECT id FROM workspaces WHERE provider = $1 AND github_repo_id = $2 LIMIT 1',
+      [provider, repoId]
+    );
+    if (wsResult.rowCount === 0) {
+      await _finishDelivery(client, deliveryId, { status: 'workspace_not_found', startTime });
+      await client.query('COMMIT');
+      return { httpStatus: 200, body: { status: 'workspace_not_found', repoId } };
+    }
+    workspaceId = wsResult.rows[0].id;
+    await _learnDefaultBranch(client, workspaceId, repository);
+
+    // 5c. Upsert the PR row — status and branches always reflect the latest event
+    const prResult = await client.query(
+      `INSERT INTO pull_requests (workspace_id, pr_number, source_branch, target_branch, status, opened_at, updated_at)
+       VALUES ($1,$2,$3,$4,$5, COALESCE($6::timestamptz, NOW()), NOW())
+       ON CONFLICT (workspace_id, pr_number)
+       DO UPDATE SET source_branch = EXCLUDED.source_branch,
+                     target_branch = EXCLUDED.target_branch,
+                     status        = EXCLUDED.status,
+                     updated_at    = NOW()
+       RETURNING id`,
+      [workspaceId, prNumber, sourceBranch, targetBranch, status, pr.created_at ?? null]
+    );
+
+    // 5c'. Requirement references (REQ-12) in the title, description or branch
+    await linkRequirements(client, workspaceId, parseRequirementRefs([pr.title, pr.body, sourceBranch].join('\n')), {
+      kind: 'pr', target: prNumber, source: 'pr_text',
+    });
+
+    // 5d. Enqueue file-list refresh, overlap detection and alignment
+    jobId = await enqueueJob(client, {
+      workspaceId,
+      type:    'pull_request.sync',
+      payload: {
+        prId:         prResult.rows[0].id,
+        prNumber,
+        status,
+        provider,
+        repoFullName: repository.full_name,
+        repoUrl:      repository.html_url ?? null,
+        sourceBranch,
+        targetBranch,
+        baseSha:      pr.base?.sha ?? null,
+        headSha,
+        inlineFiles:  Array.isArray(pr.files) ? pr.files : undefined,
+      },
+      deliveryId,
+    });
+
+    await _finishDelivery(client, deliveryId, { status: 'processed', workspaceId, startTime });
+
+    await client.query('COMMIT');
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[Webhook] PR transaction error:', err.message);
+    await _recordFailure(delivery, err, startTime);
+    return { httpStatus: 500, body: { error: 'Internal server error' } };
+  } finally {
+    client.release();
+  }
+
+  // 6. Respond — file list, conflicts and alignment run from the job queue
+  return { httpStatus: 200, body: { status: 'processing', deliveryId, prNumber, prStatus: status, jobId } };
+}
+
+// ─── Dispatch ──────────────────────────────────────────────────────────────────
+
+const PROCESSORS = { push: processPush, pull_request: processPullRequest };
+
+/**
+ * @returns {Promise<{ httpStatus: number, body: object }>}
+ */
+async function processDelivery(eventType, deliveryId, payload, opts) {
+  return PROCESSORS[eventType](deliveryId, payload, opts);
+}
+
+module.exports = { processDelivery };
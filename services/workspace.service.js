@@ -2,11 +2,22 @@
 
 const { v4: uuidv4 } = require('uuid');
 const pool           = require('../db/pool');
+const wsManager      = require('../websocket/wsManager');
+const { getMemberActivitySummary } = require('../engines/memberActivity');
+const { getHealthDeltas }          = require('./health.service');
+const { getAdapter }               = require('../providers/scm');
+const { analyzeGraph, loadGraph }  = require('../engines/dependencyGraph');
+const { issueToken }               = require('./token.service');
+const { splitRequirements }        = require('../engines/srsParser');
+const { recalculate }              = require('../engines/healthEngine');
+const { enqueueJob }               = require('../jobs/queue');
 
 // ─── Create Workspace ──────────────────────────────────────────────────────────
 
 async function createWorkspace(payload) {
-  const { workspaceName, projectTitle, projectDescription, srsDocument, githubRepoUrl, githubRepoId, githubUsers } = payload;
+  const { workspaceName, projectTitle, projectDescription, srsDocument, githubRepoUrl, githubUsers } = payload;
+  const provider = payload.provider ?? 'github';
+  const repoId   = getAdapter(provider).repoId(payload.githubRepoId);
 
   const normalizedRepo = githubRepoUrl.trim().toLowerCase().replace(/\/$/, '');
   const client = await pool.connect();
@@ -16,8 +27,8 @@ async function createWorkspace(payload) {
 
     // Duplicate repo guard
     const dup = await client.query(
-      'SELECT id FROM workspaces WHERE github_repo = $1 OR github_repo_id = $2 LIMIT 1',
-      [normalizedRepo, githubRepoId]
+      'SELECT id FROM workspaces WHERE github_repo = $1 OR (provider = $2 AND github_repo_id = $3) LIMIT 1',
+      [normalizedRepo, provider, repoId]
     );
     if (dup.rowCount > 0) {
       const err = new Error('A workspace for this repository already exists.');
@@ -28,10 +39,16 @@ async function createWorkspace(payload) {
     const dashboardKey = uuidv4();
 
     await client.query(
-      `INSERT INTO workspaces (id, name, title, description, srs, github_repo, github_repo_id, dashboard_key)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+      `INSERT INTO workspaces (id, name, title, description, srs, provider, github_repo, github_repo_id,
+                               mirror_remote, dashboard_key)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
       [workspaceId, workspaceName.trim(), projectTitle.trim(), projectDescription.trim(),
-       srsDocument, normalizedRepo, githubRepoId, dashboardKey]
+       srsDocument, provider, normalizedRepo, repoId, payload.mirrorRemote?.trim() || null, dashboardKey]
+    );
+    await client.query(
+      `INSERT INTO srs_versions (workspace_id, version, srs, created_by, requirements)
+       VALUES ($1, 1, $2, 'workspace:create', $3)`,
+      [workspaceId, srsDocument, JSON.stringify(splitRequirements(srsDocument))]
     );
 
     const members = [];
@@ -45,8 +62,11 @@ async function createWorkspace(payload) {
       members.push({ githubUsername: username, userUid });
     }
 
+    // The first admin token; further tokens are issued with it
+    const admin = await issueToken(client, workspaceId, { name: 'Initial admin token', scopes: ['admin'] });
+
     await client.query('COMMIT');
-    return { workspaceId, dashboardAccessKey: dashboardKey, members };
+    return { workspaceId, provider, adminToken: admin.token, dashboardAccessKey: dashboardKey, members };
 
   } catch (err) {
     await client.query('ROLLBACK');
@@ -70,16 +90,30 @@ async function joinWorkspace(userUid) {
   if (userResult.rowCount === 0) {
     const err = new Error('User not found.'); err.status = 404; throw err;
   }
-  const user = userResult.rows[0];
+  if (userResult.rows[0].disabled_at) {
+    const err = new Error('Member is disabled.'); err.status = 403; throw err;
+  }
+  return _memberView(userResult.rows[0]);
+}
 
+/**
+ * The join view for the member a token is bound to.
+ */
+async function getMemberView(workspaceId, userId) {
+  const r = await pool.query('SELECT * FROM users WHERE workspace_id = $1 AND id = $2', [workspaceId, userId]);
+  if (r.rowCount === 0) {
+    const err = new Error('User not found.'); err.status = 404; throw err;
+  }
+  return _memberView(r.rows[0]);
+}
+
+async function _memberView(user) {
   const [ws, features, blockers] = await Promise.all([
     pool.query('SELECT * FROM workspaces WHERE id = $1', [user.workspace_id]),
     pool.query('SELECT * FROM features WHERE workspace_id = $1 AND (owner_uid = $2 OR owner_uid IS NULL)', [user.workspace_id, user.id]),
     pool.query("SELECT * FROM blockers WHERE workspace_id = $1 AND resolved = false", [user.workspace_id]),
   ]);
 
-  await pool.query('UPDATE users SET last_active = NOW() WHERE user_uid = $1', [userUid]);
-
   const workspace = ws.rows[0];
   return {
     workspaceId:   workspace.id,
@@ -91,6 +125,72 @@ async function joinWorkspace(userUid) {
   };
 }
 
+// ─── Update Workspace ──────────────────────────────────────────────────────────
+
+const SETTINGS = {
+  workspaceName:            'name',
+  projectTitle:             'title',
+  projectDescription:       'description',
+  activityWindowHours:      'activity_window_hours',
+  inactivityThresholdHours: 'inactivity_threshold_hours',
+};
+
+/**
+ * Updates the fields present in `changes` (keys of SETTINGS). A new activity
+ * window re-evaluates overlaps through the queue; a new inactivity threshold
+ * applies to health now and to INACTIVITY blockers on the next sweep.
+ * The SRS is versioned separately, see srs.service.updateSrs.
+ * @param {object} ws  workspaces row
+ */
+async function updateWorkspace(ws, changes, { actor }) {
+  const fields = Object.keys(SETTINGS).filter(k => changes[k] !== undefined);
+  if (fields.length === 0) {
+    const err = new Error('Nothing to update.'); err.status = 400; throw err;
+  }
+
+  const sets   = fields.map((k, i) => `${SETTINGS[k]} = $${i + 2}`);
+  const values = fields.map(k => (typeof changes[k] === 'string' ? changes[k].trim() : changes[k]));
+  const r = await pool.query(`UPDATE workspaces SET ${sets.join(', ')} WHERE id = $1 RETURNING *`, [ws.id, ...values]);
+  const updated = r.rows[0];
+
+  let rescanJobId = null;
+  if (updated.activity_window_hours !== ws.activity_window_hours) {
+    rescanJobId = await enqueueJob(pool, { workspaceId: ws.id, type: 'engine.conflict', payload: { rescan: true } });
+  }
+  if (updated.inactivity_threshold_hours !== ws.inactivity_threshold_hours) await recalculate(ws.id);
+
+  wsManager.broadcastToWorkspace(ws.id, { type: 'WORKSPACE_UPDATED', fields, actor });
+  return { ..._settingsView(updated), rescanJobId };
+}
+
+function _settingsView(ws) {
+  return {
+    workspaceId:              ws.id,
+    workspaceName:            ws.name,
+    projectTitle:             ws.title,
+    projectDescription:       ws.description,
+    activityWindowHours:      ws.activity_window_hours,
+    inactivityThresholdHours: ws.inactivity_threshold_hours,
+  };
+}
+
+// ─── Delete Workspace ──────────────────────────────────────────────────────────
+
+/**
+ * Deletes the workspace and, by cascade, everything recorded for it. `confirm`
+ * must repeat the workspace name. Sockets on this instance close now; other
+ * instances close theirs on their next revalidation.
+ */
+async function deleteWorkspace(ws, { confirm }) {
+  if (confirm.trim() !== ws.name) {
+    const err = new Error('confirm must match the workspace name.');
+    err.status = 400; err.code = 'CONFIRMATION_MISMATCH'; throw err;
+  }
+  await pool.query('DELETE FROM workspaces WHERE id = $1', [ws.id]);
+  wsManager.disconnectWorkspace(ws.id);
+  return { deleted: true, workspaceId: ws.id };
+}
+
 // ─── Get Dashboard ─────────────────────────────────────────────────────────────
 
 async function getDashboard(dashboardAccessKey) {
@@ -101,28 +201,32 @@ async function getDashboard(dashboardAccessKey) {
   if (wsResult.rowCount === 0) {
     const err = new Error('Invalid access key.'); err.status = 403; throw err;
   }
-  const ws = wsResult.rows[0];
+  return buildDashboard(wsResult.rows[0]);
+}
 
-  const [members, features, deps, branches, blockers] = await Promise.all([
-    pool.query('SELECT id, github_username, last_active FROM users WHERE workspace_id = $1', [ws.id]),
+/**
+ * @param {object} ws  workspaces row
+ */
+async function buildDashboard(ws) {
+  const [members, features, graph, branches, blockers, healthDelta] = await Promise.all([
+    getMemberActivitySummary(ws.id, ws.activity_window_hours),
     pool.query('SELECT * FROM features WHERE workspace_id = $1 ORDER BY priority DESC', [ws.id]),
-    pool.query(`SELECT fd.*, f.name AS feature_name, f2.name AS depends_on_name
-                FROM feature_dependencies fd
-                JOIN features f  ON f.id  = fd.feature_id
-                JOIN features f2 ON f2.id = fd.depends_on_feature_id
-                WHERE f.workspace_id = $1`, [ws.id]),
+    loadGraph(ws.id),
     pool.query('SELECT DISTINCT branch_name FROM file_activity WHERE workspace_id = $1', [ws.id]),
     pool.query("SELECT * FROM blockers WHERE workspace_id = $1 AND resolved = false ORDER BY severity DESC", [ws.id]),
+    getHealthDeltas(ws.id, ws.health_score),
   ]);
 
   return {
-    workspace:       { id: ws.id, name: ws.name, title: ws.title, healthScore: ws.health_score },
-    members:         members.rows,
+    workspace:       { id: ws.id, name: ws.name, title: ws.title, healthScore: ws.health_score, healthDelta },
+    members:         members,
     features:        features.rows,
-    dependencyGraph: deps.rows,
+    dependencyGraph: analyzeGraph(graph.features, graph.edges),
     activeBranches:  branches.rows.map(r => r.branch_name),
     activeBlockers:  blockers.rows,
   };
 }
 
-module.exports = { createWorkspace, joinWorkspace, getDashboard };
+module.exports = {
+  createWorkspace, joinWorkspace, getMemberView, updateWorkspace, deleteWorkspace, getDashboard, buildDashboard,
+};
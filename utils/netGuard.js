@@ -0,0 +1,83 @@
+'use strict';
+
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Guards outbound connections to hosts a workspace admin supplied (webhook
+ * subscriptions, git mirrors) so they can't reach this server's own network:
+ * loopback, private, link-local (cloud metadata at 169.254.169.254), CGNAT,
+ * multicast and reserved addresses are refused.
+ *
+ * OUTBOUND_ALLOW_PRIVATE=true lifts the check, for local development only.
+ */
+
+const ALLOW_PRIVATE = process.env.OUTBOUND_ALLOW_PRIVATE === 'true';
+
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) BLOCKED.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * @returns {string|null} the IPv4 address embedded in an IPv4-mapped IPv6 one
+ */
+function _unmapIPv4(address) {
+  const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) return dotted[1];
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (!hex) return null;
+  const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return !BLOCKED.check(address, 'ipv4');
+  if (family === 6) {
+    const v4 = _unmapIPv4(address);
+    return v4 ? isPublicAddress(v4) : !BLOCKED.check(address, 'ipv6');
+  }
+  return false;
+}
+
+function _refused(hostname, address) {
+  const err = new Error(`${hostname} resolves to a non-public address (${address}).`);
+  err.code = 'NON_PUBLIC_ADDRESS';
+  return err;
+}
+
+/**
+ * Resolves `hostname` (a name or IP literal, brackets allowed) and throws
+ * unless every address it resolves to is public.
+ */
+async function assertPublicHost(hostname) {
+  if (ALLOW_PRIVATE) return;
+  const host      = String(hostname).replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  const refused   = addresses.find(a => !isPublicAddress(a.address));
+  if (refused) throw _refused(hostname, refused.address);
+}
+
+/**
+ * dns.lookup drop-in for http(s).request. Checks the address actually dialled,
+ * so a name that re-resolves between assertPublicHost and connect (DNS
+ * rebinding) is still refused. IP literals bypass lookup; check them with
+ * assertPublicHost first.
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list    = Array.isArray(address) ? address : [{ address, family }];
+    const refused = ALLOW_PRIVATE ? null : list.find(a => !isPublicAddress(a.address));
+    if (refused) return callback(_refused(hostname, refused.address));
+    callback(null, address, family);
+  });
+}
+
+module.exports = { isPublicAddress, assertPublicHost, guardedLookup };
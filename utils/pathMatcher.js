@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Minimal glob matcher for repository-relative file paths.
+ * Supports `**` (any number of path segments), `*` (within one segment),
+ * `?` (one character) and `{a,b}` alternation. A trailing `/` means
+ * "everything under this directory".
+ */
+
+// pattern → RegExp, least recently used first. Patterns are user-supplied
+// (feature paths, path rules), so the cache is bounded.
+const CACHE_MAX = 1000;
+const _cache    = new Map();
+
+function normalizePath(p) {
+  return String(p ?? '').trim().replace(/\\/g, '/').replace(/^\.?\//, '');
+}
+
+function globToRegExp(pattern) {
+  let glob = normalizePath(pattern);
+  if (glob.endsWith('/')) glob += '**';
+
+  let re    = '';
+  let depth = 0; // inside {…}
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') { i++; re += '(?:.*/)?'; }
+      else                     { re += '.*'; }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      depth++; re += '(?:';
+    } else if (c === '}' && depth > 0) {
+      depth--; re += ')';
+    } else if (c === ',' && depth > 0) {
+      re += '|';
+    } else {
+      re += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function _compile(pattern) {
+  let re = _cache.get(pattern);
+  if (re) {
+    _cache.delete(pattern);
+  } else {
+    re = globToRegExp(pattern);
+    if (_cache.size >= CACHE_MAX) _cache.delete(_cache.keys().next().value);
+  }
+  _cache.set(pattern, re);
+  return re;
+}
+
+/**
+ * @param {string} filePath
+ * @param {string[]} patterns
+ * @returns {boolean} true if any pattern matches the path
+ */
+function matchesAny(filePath, patterns) {
+  if (!patterns || patterns.length === 0) return false;
+  const p = normalizePath(filePath);
+  return patterns.some(pattern => _compile(pattern).test(p));
+}
+
+/**
+ * @returns {string[]} the subset of files matched by at least one pattern
+ */
+function filterMatching(files, patterns) {
+  if (!patterns || patterns.length === 0) return [];
+  return files.filter(f => matchesAny(f, patterns));
+}
+
+/**
+ * Cheap syntactic check used by request validators.
+ */
+function isValidPattern(pattern) {
+  if (typeof pattern !== 'string') return false;
+  const p = pattern.trim();
+  if (p.length === 0 || p.length > 500) return false;
+  let depth = 0;
+  for (const c of p) {
+    if (c === '{') depth++;
+    if (c === '}' && --depth < 0) return false;
+  }
+  return depth === 0;
+}
+
+module.exports = { matchesAny, filterMatching, isValidPattern, normalizePath, globToRegExp };
@@ -0,0 +1,117 @@
+"use strict";
+
+/**
+ * Cross-instance fan-out over Postgres LISTEN/NOTIFY.
+ *
+ * Every instance LISTENs on one channel over a dedicated connection and
+ * delivers what it hears to its own sockets — including its own NOTIFYs, so
+ * the publishing instance has no special path. NOTIFY payloads are capped at
+ * 8000 bytes by Postgres; for larger messages the notification carries only
+ * the event's sequence number and listeners read it from the event log.
+ */
+
+const { Client } = require("pg");
+const pool       = require("../db/pool");
+const { getEvent } = require("../services/event.service");
+
+const CHANNEL            = "ws_broadcast";
+const MAX_NOTIFY_BYTES   = 7500;          // headroom under Postgres' 8000-byte limit
+const RECONNECT_MIN_MS   = 1000;
+const RECONNECT_MAX_MS   = 30000;
+
+let _client         = null;
+let _listening      = false;
+let _stopped        = true;
+let _reconnectDelay = RECONNECT_MIN_MS;
+let _reconnectTimer = null;
+let _onMessage      = null;
+
+// ─── Listener ──────────────────────────────────────────────────────────────────
+
+async function _connect() {
+  const client = new Client(pool.connectionConfig);
+  _client = client;
+
+  client.on("error", (err) => {
+    console.error("[WS Fanout] Listener error:", err.message);
+    _scheduleReconnect(client);
+  });
+  client.on("end", () => _scheduleReconnect(client));
+  client.on("notification", (msg) => {
+    if (msg.channel !== CHANNEL) return;
+    _handleNotification(msg.payload).catch(err => console.error("[WS Fanout] Delivery error:", err.message));
+  });
+
+  try {
+    await client.connect();
+    await client.query("LISTEN " + CHANNEL);
+    _listening      = true;
+    _reconnectDelay = RECONNECT_MIN_MS;
+    console.log("[WS Fanout] Listening on " + CHANNEL);
+  } catch (err) {
+    console.error("[WS Fanout] Connect failed:", err.message);
+    _scheduleReconnect(client);
+  }
+}
+
+function _scheduleReconnect(client) {
+  if (client !== _client) return;       // stale client already replaced
+  _listening = false;
+  _client    = null;
+  client.removeAllListeners();
+  client.on("error", () => {});         // swallow late errors from the dead client
+  client.end().catch(() => {});
+  if (_stopped || _reconnectTimer) return;
+
+  const delay = _reconnectDelay;
+  _reconnectDelay = Math.min(RECONNECT_MAX_MS, _reconnectDelay * 2);
+  console.warn("[WS Fanout] Reconnecting in " + delay + "ms");
+  _reconnectTimer = setTimeout(() => { _reconnectTimer = null; _connect(); }, delay);
+  _reconnectTimer.unref();
+}
+
+async function _handleNotification(raw) {
+  const msg = JSON.parse(raw);
+  const payload = msg.s ? await getEvent(msg.w, msg.s) : msg.p;
+  if (payload) _onMessage(msg.w, payload);
+}
+
+/**
+ * @param {(workspaceId: string, payload: object) => void} onMessage  local delivery
+ */
+function start(onMessage) {
+  _onMessage = onMessage;
+  if (!_stopped) return;
+  _stopped = false;
+  _connect();
+}
+
+function stop() {
+  _stopped = true;
+  clearTimeout(_reconnectTimer);
+  _reconnectTimer = null;
+  if (_client) _scheduleReconnect(_client);
+}
+
+function isListening() {
+  return _listening;
+}
+
+// ─── Publisher ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} payload  a logged event ({ ...payload, seq, ts }); events that
+ *                          failed to persist (no seq) must fit in one NOTIFY
+ */
+async function publish(workspaceId, payload) {
+  let message = JSON.stringify({ w: workspaceId, p: payload });
+
+  if (Buffer.byteLength(message) > MAX_NOTIFY_BYTES) {
+    if (!payload.seq) throw new Error("Payload exceeds NOTIFY limit and is not in the event log");
+    message = JSON.stringify({ w: workspaceId, s: payload.seq });
+  }
+
+  await pool.query("SELECT pg_notify($1, $2)", [CHANNEL, message]);
+}
+
+module.exports = { start, stop, publish, isListening };
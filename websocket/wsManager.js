@@ -1,57 +1,329 @@
 "use strict";
 
+const crypto              = require("crypto");
 const { WebSocketServer } = require("ws");
+const pool                = require("../db/pool");
+const fanout              = require("./pgFanout");
+const eventLog            = require("../services/event.service");
 
-const workspaceClients   = new Map();
-const userWorkspaceIndex = new Map();
+const HEARTBEAT_MS    = 30000;
+const REVALIDATE_MS   = parseInt(process.env.WS_REVALIDATE_INTERVAL_MS) || 60000;
+const REPLAY_MAX      = 1000;
+const FANOUT_ENABLED  = (process.env.WS_FANOUT || "postgres") !== "local";
+const UUID_RE         = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const workspaceClients = new Map(); // workspaceId → Set<ws>
+const credentialIndex  = new Map(); // "member:<userUid>" | "viewer:<dashboardKey>" | "token:<tokenId>" → Set<ws> (one per tab)
+
+// ─── Handshake ─────────────────────────────────────────────────────────────────
+
+/**
+ * Resolves handshake credentials to a principal bound to one workspace.
+ * API tokens connect with ?token= (browsers can't set headers on a socket),
+ * members with ?userUid=, viewers with ?dashboardKey=. A token needs a scope
+ * that can read the dashboard. Sockets only receive; clients write through the
+ * HTTP API, so there is nothing to gate per principal here.
+ * @returns {Promise<{ kind: "token"|"member"|"viewer", credential: string, workspaceId: string, userId?: string }|null>}
+ */
+async function authenticate(searchParams) {
+  const token        = searchParams.get("token");
+  const userUid      = searchParams.get("userUid")?.toLowerCase();
+  const dashboardKey = searchParams.get("dashboardKey")?.toLowerCase();
+
+  if (token) {
+    const hash = crypto.createHash("sha256").update(token).digest("hex");
+    const r = await pool.query(
+      "SELECT t.id, t.workspace_id, t.user_id, t.scopes FROM api_tokens t LEFT JOIN users u ON u.id = t.user_id " +
+      "WHERE t.token_hash = $1 AND t.revoked_at IS NULL AND (t.expires_at IS NULL OR t.expires_at > NOW()) " +
+      "AND u.disabled_at IS NULL LIMIT 1",
+      [hash]
+    );
+    const row = r.rows[0];
+    if (!row || !row.scopes.some(s => s !== "ingest")) return null;
+    return { kind: "token", credential: row.id, workspaceId: row.workspace_id, userId: row.user_id ?? undefined };
+  }
+
+  if (userUid) {
+    if (!UUID_RE.test(userUid)) return null;
+    const r = await pool.query("SELECT id, workspace_id FROM users WHERE user_uid = $1 AND disabled_at IS NULL LIMIT 1", [userUid]);
+    if (r.rowCount === 0) return null;
+    return { kind: "member", credential: userUid, workspaceId: r.rows[0].workspace_id, userId: r.rows[0].id };
+  }
+
+  if (dashboardKey) {
+    if (!UUID_RE.test(dashboardKey)) return null;
+    const r = await pool.query("SELECT id FROM workspaces WHERE dashboard_key = $1 LIMIT 1", [dashboardKey]);
+    if (r.rowCount === 0) return null;
+    return { kind: "viewer", credential: dashboardKey, workspaceId: r.rows[0].id };
+  }
+
+  return null;
+}
+
+function _credentialKey(principal) {
+  return principal.kind + ":" + principal.credential;
+}
 
 function init(server) {
-  const wss = new WebSocketServer({ server, path: "/ws" });
+  const wss = new WebSocketServer({
+    server,
+    path: "/ws",
+    // Reject bad credentials before the upgrade completes
+    verifyClient: (info, done) => {
+      const url = new URL(info.req.url, "http://" + info.req.headers.host);
+      authenticate(url.searchParams)
+        .then(principal => {
+          if (!principal) return done(false, 401, "Unauthorized");
+          info.req.principal = principal;
+          done(true);
+        })
+        .catch(err => {
+          console.error("[WS] Handshake error:", err.message);
+          done(false, 500, "Internal Server Error");
+        });
+    },
+  });
 
   wss.on("connection", (ws, req) => {
-    const url     = new URL(req.url, "http://" + req.headers.host);
-    const userUid = url.searchParams.get("userUid");
-    if (!userUid) { ws.close(1008, "userUid required"); return; }
-    ws.userUid = userUid;
-    ws.isAlive  = true;
+    const principal = req.principal;
+    ws.principal   = principal;
+    ws.workspaceId = principal.workspaceId;
+    ws.isAlive     = true;
+    _subscribe(ws);
+
+    // ?since=<seq> — replay what this client missed before going live
+    const since = parseInt(new URL(req.url, "http://" + req.headers.host).searchParams.get("since"), 10);
+    if (Number.isInteger(since) && since >= 0) _replay(ws, since);
     ws.on("pong",  () => { ws.isAlive = true; });
     ws.on("close", () => _removeClient(ws));
-    ws.on("error", (err) => console.error("[WS] uid=" + userUid + ":", err.message));
-    console.log("[WS] Connected: userUid=" + userUid);
+    ws.on("error", (err) => console.error("[WS] " + principal.kind + " workspace=" + ws.workspaceId + ":", err.message));
+    console.log("[WS] Connected: " + principal.kind + " workspace=" + ws.workspaceId);
   });
 
-  setInterval(() => {
+  const heartbeat = setInterval(() => {
     wss.clients.forEach(ws => {
       if (!ws.isAlive) { ws.terminate(); return; }
       ws.isAlive = false;
       ws.ping();
     });
-  }, 30000);
+  }, HEARTBEAT_MS);
+
+  const revalidation = setInterval(() => {
+    revalidateConnections().catch(err => console.error("[WS] Revalidation error:", err.message));
+  }, REVALIDATE_MS);
+
+  if (FANOUT_ENABLED) fanout.start(_deliverLocal);
+
+  wss.on("close", () => { clearInterval(heartbeat); clearInterval(revalidation); fanout.stop(); });
 
   return wss;
 }
 
-function registerUserWorkspace(userUid, workspaceId, ws) {
-  userWorkspaceIndex.set(userUid, workspaceId);
-  if (!workspaceClients.has(workspaceId)) workspaceClients.set(workspaceId, new Set());
-  workspaceClients.get(workspaceId).add(ws);
+// ─── Subscriptions ─────────────────────────────────────────────────────────────
+
+function _subscribe(ws) {
+  if (!workspaceClients.has(ws.workspaceId)) workspaceClients.set(ws.workspaceId, new Set());
+  workspaceClients.get(ws.workspaceId).add(ws);
+
+  const key = _credentialKey(ws.principal);
+  if (!credentialIndex.has(key)) credentialIndex.set(key, new Set());
+  credentialIndex.get(key).add(ws);
 }
 
 function _removeClient(ws) {
-  const wid = userWorkspaceIndex.get(ws.userUid);
-  if (wid) workspaceClients.get(wid)?.delete(ws);
-  userWorkspaceIndex.delete(ws.userUid);
+  const clients = workspaceClients.get(ws.workspaceId);
+  if (clients) {
+    clients.delete(ws);
+    if (clients.size === 0) workspaceClients.delete(ws.workspaceId);
+  }
+
+  const key     = _credentialKey(ws.principal);
+  const sockets = credentialIndex.get(key);
+  if (sockets) {
+    sockets.delete(ws);
+    if (sockets.size === 0) credentialIndex.delete(key);
+  }
+}
+
+// ─── Resume ────────────────────────────────────────────────────────────────────
+
+/**
+ * Sends logged events with seq > since, then REPLAY_COMPLETE. Live events that
+ * arrive meanwhile are buffered and flushed afterwards (skipping any the replay
+ * already covered), so the client sees each seq once and in order. When events
+ * after `since` were already purged, REPLAY_GAP is sent instead of events and
+ * the client must reload state.
+ */
+async function _replay(ws, since) {
+  ws.replaying = true;
+  ws.pending   = [];
+  let lastSeq  = since;
+  let page     = { events: [], nextAfter: null };
+  try {
+    page = await eventLog.listEvents(ws.workspaceId, { after: since, limit: REPLAY_MAX });
+    for (const event of page.events) {
+      _send(ws, JSON.stringify(event));
+      lastSeq = event.seq;
+    }
+  } catch (err) {
+    if (err.code === "EVENT_GAP") {
+      _send(ws, JSON.stringify({ type: "REPLAY_GAP", since, purgedThrough: err.purgedThrough, latestSeq: err.latestSeq }));
+    } else {
+      console.error("[WS] Replay error workspace=" + ws.workspaceId + ":", err.message);
+    }
+  }
+
+  _send(ws, JSON.stringify({
+    type:      "REPLAY_COMPLETE",
+    replayed:  page.events.length,
+    lastSeq,
+    truncated: page.nextAfter !== null,   // page the rest via GET /workspace/:id/events?after=
+  }));
+
+  const pending = ws.pending;
+  ws.replaying = false;
+  ws.pending   = null;
+  for (const { seq, message } of pending) {
+    if (!seq || seq > lastSeq) _send(ws, message);
+  }
 }
 
+// ─── Revocation ────────────────────────────────────────────────────────────────
+
+function _closeAll(key, reason) {
+  const sockets = credentialIndex.get(key);
+  if (!sockets) return 0;
+  let closed = 0;
+  for (const ws of [...sockets]) {
+    ws.close(1008, reason);
+    _removeClient(ws);
+    closed++;
+  }
+  return closed;
+}
+
+/** Immediately closes every tab authenticated with this member's userUid. */
+function disconnectUser(userUid, reason = "credentials revoked") {
+  return _closeAll("member:" + userUid, reason);
+}
+
+/** Immediately closes every tab authenticated with this API token. */
+function disconnectToken(tokenId, reason = "credentials revoked") {
+  return _closeAll("token:" + tokenId, reason);
+}
+
+/** Immediately closes every viewer tab authenticated with this dashboard key. */
+function disconnectDashboardKey(dashboardKey, reason = "credentials revoked") {
+  return _closeAll("viewer:" + dashboardKey, reason);
+}
+
+/** Immediately closes every socket of a workspace, whatever it authenticated with. */
+function disconnectWorkspace(workspaceId, reason = "workspace deleted") {
+  const clients = workspaceClients.get(workspaceId);
+  if (!clients) return 0;
+  let closed = 0;
+  for (const ws of [...clients]) {
+    ws.close(1008, reason);
+    _removeClient(ws);
+    closed++;
+  }
+  return closed;
+}
+
+/**
+ * Periodic safety net for revocations that happen outside this process
+ * (another instance, direct SQL): re-checks every connected credential in two
+ * queries and closes sockets whose credential no longer maps to their workspace.
+ */
+async function revalidateConnections() {
+  const members = [];
+  const viewers = [];
+  const tokens  = [];
+  for (const key of credentialIndex.keys()) {
+    const [kind, credential] = key.split(":");
+    ({ member: members, viewer: viewers, token: tokens })[kind].push(credential);
+  }
+  if (members.length === 0 && viewers.length === 0 && tokens.length === 0) return;
+
+  const [m, v, t] = await Promise.all([
+    members.length
+      ? pool.query(
+          "SELECT user_uid::text AS credential, workspace_id FROM users WHERE user_uid = ANY($1::uuid[]) AND disabled_at IS NULL",
+          [members]
+        )
+      : { rows: [] },
+    viewers.length
+      ? pool.query("SELECT dashboard_key::text AS credential, id AS workspace_id FROM workspaces WHERE dashboard_key = ANY($1::uuid[])", [viewers])
+      : { rows: [] },
+    tokens.length
+      ? pool.query(
+          "SELECT t.id::text AS credential, t.workspace_id FROM api_tokens t LEFT JOIN users u ON u.id = t.user_id " +
+          "WHERE t.id = ANY($1::uuid[]) AND t.revoked_at IS NULL AND (t.expires_at IS NULL OR t.expires_at > NOW()) " +
+          "AND u.disabled_at IS NULL",
+          [tokens]
+        )
+      : { rows: [] },
+  ]);
+
+  const valid = new Map();
+  for (const row of m.rows) valid.set("member:" + row.credential, row.workspace_id);
+  for (const row of v.rows) valid.set("viewer:" + row.credential, row.workspace_id);
+  for (const row of t.rows) valid.set("token:" + row.credential, row.workspace_id);
+
+  for (const [key, sockets] of [...credentialIndex.entries()]) {
+    const workspaceId = valid.get(key);
+    const stale = [...sockets].some(ws => ws.workspaceId !== workspaceId);
+    if (stale) _closeAll(key, "credentials revoked");
+  }
+}
+
+// ─── Broadcast ─────────────────────────────────────────────────────────────────
+
+/**
+ * Appends the event to the workspace's durable log (assigning its seq), then
+ * publishes to every instance via Postgres NOTIFY; each instance (this one
+ * included) delivers to its own sockets when the notification arrives. While
+ * this instance's listener is down, local sockets are served directly so they
+ * don't go dark, and a failed publish falls back to local delivery.
+ * If the log write fails the event is still delivered live, without a seq.
+ */
 function broadcastToWorkspace(workspaceId, payload) {
+  return eventLog.appendEvent(workspaceId, payload)
+    .catch(err => {
+      console.error("[WS] Event log append failed workspace=" + workspaceId + ":", err.message);
+      return { ...payload, ts: new Date().toISOString() };
+    })
+    .then(event => _fanOut(workspaceId, event));
+}
+
+function _fanOut(workspaceId, payload) {
+  if (!FANOUT_ENABLED) return _deliverLocal(workspaceId, payload);
+
+  const listening = fanout.isListening();
+  fanout.publish(workspaceId, payload).catch(err => {
+    console.error("[WS] Fan-out publish failed, delivering locally:", err.message);
+    if (listening) _deliverLocal(workspaceId, payload);
+  });
+  if (!listening) _deliverLocal(workspaceId, payload);
+}
+
+function _deliverLocal(workspaceId, payload) {
   const clients = workspaceClients.get(workspaceId);
   if (!clients || clients.size === 0) return;
   const message = JSON.stringify(payload);
   for (const ws of clients) {
-    if (ws.readyState === 1) {
-      ws.send(message, (err) => { if (err) console.error("[WS] Send error:", err.message); });
-    }
+    if (ws.replaying) ws.pending.push({ seq: payload.seq, message });
+    else              _send(ws, message);
+  }
+}
+
+function _send(ws, message) {
+  if (ws.readyState === 1) {
+    ws.send(message, (err) => { if (err) console.error("[WS] Send error:", err.message); });
   }
 }
 
-module.exports = { init, registerUserWorkspace, broadcastToWorkspace };
+module.exports = {
+  init, broadcastToWorkspace, disconnectUser, disconnectToken, disconnectDashboardKey, disconnectWorkspace,
+  revalidateConnections,
+};